@@ -0,0 +1,249 @@
+// Append-only, hash-chained audit log
+//
+// Every entry stores the SHA-256 of the previous entry's hash plus its own
+// content, so editing or deleting a row breaks the chain from that point on
+// (verify() reports where). SQLite triggers additionally refuse UPDATE and
+// DELETE on audit_log.
+
+const crypto = require("crypto");
+const { fromJson } = require("./db");
+const { toCsv } = require("./csv");
+
+const GENESIS_HASH = "0".repeat(64);
+const MAX_SUMMARY_LENGTH = 4000;
+
+// Request body keys never written to the log
+const REDACTED_KEYS = ["password", "currentPassword", "newPassword", "token", "secret"];
+
+// Columns covered by the hash, in order
+const HASHED_FIELDS = [
+  "at",
+  "actor",
+  "role",
+  "action",
+  "method",
+  "path",
+  "imei",
+  "tenant_id",
+  "status_code",
+  "request",
+  "garmin_response",
+];
+
+function computeHash(prevHash, row) {
+  const content = JSON.stringify(HASHED_FIELDS.map((f) => row[f] ?? null));
+  return crypto
+    .createHash("sha256")
+    .update(prevHash + "\n" + content)
+    .digest("hex");
+}
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === "object") {
+    const out = {};
+    Object.entries(value).forEach(([k, v]) => {
+      out[k] = REDACTED_KEYS.includes(k) ? "[redacted]" : redact(v);
+    });
+    return out;
+  }
+  return value;
+}
+
+// JSON, cut down to a bounded size
+function summarize(value) {
+  if (value === undefined || value === null) return null;
+  const text = JSON.stringify(redact(value));
+  if (text.length <= MAX_SUMMARY_LENGTH) return text;
+  return JSON.stringify({ truncated: true, head: text.slice(0, MAX_SUMMARY_LENGTH) });
+}
+
+function rowToEntry(row) {
+  return {
+    id: row.id,
+    at: row.at,
+    actor: row.actor,
+    role: row.role,
+    action: row.action,
+    method: row.method,
+    path: row.path,
+    imei: row.imei,
+    tenantId: row.tenant_id,
+    statusCode: row.status_code,
+    request: fromJson(row.request, null),
+    garminResponse: fromJson(row.garmin_response, null),
+    prevHash: row.prev_hash,
+    hash: row.hash,
+  };
+}
+
+const CSV_COLUMNS = [
+  "id",
+  "at",
+  "actor",
+  "role",
+  "action",
+  "method",
+  "path",
+  "imei",
+  "tenantId",
+  "statusCode",
+  "request",
+  "garminResponse",
+  "prevHash",
+  "hash",
+];
+
+function entriesToCsv(entries) {
+  return toCsv([CSV_COLUMNS, ...entries.map((e) => CSV_COLUMNS.map((c) => e[c]))]);
+}
+
+class AuditLog {
+  /**
+   * @param {import("better-sqlite3").Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this.stmts = {
+      last: db.prepare("SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1"),
+      insert: db.prepare(`
+        INSERT INTO audit_log
+          (at, actor, role, action, method, path, imei, tenant_id, status_code,
+           request, garmin_response, prev_hash, hash)
+        VALUES
+          (@at, @actor, @role, @action, @method, @path, @imei, @tenant_id, @status_code,
+           @request, @garmin_response, @prev_hash, @hash)
+      `),
+      all: db.prepare("SELECT * FROM audit_log ORDER BY id"),
+    };
+    this._append = db.transaction((row) => {
+      const last = this.stmts.last.get();
+      row.prev_hash = last ? last.hash : GENESIS_HASH;
+      row.hash = computeHash(row.prev_hash, row);
+      const info = this.stmts.insert.run(row);
+      return Number(info.lastInsertRowid);
+    });
+  }
+
+  /**
+   * @param {object} entry
+   * @param {string} entry.action  e.g. "POST /api/garmin/devices/:imei/ack-sos"
+   * @param {any} [entry.request]  request summary (secrets are redacted)
+   * @param {any} [entry.garminResponse]
+   */
+  append(entry) {
+    return this._append({
+      at: entry.at || new Date().toISOString(),
+      actor: entry.actor || null,
+      role: entry.role || null,
+      action: entry.action,
+      method: entry.method || null,
+      path: entry.path || null,
+      imei: entry.imei ? String(entry.imei) : null,
+      tenant_id: entry.tenantId || null,
+      status_code: entry.statusCode ?? null,
+      request: summarize(entry.request),
+      garmin_response: summarize(entry.garminResponse),
+    });
+  }
+
+  /**
+   * Entries oldest first. `from`/`to` are ISO timestamps (inclusive),
+   * `afterId` continues a previous page.
+   */
+  query({ from, to, imei, actor, action, afterId, limit = 500 } = {}) {
+    const where = [];
+    const params = {};
+    if (from) {
+      where.push("at >= @from");
+      params.from = from;
+    }
+    if (to) {
+      where.push("at <= @to");
+      params.to = to;
+    }
+    if (imei) {
+      where.push("imei = @imei");
+      params.imei = imei;
+    }
+    if (actor) {
+      where.push("actor = @actor");
+      params.actor = actor;
+    }
+    if (action) {
+      where.push("action LIKE @action");
+      params.action = `%${action}%`;
+    }
+    if (afterId) {
+      where.push("id > @afterId");
+      params.afterId = afterId;
+    }
+    params.limit = limit;
+    const sql = `SELECT * FROM audit_log ${
+      where.length ? "WHERE " + where.join(" AND ") : ""
+    } ORDER BY id LIMIT @limit`;
+    return this.db.prepare(sql).all(params).map(rowToEntry);
+  }
+
+  // Walks the whole chain; returns the first entry that doesn't match
+  verify() {
+    let prevHash = GENESIS_HASH;
+    let checked = 0;
+    for (const row of this.stmts.all.iterate()) {
+      if (row.prev_hash !== prevHash || computeHash(prevHash, row) !== row.hash) {
+        return { ok: false, checked, brokenAt: row.id };
+      }
+      prevHash = row.hash;
+      checked++;
+    }
+    return { ok: true, checked, lastHash: prevHash };
+  }
+}
+
+// Mutating methods worth recording
+const AUDITED_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Express middleware that appends one entry per mutating /api call once the
+ * response is sent. Routes can set res.locals.garminResponse and
+ * res.locals.auditTenantId, res.locals.auditRequest to log a summary instead
+ * of the body, and res.locals.auditImei when the IMEI isn't part of a
+ * /api/garmin/devices/:imei path.
+ */
+function auditMiddleware(auditLog) {
+  return (req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method) || !req.path.startsWith("/api/")) {
+      return next();
+    }
+    res.on("finish", () => {
+      try {
+        const routePath = req.route ? req.baseUrl + req.route.path : req.path;
+        const isLogin = req.path === "/api/auth/login";
+        const deviceMatch = /^\/api\/garmin\/devices\/([^/]+)/.exec(req.path);
+        auditLog.append({
+          actor:
+            req.operator?.username ||
+            (isLogin && req.body?.username ? `login:${req.body.username}` : null),
+          role: req.operator?.role,
+          action: `${req.method} ${routePath}`,
+          method: req.method,
+          path: req.originalUrl,
+          imei:
+            res.locals.auditImei ||
+            (deviceMatch ? decodeURIComponent(deviceMatch[1]) : null),
+          tenantId: res.locals.auditTenantId,
+          statusCode: res.statusCode,
+          request:
+            res.locals.auditRequest ??
+            (req.body && Object.keys(req.body).length ? req.body : null),
+          garminResponse: res.locals.garminResponse,
+        });
+      } catch (err) {
+        console.error("[Audit] Failed to write entry:", err.message);
+      }
+    });
+    next();
+  };
+}
+
+module.exports = { AuditLog, auditMiddleware, entriesToCsv };
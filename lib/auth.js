@@ -0,0 +1,125 @@
+// Operator authentication (JWT) + role checks
+//
+// Requests authenticate with `Authorization: Bearer <jwt>` from /api/auth/login.
+// INTERNAL_API_KEY is still accepted as a service credential (WordPress and
+// other integrations) and acts with INTERNAL_API_KEY_ROLE (default: viewer).
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { ROLES } = require("./operators");
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+function createAuth({ operators, jwtSecret, jwtExpiresIn, apiKey, apiKeyRole }) {
+  function issueToken(operator) {
+    return jwt.sign(
+      { sub: String(operator.id), username: operator.username, role: operator.role },
+      jwtSecret,
+      { expiresIn: jwtExpiresIn }
+    );
+  }
+
+  // Resolves a JWT to a live operator (disabled/deleted accounts are rejected)
+  function verifyToken(token) {
+    const claims = jwt.verify(token, jwtSecret);
+    const operator = operators.get(Number(claims.sub));
+    if (!operator || operator.disabled) throw new Error("Operator not active");
+    return operator;
+  }
+
+  function apiKeyMatches(sentKey) {
+    if (!apiKey || !sentKey) return false;
+    const a = crypto.createHash("sha256").update(String(sentKey)).digest();
+    const b = crypto.createHash("sha256").update(apiKey).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  const apiKeyOperator = {
+    id: null,
+    username: "api-key",
+    displayName: "Internal API key",
+    role: apiKeyRole,
+  };
+
+  // WebSocket upgrades: JWT in ?token= (browsers) or x-api-key header
+  function authenticateUpgrade(req, url) {
+    const token = url.searchParams.get("token");
+    if (token) {
+      try {
+        return verifyToken(token);
+      } catch (err) {
+        return null;
+      }
+    }
+    if (apiKeyMatches(req.headers["x-api-key"])) return apiKeyOperator;
+    return null;
+  }
+
+  function authenticate(req, res, next) {
+    const header = req.headers.authorization || "";
+    if (header.startsWith("Bearer ")) {
+      try {
+        req.operator = verifyToken(header.slice(7).trim());
+        return next();
+      } catch (err) {
+        console.warn("[Auth] Rejected token", {
+          path: req.path,
+          method: req.method,
+          reason: err.message,
+        });
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+    }
+
+    const sentKey =
+      req.headers["x-api-key"] ||
+      req.headers["x-internal-api-key"] ||
+      req.headers["x_api_key"];
+
+    if (apiKeyMatches(sentKey)) {
+      req.operator = apiKeyOperator;
+      return next();
+    }
+
+    console.warn("[Auth] Unauthorized request", {
+      path: req.path,
+      method: req.method,
+      sentLen: sentKey ? String(sentKey).length : 0,
+    });
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  // requireRole("operator") admits operators and supervisors
+  function requireRole(minRole) {
+    return (req, res, next) => {
+      const role = req.operator && req.operator.role;
+      if (roleRank(role) >= roleRank(minRole)) return next();
+      console.warn("[Auth] Forbidden", {
+        path: req.path,
+        username: req.operator?.username,
+        role,
+        required: minRole,
+      });
+      return res
+        .status(403)
+        .json({ error: "Forbidden", required: minRole, role: role || null });
+    };
+  }
+
+  return {
+    authenticate,
+    authenticateUpgrade,
+    requireRole,
+    issueToken,
+    verifyToken,
+  };
+}
+
+// Name recorded on timeline entries, messages and incidents
+function actorOf(req) {
+  return req.operator ? req.operator.username : null;
+}
+
+module.exports = { createAuth, actorOf, roleRank };
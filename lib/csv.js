@@ -0,0 +1,77 @@
+// Minimal RFC 4180 CSV reading/writing (quoted fields, "" escapes, CRLF or LF)
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// guardFormulas: prefix such cells with "'" so they open as plain text
+function csvCell(value, { guardFormulas = false } = {}) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (guardFormulas && FORMULA_START.test(s)) s = "'" + s;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: arrays of cell values; returns CSV text with a trailing CRLF
+function toCsv(rows, opts) {
+  return (
+    rows.map((row) => row.map((v) => csvCell(v, opts)).join(",")).join("\r\n") +
+    "\r\n"
+  );
+}
+
+// Drops the "'" that guardFormulas added, so exports re-import unchanged
+function unguardFormula(cell) {
+  return cell[0] === "'" && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+// Returns an array of rows (arrays of strings); blank lines are skipped
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      endRow();
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length) endRow();
+  return rows;
+}
+
+module.exports = { parseCsv, toCsv, csvCell, unguardFormula };
@@ -0,0 +1,49 @@
+// SQLite access (better-sqlite3) + schema migrations
+
+const Database = require("better-sqlite3");
+const migrations = require("./migrations");
+
+function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+  const pending = migrations
+    .filter((m) => m.version > current)
+    .sort((a, b) => a.version - b.version);
+
+  pending.forEach((m) => {
+    db.transaction(() => {
+      if (typeof m.up === "function") m.up(db);
+      else db.exec(m.up);
+      db.pragma(`user_version = ${m.version}`);
+    })();
+    console.log(`[DB] Applied migration ${m.version} (${m.name})`);
+  });
+
+  return db.pragma("user_version", { simple: true });
+}
+
+function openDatabase(filename) {
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  const version = migrate(db);
+  console.log("[DB] Opened", filename, "schema version", version);
+  return db;
+}
+
+// JSON columns are stored as TEXT
+function toJson(value, fallback = null) {
+  if (value === undefined || value === null) return fallback;
+  return JSON.stringify(value);
+}
+
+function fromJson(text, fallback = null) {
+  if (text === undefined || text === null || text === "") return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    console.warn("[DB] Bad JSON column value:", err.message);
+    return fallback;
+  }
+}
+
+module.exports = { openDatabase, migrate, toJson, fromJson };
@@ -0,0 +1,118 @@
+// Device health from the IPC Outbound `status` object
+//
+// Every event carries one (code 1 "Device Status" exists to report it):
+//   autonomous       1 when the device is tracking on its own schedule
+//   lowBattery       1 when the device reports a low battery
+//   intervalChange   new tracking interval in seconds, 0 if unchanged
+//   resetDetected    1 after the device restarted
+// Newer firmware also reports a battery percentage (batteryLevel); older
+// payloads only have the low-battery flag.
+
+const DEFAULT_BATTERY_THRESHOLDS = [30, 15, 5];
+
+function pick(obj, ...keys) {
+  for (const k of keys) {
+    if (obj[k] !== undefined && obj[k] !== null && obj[k] !== "") return obj[k];
+  }
+  return undefined;
+}
+
+function flag(v) {
+  return v === undefined ? null : v === true || Number(v) === 1 || v === "true";
+}
+
+/**
+ * Typed fields of an IPC status object, or null when it has none of them.
+ * @returns {{ batteryLevel: number|null, lowBattery: boolean|null,
+ *   autonomous: boolean|null, intervalSeconds: number|null,
+ *   resetDetected: boolean|null } | null}
+ */
+function parseDeviceStatus(status) {
+  if (!status || typeof status !== "object") return null;
+  const level = Number(pick(status, "batteryLevel", "BatteryLevel", "battery", "Battery"));
+  const interval = Number(pick(status, "intervalChange", "IntervalChange"));
+  const health = {
+    batteryLevel:
+      Number.isFinite(level) && level >= 0 && level <= 100 ? Math.round(level) : null,
+    lowBattery: flag(pick(status, "lowBattery", "LowBattery")),
+    autonomous: flag(pick(status, "autonomous", "Autonomous")),
+    intervalSeconds: Number.isFinite(interval) && interval > 0 ? interval : null,
+    resetDetected: flag(pick(status, "resetDetected", "ResetDetected")),
+  };
+  return Object.values(health).some((v) => v !== null) ? health : null;
+}
+
+// Device health after a status report: fields the report leaves out keep
+// their last known value (batteryLevelAt says how old the level is)
+function mergeHealth(previous, parsed, at) {
+  const prev = previous || {};
+  const next = { at };
+  ["lowBattery", "autonomous", "intervalSeconds", "resetDetected"].forEach((k) => {
+    next[k] = parsed[k] ?? (k === "resetDetected" ? false : prev[k] ?? null);
+  });
+  if (parsed.batteryLevel != null) {
+    next.batteryLevel = parsed.batteryLevel;
+    next.batteryLevelAt = at;
+  } else {
+    next.batteryLevel = prev.batteryLevel ?? null;
+    next.batteryLevelAt = prev.batteryLevelAt ?? null;
+  }
+  return next;
+}
+
+// True when the report says something the current health doesn't
+function healthChanged(previous, parsed) {
+  if (!previous) return true;
+  return Object.keys(parsed).some((k) => {
+    if (parsed[k] === null) return false;
+    if (k === "resetDetected") return parsed[k];
+    return parsed[k] !== previous[k];
+  });
+}
+
+// BATTERY_ALERT_THRESHOLDS="30,15,5" (percent), highest first
+function loadBatteryThresholds(env) {
+  const raw = env.BATTERY_ALERT_THRESHOLDS;
+  if (!raw) return DEFAULT_BATTERY_THRESHOLDS;
+  const values = String(raw)
+    .split(",")
+    .map((s) => Number(s.trim()))
+    .filter((n) => Number.isFinite(n) && n > 0 && n <= 100);
+  if (!values.length) {
+    throw new Error("BATTERY_ALERT_THRESHOLDS must list percentages, e.g. 30,15,5");
+  }
+  return [...new Set(values)].sort((a, b) => b - a);
+}
+
+/**
+ * What to alert on when health goes from `previous` to `next`: the lowest
+ * threshold the battery level fell to or below, and/or the low-battery flag
+ * being raised. Returns null if neither happened.
+ */
+function batteryAlert(previous, next, thresholds) {
+  const prev = previous || {};
+  let threshold = null;
+  if (next.batteryLevel != null) {
+    const before = prev.batteryLevel ?? Infinity;
+    thresholds.forEach((t) => {
+      if (before > t && next.batteryLevel <= t) threshold = t;
+    });
+  }
+  const lowBatteryRaised = next.lowBattery === true && prev.lowBattery !== true;
+  if (threshold == null && !lowBatteryRaised) return null;
+  return {
+    threshold,
+    lowBatteryRaised,
+    batteryLevel: next.batteryLevel,
+    lowBattery: !!next.lowBattery,
+  };
+}
+
+module.exports = {
+  parseDeviceStatus,
+  mergeHealth,
+  healthChanged,
+  loadBatteryThresholds,
+  batteryAlert,
+  DEFAULT_BATTERY_THRESHOLDS,
+};
@@ -0,0 +1,215 @@
+// Device registry: who carries a device and who to call
+//
+// Profile fields live on the device record (see DEVICE_FIELDS in
+// devices-store.js). normalizeProfile() validates a partial update;
+// the CSV helpers convert between devices and the import/export format:
+//   imei,tenantId,label,ownerName,organisation,bloodType,medicalNotes,emergencyContacts,tags
+// with emergencyContacts as "Name | phone | email | relation; Name | phone | |"
+// and tags as "tag1; tag2". Exports guard formula-like cells (see csv.js).
+
+const { isValidImei } = require("./ipc-validation");
+const { unguardFormula } = require("./csv");
+
+const BLOOD_TYPES = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+const MAX_CONTACTS = 10;
+const MAX_TAGS = 20;
+
+const TEXT_LIMITS = {
+  label: 100,
+  ownerName: 200,
+  organisation: 200,
+  medicalNotes: 2000,
+};
+
+const PROFILE_FIELDS = [
+  "label",
+  "ownerName",
+  "organisation",
+  "bloodType",
+  "medicalNotes",
+  "emergencyContacts",
+  "tags",
+];
+
+const CSV_COLUMNS = ["imei", "tenantId", ...PROFILE_FIELDS];
+
+function normalizeText(key, value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "string") throw new Error(`${key} must be a string`);
+  const v = value.trim();
+  if (v.length > TEXT_LIMITS[key]) {
+    throw new Error(`${key} is longer than ${TEXT_LIMITS[key]} characters`);
+  }
+  return v || null;
+}
+
+function normalizeContacts(value) {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error("emergencyContacts must be an array");
+  if (value.length > MAX_CONTACTS) {
+    throw new Error(`At most ${MAX_CONTACTS} emergency contacts`);
+  }
+  return value.map((c, i) => {
+    if (!c || typeof c !== "object") {
+      throw new Error(`emergencyContacts[${i}] must be an object`);
+    }
+    const name = String(c.name || "").trim();
+    const phone = String(c.phone || "").trim();
+    const email = String(c.email || "").trim();
+    if (!name) throw new Error(`emergencyContacts[${i}].name is required`);
+    if (!phone && !email) {
+      throw new Error(`emergencyContacts[${i}] needs a phone or email`);
+    }
+    const contact = { name };
+    if (phone) contact.phone = phone;
+    if (email) contact.email = email;
+    if (c.relation && String(c.relation).trim()) {
+      contact.relation = String(c.relation).trim();
+    }
+    return contact;
+  });
+}
+
+function normalizeTags(value) {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error("tags must be an array");
+  const tags = [
+    ...new Set(value.map((t) => String(t).trim()).filter(Boolean)),
+  ];
+  if (tags.length > MAX_TAGS) throw new Error(`At most ${MAX_TAGS} tags`);
+  if (tags.some((t) => t.length > 50)) throw new Error("Tags are limited to 50 characters");
+  return tags;
+}
+
+/**
+ * Validates the profile fields present in `input`; other keys are ignored.
+ * Throws with a user-facing message.
+ */
+function normalizeProfile(input) {
+  const out = {};
+  PROFILE_FIELDS.forEach((key) => {
+    if (!(key in input)) return;
+    const value = input[key];
+    if (key === "bloodType") {
+      const v = value == null ? "" : String(value).trim().toUpperCase();
+      if (v && !BLOOD_TYPES.includes(v)) {
+        throw new Error(`bloodType must be one of ${BLOOD_TYPES.join(", ")}`);
+      }
+      out.bloodType = v || null;
+    } else if (key === "emergencyContacts") {
+      out.emergencyContacts = normalizeContacts(value);
+    } else if (key === "tags") {
+      out.tags = normalizeTags(value);
+    } else {
+      out[key] = normalizeText(key, value);
+    }
+  });
+  return out;
+}
+
+function contactsToCell(contacts) {
+  return (contacts || [])
+    .map((c) =>
+      [c.name, c.phone || "", c.email || "", c.relation || ""].join(" | ")
+    )
+    .join("; ");
+}
+
+// Sub-fields are read by position, so every contact needs all four
+function cellToContacts(cell) {
+  if (!cell.trim()) return [];
+  return cell.split(";").map((part) => {
+    const fields = part.split("|").map((s) => s.trim());
+    if (fields.length !== 4) {
+      throw new Error(
+        `Emergency contact "${part.trim()}" must be "Name | phone | email | relation"`
+      );
+    }
+    const [name, phone, email, relation] = fields;
+    return { name, phone, email, relation };
+  });
+}
+
+function deviceToCsvRow(dev) {
+  return CSV_COLUMNS.map((col) => {
+    if (col === "emergencyContacts") return contactsToCell(dev.emergencyContacts);
+    if (col === "tags") return (dev.tags || []).join("; ");
+    return dev[col] ?? "";
+  });
+}
+
+/**
+ * Turns parsed CSV rows (header first) into { imei, tenantId, profile }
+ * entries. Returns { entries, errors } with 1-based line numbers in errors.
+ */
+function csvRowsToProfiles(rows) {
+  const errors = [];
+  const entries = [];
+  const [header, ...body] = rows;
+  if (!header) return { entries, errors: [{ line: 1, error: "Empty file" }] };
+
+  const cols = header.map((h) => h.trim());
+  const unknown = cols.filter((c) => !CSV_COLUMNS.includes(c));
+  if (!cols.includes("imei")) errors.push({ line: 1, error: "Missing imei column" });
+  if (unknown.length) {
+    errors.push({ line: 1, error: `Unknown columns: ${unknown.join(", ")}` });
+  }
+  if (errors.length) return { entries, errors };
+
+  const seen = new Set();
+  body.forEach((cells, i) => {
+    const line = i + 2;
+    const raw = {};
+    cols.forEach((col, j) => {
+      raw[col] = unguardFormula(cells[j] ?? "");
+    });
+    const imei = raw.imei.trim();
+    if (!isValidImei(imei)) {
+      errors.push({ line, error: `Invalid IMEI "${imei}"` });
+      return;
+    }
+    if (seen.has(imei)) {
+      errors.push({ line, error: `Duplicate IMEI ${imei}` });
+      return;
+    }
+    seen.add(imei);
+
+    try {
+      const input = {};
+      cols.forEach((col) => {
+        if (col === "imei" || col === "tenantId") return;
+        if (col === "emergencyContacts") input[col] = cellToContacts(raw[col]);
+        else if (col === "tags") input[col] = raw[col].split(";");
+        else input[col] = raw[col];
+      });
+      entries.push({
+        line,
+        imei,
+        tenantId: "tenantId" in raw ? raw.tenantId.trim() || null : undefined,
+        profile: normalizeProfile(input),
+      });
+    } catch (err) {
+      errors.push({ line, error: err.message });
+    }
+  });
+  return { entries, errors };
+}
+
+// Case-insensitive match on IMEI, label, owner, organisation and tags
+function matchesSearch(dev, q) {
+  const needle = String(q || "").trim().toLowerCase();
+  if (!needle) return true;
+  return [dev.imei, dev.label, dev.ownerName, dev.organisation, ...(dev.tags || [])]
+    .filter(Boolean)
+    .some((v) => String(v).toLowerCase().includes(needle));
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  CSV_COLUMNS,
+  BLOOD_TYPES,
+  normalizeProfile,
+  deviceToCsvRow,
+  csvRowsToProfiles,
+  matchesSearch,
+};
@@ -0,0 +1,1173 @@
+// DevicesStore – in-memory view of every device, written through to SQLite.
+// On startup `load()` rebuilds the in-memory state from the database so a
+// restart in the middle of an SOS keeps the full incident history.
+//
+// Emits "position" (imei, pos) for every position taken in by ingestEvent,
+// "incident" (incident) whenever an SOS opens or moves an incident,
+// "message" (imei, msg) for every inbound message, and "health" (imei,
+// health, previous) when a status report changes the device's health
+// (battery, tracking mode; see lib/device-health.js). Inside transaction()
+// they wait until it commits.
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { toJson, fromJson } = require("./db");
+const { parseTimestamp } = require("./ipc-validation");
+const { IncidentsStore, ACTIVE_STATUSES, rowToNote } = require("./incidents");
+const {
+  parseDeviceStatus,
+  mergeHealth,
+  healthChanged,
+} = require("./device-health");
+
+// Positions, messages and timeline events are kept in full in SQLite and
+// read from there page by page; a device in memory only caches its most
+// recent positions (for the map and geofences).
+const MAX_CACHED_POSITIONS = 500;
+
+// [device property, column, kind]
+const DEVICE_FIELDS = [
+  ["imei", "imei"],
+  ["tenantId", "tenant_id"],
+  ["label", "label"],
+  ["ownerName", "owner_name"],
+  ["organisation", "organisation"],
+  ["bloodType", "blood_type"],
+  ["medicalNotes", "medical_notes"],
+  ["emergencyContacts", "emergency_contacts", "json"],
+  ["tags", "tags", "json"],
+  ["profileUpdatedAt", "profile_updated_at"],
+  ["profileUpdatedBy", "profile_updated_by"],
+  ["status", "status"],
+  ["incidentId", "incident_id"],
+  ["assignedTo", "assigned_to"],
+  ["isActiveSos", "is_active_sos", "bool"],
+  ["trackingEnabled", "tracking_enabled", "bool"],
+  ["trackingInterval", "tracking_interval"],
+  ["trackingPending", "tracking_pending", "json"],
+  ["lastTrackingStateAt", "last_tracking_state_at"],
+  ["outsideAllowedArea", "outside_allowed_area", "bool"],
+  ["position", "position", "json"],
+  ["lastPositionAt", "last_position_at"],
+  ["lastMessageAt", "last_message_at"],
+  ["lastEventAt", "last_event_at"],
+  ["lastSosEventAt", "last_sos_event_at"],
+  ["lastSosAckAt", "last_sos_ack_at"],
+  ["lastSosAckBy", "last_sos_ack_by"],
+  ["lastSosCancelAt", "last_sos_cancel_at"],
+  ["lastSosStateAt", "last_sos_state_at"],
+  ["lastSosAddress", "last_sos_address"],
+  ["lastAddresses", "last_addresses", "json"],
+  ["statusRaw", "status_raw", "json"],
+  ["health", "health", "json"],
+  ["closedAt", "closed_at"],
+  ["closedBy", "closed_by"],
+  ["createdAt", "created_at"],
+];
+
+function deviceToRow(dev) {
+  const row = {};
+  DEVICE_FIELDS.forEach(([prop, col, kind]) => {
+    const v = dev[prop];
+    if (kind === "bool") row[col] = v ? 1 : 0;
+    else if (kind === "json") row[col] = toJson(v);
+    else row[col] = v === undefined ? null : v;
+  });
+  return row;
+}
+
+function rowToDevice(row) {
+  const dev = {};
+  DEVICE_FIELDS.forEach(([prop, col, kind]) => {
+    const v = row[col];
+    if (kind === "bool") dev[prop] = !!v;
+    else if (kind === "json") dev[prop] = fromJson(v, null);
+    else dev[prop] = v;
+  });
+  if (!dev.position) delete dev.position;
+  if (!Array.isArray(dev.lastAddresses)) dev.lastAddresses = [];
+  if (!Array.isArray(dev.emergencyContacts)) dev.emergencyContacts = [];
+  if (!Array.isArray(dev.tags)) dev.tags = [];
+  if (!dev.statusRaw) dev.statusRaw = {};
+  return dev;
+}
+
+function rowToMessage(row) {
+  const msg = {
+    id: row.id,
+    imei: row.imei,
+    direction: row.direction,
+    text: row.text,
+    timestamp: row.timestamp,
+    is_sos: !!row.is_sos,
+    sentBy: row.sent_by,
+    incidentId: row.incident_id,
+  };
+  if (row.direction === "outbound") {
+    Object.assign(msg, {
+      tenantId: row.tenant_id,
+      recipientOverride: row.recipient_override,
+      splitId: row.split_id,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastError: row.last_error,
+      garminResponse: fromJson(row.garmin_response, null),
+      updatedAt: row.updated_at,
+    });
+  }
+  return msg;
+}
+
+// Outbound delivery fields that updateMessage() may change
+const MESSAGE_STATE_FIELDS = [
+  ["status", "status"],
+  ["attempts", "attempts"],
+  ["nextAttemptAt", "next_attempt_at"],
+  ["lastError", "last_error"],
+  ["garminResponse", "garmin_response", "json"],
+  ["updatedAt", "updated_at"],
+];
+
+function rowToTimelineEvent(row) {
+  const entry = { type: row.type };
+  if (row.code != null) entry.code = row.code;
+  entry.at = row.at;
+  Object.assign(entry, fromJson(row.data, {}));
+  if (row.incident_id != null) entry.incidentId = row.incident_id;
+  return entry;
+}
+
+function rowToHealth(row) {
+  const bool = (v) => (v == null ? null : !!v);
+  return {
+    at: row.at,
+    code: row.code,
+    batteryLevel: row.battery_level,
+    lowBattery: bool(row.low_battery),
+    autonomous: bool(row.autonomous),
+    intervalSeconds: row.interval_seconds,
+    resetDetected: bool(row.reset_detected),
+    incidentId: row.incident_id,
+  };
+}
+
+function rowToPosition(row) {
+  return {
+    lat: row.lat,
+    lng: row.lng,
+    altitude: row.altitude,
+    gpsFix: row.gps_fix,
+    course: row.course,
+    speed: row.speed,
+    timestamp: row.timestamp,
+    incidentId: row.incident_id,
+  };
+}
+
+// Sources of the combined timeline: [kind, table, time column, id column, row mapper]
+const TIMELINE_SOURCES = [
+  ["event", "timeline_events", "at", "id", rowToTimelineEvent],
+  ["message", "messages", "timestamp", "seq", rowToMessage],
+  ["note", "incident_notes", "created_at", "id", rowToNote],
+  ["position", "positions", "timestamp", "id", rowToPosition],
+];
+const TIMELINE_KINDS = TIMELINE_SOURCES.map(([kind]) => kind);
+
+// Newest first: time, then kind, then id (the same order cursors use)
+function compareTimelineItems(a, b) {
+  if (a.at !== b.at) return a.at < b.at ? 1 : -1;
+  if (a.kind !== b.kind) return a.kind < b.kind ? 1 : -1;
+  return b.id - a.id;
+}
+
+function encodeTimelineCursor(item) {
+  return Buffer.from(`${item.at}|${item.kind}|${item.id}`).toString("base64url");
+}
+
+// Returns { at, kind, id } or null if the cursor is malformed
+function decodeTimelineCursor(cursor) {
+  const [at, kind, id] = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .split("|");
+  if (!at || !TIMELINE_KINDS.includes(kind) || !Number.isInteger(Number(id))) {
+    return null;
+  }
+  return { at, kind, id: Number(id) };
+}
+
+// Opaque "older than this row" cursor for message / position pages
+function encodePageCursor(...parts) {
+  return Buffer.from(parts.join("|")).toString("base64url");
+}
+
+// [at, id] for positions, [seq] for messages, or null if malformed
+function decodePageCursor(cursor, kind) {
+  const parts = Buffer.from(String(cursor), "base64url").toString().split("|");
+  const last = parts[parts.length - 1];
+  if (!/^\d+$/.test(last)) return null;
+  const id = Number(last);
+  if (kind === "message") return parts.length === 1 ? { seq: id } : null;
+  return parts.length === 2 && parts[0] ? { at: parts[0], id } : null;
+}
+
+// At most `maxPoints` of a track, evenly spread over it (first and last kept)
+function downsample(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+  if (maxPoints < 2) return points.slice(-maxPoints);
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+}
+
+// "Interval: 10 min", "Tracking interval 300 s" - the whole text, nothing else
+const INTERVAL_TEXT =
+  /^\s*(?:track(?:ing)?\s+)?interval\s*:?\s*(\d+)\s*(s|sec|seconds|m|min|minutes)?\s*$/i;
+
+// Tracking interval (seconds) reported by a code 10/11 event: IPC puts the
+// new interval in status.intervalChange; some firmware only sends it as text.
+function parseTrackingInterval(status, text) {
+  const raw = status && (status.intervalChange ?? status.IntervalChange);
+  const fromStatus = Number(raw);
+  if (Number.isFinite(fromStatus) && fromStatus > 0) return fromStatus;
+  const m = INTERVAL_TEXT.exec(text || "");
+  if (!m) return null;
+  const n = Number(m[1]);
+  return m[2] && m[2][0].toLowerCase() === "m" ? n * 60 : n;
+}
+
+// Device without its cached positions (for API responses and WebSocket events)
+function deviceSummary(dev) {
+  if (!dev) return dev;
+  const { positions, ...rest } = dev;
+  return rest;
+}
+
+class DevicesStore extends EventEmitter {
+  /**
+   * @param {import("better-sqlite3").Database} db
+   * @param {object} [opts]
+   * @param {IncidentsStore} [opts.incidents]
+   */
+  constructor(db, { incidents } = {}) {
+    super();
+    this.db = db;
+    this.incidents = incidents || new IncidentsStore(db);
+    /** @type {Record<string, any>} */
+    this.devices = {};
+    // While transaction() runs: cached devices as they were before it, and
+    // what to do once it commits
+    this.pending = null;
+
+    const cols = DEVICE_FIELDS.map(([, col]) => col);
+    this.stmts = {
+      upsertDevice: db.prepare(`
+        INSERT INTO devices (${cols.join(", ")})
+        VALUES (${cols.map((c) => "@" + c).join(", ")})
+        ON CONFLICT(imei) DO UPDATE SET
+          ${cols
+            .filter((c) => c !== "imei")
+            .map((c) => `${c} = excluded.${c}`)
+            .join(", ")}
+      `),
+      insertMessage: db.prepare(`
+        INSERT INTO messages (
+          id, imei, direction, text, timestamp, is_sos, sent_by, incident_id,
+          tenant_id, recipient_override, split_id, status, attempts, next_attempt_at,
+          updated_at
+        )
+        VALUES (
+          @id, @imei, @direction, @text, @timestamp, @is_sos, @sent_by, @incident_id,
+          @tenant_id, @recipient_override, @split_id, @status, @attempts, @next_attempt_at,
+          @updated_at
+        )
+      `),
+      messageById: db.prepare("SELECT * FROM messages WHERE id = ?"),
+      insertTimeline: db.prepare(`
+        INSERT INTO timeline_events (imei, incident_id, type, code, at, data)
+        VALUES (@imei, @incident_id, @type, @code, @at, @data)
+      `),
+      insertPosition: db.prepare(`
+        INSERT INTO positions (imei, incident_id, lat, lng, altitude, gps_fix, course, speed, timestamp)
+        VALUES (@imei, @incident_id, @lat, @lng, @altitude, @gps_fix, @course, @speed, @timestamp)
+      `),
+      insertHealth: db.prepare(`
+        INSERT INTO device_health (
+          imei, incident_id, code, at, battery_level, low_battery, autonomous,
+          interval_seconds, reset_detected
+        )
+        VALUES (
+          @imei, @incident_id, @code, @at, @battery_level, @low_battery, @autonomous,
+          @interval_seconds, @reset_detected
+        )
+      `),
+      healthBetween: db.prepare(`
+        SELECT * FROM (
+          SELECT * FROM device_health
+          WHERE imei = @imei AND at >= @from AND at <= @to
+          ORDER BY at DESC, id DESC LIMIT @limit
+        ) ORDER BY at, id
+      `),
+      allDevices: db.prepare("SELECT * FROM devices ORDER BY created_at"),
+      lastMessagesFor: db.prepare(
+        "SELECT * FROM (SELECT * FROM messages WHERE imei = ? ORDER BY seq DESC LIMIT ?) ORDER BY seq"
+      ),
+      lastPositionsFor: db.prepare(
+        "SELECT * FROM (SELECT * FROM positions WHERE imei = ? ORDER BY timestamp DESC, id DESC LIMIT ?) ORDER BY timestamp, id"
+      ),
+      positionsBetween: db.prepare(
+        "SELECT * FROM positions WHERE imei = @imei AND timestamp >= @from AND timestamp <= @to ORDER BY timestamp, id"
+      ),
+      timelineBetween: db.prepare(
+        "SELECT * FROM timeline_events WHERE imei = @imei AND at >= @from AND at <= @to ORDER BY id"
+      ),
+      timelineForIncident: db.prepare(
+        "SELECT * FROM timeline_events WHERE incident_id = ? ORDER BY id"
+      ),
+      messagesForIncident: db.prepare(
+        "SELECT * FROM messages WHERE incident_id = ? ORDER BY seq"
+      ),
+      positionsForIncident: db.prepare(
+        "SELECT * FROM positions WHERE incident_id = ? ORDER BY timestamp, id"
+      ),
+    };
+  }
+
+  // Rebuild in-memory state from SQLite (called once on startup)
+  load() {
+    this.devices = {};
+    this.stmts.allDevices.all().forEach((row) => {
+      const dev = rowToDevice(row);
+      dev.positions = this.stmts.lastPositionsFor
+        .all(dev.imei, MAX_CACHED_POSITIONS)
+        .map(rowToPosition);
+      this.devices[dev.imei] = dev;
+    });
+    console.log("[DevicesStore] Loaded", this.list().length, "devices from DB");
+    return this;
+  }
+
+  get(imei) {
+    return this.devices[imei];
+  }
+
+  list(tenantId) {
+    const all = Object.values(this.devices);
+    if (!tenantId) return all;
+    return all.filter((d) => d.tenantId === tenantId);
+  }
+
+  // Last `limit` messages, oldest first
+  listMessages(imei, limit) {
+    return this.stmts.lastMessagesFor.all(imei, limit).map(rowToMessage);
+  }
+
+  /**
+   * The newest `limit` messages in [from, to] older than `before`, oldest
+   * first; nextCursor pages further back.
+   * @param {string} imei
+   * @param {{ from?: string, to?: string, before?: { seq: number }, limit?: number }} [opts]
+   * @returns {{ items: object[], nextCursor: string | null }}
+   */
+  pageMessages(imei, { from, to, before, limit = 50 } = {}) {
+    const rows = this.db
+      .prepare(
+        `SELECT * FROM messages
+         WHERE imei = @imei AND timestamp >= @from AND timestamp <= @to
+           ${before ? "AND seq < @beforeSeq" : ""}
+         ORDER BY seq DESC LIMIT @limit`
+      )
+      .all({
+        imei,
+        from: from || "",
+        to: to || "9999-12-31T23:59:59.999Z",
+        beforeSeq: before ? before.seq : null,
+        limit: limit + 1,
+      });
+    const page = rows.slice(0, limit).reverse();
+    return {
+      items: page.map(rowToMessage),
+      nextCursor: rows.length > limit ? encodePageCursor(page[0].seq) : null,
+    };
+  }
+
+  listPositions(imei, limit = MAX_CACHED_POSITIONS) {
+    return this.stmts.lastPositionsFor.all(imei, limit).map(rowToPosition);
+  }
+
+  /**
+   * Positions in [from, to], oldest first. With `maxPoints` the whole range
+   * comes back, downsampled to that many points if it is longer
+   * (downsampledFrom is then the original count); otherwise the newest
+   * `limit` points older than `before`, and nextCursor pages further back.
+   * @returns {{ items: object[], nextCursor: string | null, downsampledFrom?: number }}
+   */
+  pagePositions(imei, { from, to, before, limit = MAX_CACHED_POSITIONS, maxPoints } = {}) {
+    const params = {
+      imei,
+      from: from || "",
+      to: to || "9999-12-31T23:59:59.999Z",
+    };
+    if (maxPoints) {
+      const all = this.stmts.positionsBetween.all(params);
+      const items = downsample(all, maxPoints).map(rowToPosition);
+      return items.length < all.length
+        ? { items, nextCursor: null, downsampledFrom: all.length }
+        : { items, nextCursor: null };
+    }
+
+    const rows = this.db
+      .prepare(
+        `SELECT * FROM positions
+         WHERE imei = @imei AND timestamp >= @from AND timestamp <= @to
+           ${
+             before
+               ? "AND (timestamp < @beforeAt OR (timestamp = @beforeAt AND id < @beforeId))"
+               : ""
+           }
+         ORDER BY timestamp DESC, id DESC LIMIT @limit`
+      )
+      .all({
+        ...params,
+        beforeAt: before ? before.at : null,
+        beforeId: before ? before.id : null,
+        limit: limit + 1,
+      });
+    const page = rows.slice(0, limit).reverse();
+    return {
+      items: page.map(rowToPosition),
+      nextCursor:
+        rows.length > limit ? encodePageCursor(page[0].timestamp, page[0].id) : null,
+    };
+  }
+
+  // Full position history and timeline within [from, to] (ISO strings)
+  listHistoryBetween(imei, { from, to } = {}) {
+    const params = {
+      imei,
+      from: from || "",
+      to: to || "9999-12-31T23:59:59.999Z",
+    };
+    return {
+      positions: this.stmts.positionsBetween.all(params).map(rowToPosition),
+      timeline: this.stmts.timelineBetween.all(params).map(rowToTimelineEvent),
+    };
+  }
+
+  /**
+   * One page of a device's timeline events, newest first, optionally
+   * interleaved with its messages and positions.
+   * @param {string} imei
+   * @param {object} [opts]
+   * @param {string[]} [opts.kinds]   "event", "message", "note", "position" (default events)
+   * @param {string[]} [opts.types]   event types; "sos-*" matches a prefix
+   * @param {string} [opts.from]      ISO, inclusive
+   * @param {string} [opts.to]        ISO, inclusive
+   * @param {object} [opts.before]    decoded cursor: items strictly older
+   * @returns {{ items: object[], nextCursor: string | null }}
+   */
+  queryTimeline(imei, { kinds = ["event"], types, from, to, before, limit = 50 } = {}) {
+    const items = [];
+    TIMELINE_SOURCES.forEach(([kind, table, timeCol, idCol, mapRow]) => {
+      if (!kinds.includes(kind)) return;
+      const where = [`imei = @imei`, `${timeCol} >= @from`, `${timeCol} <= @to`];
+      const params = {
+        imei,
+        from: from || "",
+        to: to || "9999-12-31T23:59:59.999Z",
+        limit: limit + 1,
+      };
+      if (kind === "event" && types && types.length) {
+        const conds = types.map((t, i) => {
+          params[`type${i}`] = t.endsWith("*") ? t.slice(0, -1) + "%" : t;
+          return t.endsWith("*") ? `type LIKE @type${i}` : `type = @type${i}`;
+        });
+        where.push(`(${conds.join(" OR ")})`);
+      }
+      if (before) {
+        params.beforeAt = before.at;
+        params.beforeId = before.id;
+        if (kind < before.kind) where.push(`${timeCol} <= @beforeAt`);
+        else if (kind > before.kind) where.push(`${timeCol} < @beforeAt`);
+        else {
+          where.push(
+            `(${timeCol} < @beforeAt OR (${timeCol} = @beforeAt AND ${idCol} < @beforeId))`
+          );
+        }
+      }
+      this.db
+        .prepare(
+          `SELECT * FROM ${table} WHERE ${where.join(" AND ")}
+           ORDER BY ${timeCol} DESC, ${idCol} DESC LIMIT @limit`
+        )
+        .all(params)
+        .forEach((row) => {
+          items.push({ kind, id: row[idCol], at: row[timeCol], [kind]: mapRow(row) });
+        });
+    });
+
+    items.sort(compareTimelineItems);
+    const page = items.slice(0, limit);
+    return {
+      items: page,
+      nextCursor:
+        items.length > limit ? encodeTimelineCursor(page[page.length - 1]) : null,
+    };
+  }
+
+  // Status reports within [from, to] (ISO), the last `limit` of them, oldest first
+  listHealthHistory(imei, { from, to, limit = 500 } = {}) {
+    return this.stmts.healthBetween
+      .all({
+        imei,
+        from: from || "",
+        to: to || "9999-12-31T23:59:59.999Z",
+        limit,
+      })
+      .map(rowToHealth);
+  }
+
+  // Keeps the history of status reports that say something new (and every
+  // code 1 report); only an in-order report moves the device's health.
+  _recordHealth(imei, status, code, at) {
+    const parsed = parseDeviceStatus(status);
+    if (!parsed) return;
+    const previous = this.devices[imei]?.health || null;
+    if (code !== 1 && !healthChanged(previous, parsed)) return;
+
+    const bit = (v) => (v == null ? null : v ? 1 : 0);
+    this.stmts.insertHealth.run({
+      imei,
+      incident_id: this.currentIncidentId(imei),
+      code: Number.isFinite(code) ? code : null,
+      at,
+      battery_level: parsed.batteryLevel,
+      low_battery: bit(parsed.lowBattery),
+      autonomous: bit(parsed.autonomous),
+      interval_seconds: parsed.intervalSeconds,
+      reset_detected: bit(parsed.resetDetected),
+    });
+    if (previous && previous.at > at) return;
+
+    const health = mergeHealth(previous, parsed, at);
+    this.update(imei, (d) => {
+      d.health = health;
+    });
+    this._emit("health", imei, health, previous);
+  }
+
+  // Everything recorded while the incident was the device's current one
+  getIncidentHistory(incidentId) {
+    return {
+      timeline: this.stmts.timelineForIncident
+        .all(incidentId)
+        .map(rowToTimelineEvent),
+      messages: this.stmts.messagesForIncident.all(incidentId).map(rowToMessage),
+      positions: this.stmts.positionsForIncident
+        .all(incidentId)
+        .map(rowToPosition),
+    };
+  }
+
+  // Incident new timeline/messages/positions rows belong to (none once closed)
+  currentIncidentId(imei) {
+    const d = this.devices[imei];
+    return d && d.incidentId && d.status !== "closed" ? d.incidentId : null;
+  }
+
+  getCurrentIncident(imei) {
+    const d = this.devices[imei];
+    return d && d.incidentId ? this.incidents.get(d.incidentId) : null;
+  }
+
+  /**
+   * Moves the device's current incident to `status` and mirrors it on the
+   * device. Returns the updated incident, or null if there is no incident or
+   * the transition isn't allowed.
+   */
+  setIncidentStatus(imei, status, opts = {}) {
+    const d = this.devices[imei];
+    if (!d || !d.incidentId) return null;
+    return this.transitionIncident(d.incidentId, status, opts);
+  }
+
+  // Same, by incident id; the device is only touched if it's its current one
+  transitionIncident(incidentId, status, opts = {}) {
+    const incident = this.incidents.transition(incidentId, status, opts);
+    if (!incident) return null;
+    const d = this.devices[incident.imei];
+    if (d && d.incidentId === incident.id) {
+      this.update(incident.imei, (dev) => {
+        dev.status = incident.status;
+        if (status === "closed") {
+          dev.closedAt = incident.closedAt;
+          dev.closedBy = incident.closedBy;
+        }
+      });
+    }
+    this._emit("incident", incident);
+    return incident;
+  }
+
+  // Claims, reassigns or (assignee null) releases an incident; the device
+  // mirrors the assignee while it is its current incident
+  assignIncident(incidentId, opts) {
+    const incident = this.incidents.assign(incidentId, opts);
+    if (!incident) return null;
+    const d = this.devices[incident.imei];
+    if (d && d.incidentId === incident.id) {
+      this.update(incident.imei, (dev) => {
+        dev.assignedTo = incident.assignedTo;
+      });
+    }
+    return incident;
+  }
+
+  // A declare/confirm joins the current incident while it is still active
+  _openIncidentIfNeeded(imei, tsIso, msgCode) {
+    const current = this.getCurrentIncident(imei);
+    if (current && ACTIVE_STATUSES.includes(current.status)) return current;
+
+    const dev = this.devices[imei];
+    const incident = this.incidents.open(imei, {
+      tenantId: dev.tenantId,
+      at: tsIso,
+      code: msgCode,
+    });
+    this.update(imei, (d) => {
+      d.incidentId = incident.id;
+      d.status = incident.status;
+      d.assignedTo = null;
+      d.closedAt = null;
+      d.closedBy = null;
+    });
+    this.addTimelineEvent(imei, {
+      type: "incident-opened",
+      code: msgCode,
+      at: tsIso,
+    });
+    this._emit("incident", incident);
+    return incident;
+  }
+
+  /**
+   * Runs fn in a database transaction. If it throws, the cached devices it
+   * changed are put back and the events it emitted are dropped; otherwise
+   * they go out once it has committed.
+   */
+  transaction(fn) {
+    if (this.pending) return fn();
+    const pending = { snapshots: new Map(), afterCommit: [] };
+    this.pending = pending;
+    let result;
+    try {
+      result = this.db.transaction(fn)();
+    } catch (err) {
+      pending.snapshots.forEach((dev, imei) => {
+        if (dev) this.devices[imei] = dev;
+        else delete this.devices[imei];
+      });
+      throw err;
+    } finally {
+      this.pending = null;
+    }
+    // The data is committed; a failing listener must not undo that
+    pending.afterCommit.forEach((run) => {
+      try {
+        run();
+      } catch (err) {
+        console.error("[DevicesStore] Listener failed:", err);
+      }
+    });
+    return result;
+  }
+
+  // Runs fn now, or after the transaction() in progress commits
+  _afterCommit(fn) {
+    if (this.pending) this.pending.afterCommit.push(fn);
+    else fn();
+  }
+
+  _emit(...args) {
+    this._afterCommit(() => this.emit(...args));
+  }
+
+  update(imei, fn) {
+    if (this.pending && !this.pending.snapshots.has(imei)) {
+      const current = this.devices[imei];
+      this.pending.snapshots.set(imei, current && structuredClone(current));
+    }
+    if (!this.devices[imei]) {
+      this.devices[imei] = {
+        imei,
+        tenantId: null,
+        label: imei,
+        ownerName: null,
+        organisation: null,
+        bloodType: null,
+        medicalNotes: null,
+        emergencyContacts: [],
+        tags: [],
+        profileUpdatedAt: null,
+        profileUpdatedBy: null,
+        status: "idle",
+        incidentId: null,
+        assignedTo: null,
+        positions: [],
+        isActiveSos: false,
+        trackingEnabled: false,
+        trackingInterval: null,
+        trackingPending: null,
+        lastTrackingStateAt: null,
+        outsideAllowedArea: false,
+        lastPositionAt: null,
+        lastMessageAt: null,
+        lastEventAt: null,
+        lastSosEventAt: null,
+        lastSosAckAt: null,
+        lastSosAckBy: null,
+        lastSosCancelAt: null,
+        lastSosStateAt: null,
+        lastSosAddress: null,
+        lastAddresses: [],
+        statusRaw: {},
+        health: null,
+        createdAt: new Date().toISOString(),
+      };
+    }
+    fn(this.devices[imei]);
+    this.stmts.upsertDevice.run(deviceToRow(this.devices[imei]));
+    return this.devices[imei];
+  }
+
+  // Applies registry fields already checked by normalizeProfile()
+  updateProfile(imei, profile, { tenantId, actor } = {}) {
+    return this.update(imei, (d) => {
+      Object.assign(d, profile);
+      if (!d.label) d.label = imei;
+      if (tenantId !== undefined && tenantId !== null) d.tenantId = tenantId;
+      d.profileUpdatedAt = new Date().toISOString();
+      d.profileUpdatedBy = actor || null;
+    });
+  }
+
+  addTimelineEvent(imei, entry) {
+    const { type, code, at, incidentId: explicitId, ...rest } = entry;
+    const incidentId = explicitId ?? this.currentIncidentId(imei);
+    if (incidentId) entry.incidentId = incidentId;
+    const dev = this.update(imei, () => {});
+    this.stmts.insertTimeline.run({
+      imei,
+      incident_id: incidentId,
+      type,
+      code: Number.isFinite(code) ? code : null,
+      at,
+      data: toJson(rest, "{}"),
+    });
+    return dev;
+  }
+
+  addPosition(imei, pos) {
+    pos.incidentId = this.currentIncidentId(imei);
+    const dev = this.update(imei, (d) => {
+      if (!Array.isArray(d.positions)) d.positions = [];
+      d.positions.push(pos);
+      // A late (out-of-order) point goes into the history only
+      if (!d.lastPositionAt || pos.timestamp >= d.lastPositionAt) {
+        d.position = pos;
+        d.lastPositionAt = pos.timestamp;
+      } else {
+        d.positions.sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+      }
+      if (d.positions.length > MAX_CACHED_POSITIONS) {
+        d.positions = d.positions.slice(-MAX_CACHED_POSITIONS);
+      }
+    });
+    this.stmts.insertPosition.run({
+      imei,
+      incident_id: pos.incidentId,
+      lat: pos.lat,
+      lng: pos.lng,
+      altitude: pos.altitude ?? null,
+      gps_fix: pos.gpsFix == null ? null : Number(pos.gpsFix),
+      course: pos.course ?? null,
+      speed: pos.speed ?? null,
+      timestamp: pos.timestamp,
+    });
+    return dev;
+  }
+
+  addMessage(imei, msg) {
+    msg.incidentId = this.currentIncidentId(imei);
+    const dev = this.update(imei, (d) => {
+      d.lastMessageAt = msg.timestamp;
+    });
+    this.stmts.insertMessage.run({
+      id: msg.id,
+      imei,
+      direction: msg.direction,
+      text: msg.text || "",
+      timestamp: msg.timestamp,
+      is_sos: msg.is_sos ? 1 : 0,
+      sent_by: msg.sentBy || null,
+      incident_id: msg.incidentId,
+      tenant_id: msg.tenantId || null,
+      recipient_override: msg.recipientOverride || null,
+      split_id: msg.splitId || null,
+      status: msg.status || null,
+      attempts: msg.attempts || 0,
+      next_attempt_at: msg.nextAttemptAt || null,
+      updated_at: msg.updatedAt || null,
+    });
+    return dev;
+  }
+
+  getMessage(id) {
+    const row = this.stmts.messageById.get(id);
+    return row ? rowToMessage(row) : null;
+  }
+
+  // Applies delivery-state changes to a stored message
+  updateMessage(id, patch) {
+    const sets = [];
+    const params = { id };
+    MESSAGE_STATE_FIELDS.forEach(([prop, col, kind]) => {
+      if (!(prop in patch)) return;
+      sets.push(`${col} = @${col}`);
+      params[col] = kind === "json" ? toJson(patch[prop]) : patch[prop];
+    });
+    if (!sets.length) return this.getMessage(id);
+    this.db
+      .prepare(`UPDATE messages SET ${sets.join(", ")} WHERE id = @id`)
+      .run(params);
+
+    return this.getMessage(id);
+  }
+
+  addInboundMessageFromEvent(evt, tsIso = new Date().toISOString()) {
+    const imei = evt.imei || evt.Imei;
+    if (!imei) return;
+
+    const text = evt.freeText || evt.message || evt.Message || "";
+
+    const msg = {
+      id: "in-" + crypto.randomUUID(),
+      imei,
+      direction: "inbound",
+      text,
+      timestamp: tsIso,
+      is_sos: false,
+    };
+    this.addMessage(imei, msg);
+    this._emit("message", imei, msg);
+  }
+
+  // Stores an outbound message in the "queued" state; OutboundQueue sends it.
+  // Parts of a split message share a splitId.
+  addOutboundMessage(imei, { text, is_sos, sentBy, tenantId, recipientOverride, splitId }) {
+    const tsIso = new Date().toISOString();
+    const msg = {
+      id: "out-" + crypto.randomUUID(),
+      imei,
+      direction: "outbound",
+      text,
+      timestamp: tsIso,
+      is_sos: !!is_sos,
+      sentBy: sentBy || null,
+      tenantId: tenantId || null,
+      recipientOverride: recipientOverride || null,
+      splitId: splitId || null,
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: tsIso,
+      lastError: null,
+      garminResponse: null,
+      updatedAt: tsIso,
+    };
+    this.addMessage(imei, msg);
+    return msg;
+  }
+
+  ingestEvent(evt, tenantId) {
+    const imei = evt.imei || evt.Imei;
+    if (!imei) return;
+
+    this.transaction(() => {
+      const dev = this._applyEvent(imei, evt, tenantId);
+      const msgCode = Number(evt.messageCode);
+      this._afterCommit(() => {
+        global._wsBroadcast({ type: "deviceUpdate", device: dev });
+        if (msgCode === 4 || msgCode === 6 || msgCode === 7) {
+          global._wsBroadcast({ type: "sosUpdate", device: dev });
+        }
+      });
+    });
+  }
+
+  _applyEvent(imei, evt, tenantId) {
+    const parsedTs = parseTimestamp(evt.timeStamp);
+    const tsIso =
+      parsedTs && !Number.isNaN(parsedTs.getTime())
+        ? parsedTs.toISOString()
+        : new Date().toISOString();
+    const code = evt.messageCode;
+    const msgCode = Number(code);
+    const text = evt.freeText || evt.message || "";
+    const point = evt.point || evt.Point || null;
+    const addresses = evt.addresses || evt.Addresses || [];
+    const status = evt.status || evt.Status || {};
+    const reportedInterval = parseTrackingInterval(status, text);
+    // Kept on SOS / reference-point timeline entries (waypoints in exports)
+    const where =
+      point && point.latitude != null && point.longitude != null
+        ? { lat: point.latitude, lng: point.longitude }
+        : {};
+
+    const dev = this.update(imei, (d) => {
+      if (tenantId && d.tenantId !== tenantId) {
+        if (d.tenantId) {
+          console.warn(
+            `[DevicesStore] IMEI ${imei} moved from tenant ${d.tenantId} to ${tenantId}`
+          );
+        }
+        d.tenantId = tenantId;
+      }
+      // A late or retried event is recorded below but must not replace
+      // the newer status and addresses already on the device
+      if (!d.lastEventAt || tsIso >= d.lastEventAt) {
+        d.lastEventAt = tsIso;
+        d.statusRaw = status || {};
+        d.lastAddresses = addresses || [];
+      }
+
+      // Remember last SOS address for replies, gated like the SOS state
+      const firstAddress = addresses && addresses[0];
+      const addrValue =
+        firstAddress &&
+        (firstAddress.address ||
+          firstAddress.Address ||
+          firstAddress.value ||
+          firstAddress);
+      if (
+        addrValue &&
+        (msgCode === 4 || msgCode === 6 || msgCode === 3) &&
+        (!d.lastSosStateAt || tsIso >= d.lastSosStateAt)
+      ) {
+        d.lastSosAddress = addrValue;
+      }
+    });
+
+    // SOS state only moves forward: a late declare/confirm/cancel (Garmin
+    // retries, satellite delays) is kept in the timeline but not applied.
+    // Only device timestamps count; an operator's ACK uses the server clock.
+    const sosInOrder = !dev.lastSosStateAt || tsIso >= dev.lastSosStateAt;
+
+    // Tracking start/stop/interval are ordered the same way
+    const trackingInOrder =
+      !dev.lastTrackingStateAt || tsIso >= dev.lastTrackingStateAt;
+
+    // Open the incident first so this event's position lands in it
+    if (sosInOrder && (msgCode === 4 || msgCode === 6)) {
+      this._openIncidentIfNeeded(imei, tsIso, msgCode);
+    }
+
+    // Position handling – matches front-end (position + positions[])
+    if (point && point.latitude != null && point.longitude != null) {
+      const pos = {
+        lat: point.latitude,
+        lng: point.longitude,
+        altitude: point.altitude,
+        gpsFix: point.gpsFix ?? point.gps_fix ?? null,
+        course: point.course,
+        speed: point.speed,
+        timestamp: tsIso,
+      };
+      this.addPosition(imei, pos);
+      this._emit("position", imei, pos);
+    }
+
+    this._recordHealth(imei, status, msgCode, tsIso);
+
+    // Interpret messageCode
+    switch (msgCode) {
+      case 0: // Position Report
+        this.addTimelineEvent(imei, {
+          type: "position-report",
+          code: msgCode,
+          at: tsIso,
+        });
+        break;
+
+      case 1: // Device Status (e.g., low battery)
+        this.addTimelineEvent(imei, {
+          type: "status",
+          code: msgCode,
+          at: tsIso,
+          status,
+          health: parseDeviceStatus(status),
+        });
+        break;
+
+      case 2: // Free Text
+      case 3099: // Canned / QuickText
+      case 3: // Inbound text w/ SOS context (Messenger, etc.)
+        this.addInboundMessageFromEvent(evt, tsIso);
+        this.addTimelineEvent(imei, {
+          type: "inbound-message",
+          code: msgCode,
+          at: tsIso,
+          text,
+        });
+        break;
+
+      case 4: // Declare SOS
+        if (sosInOrder) {
+          this.update(imei, (d) => {
+            d.isActiveSos = true;
+            d.lastSosEventAt = tsIso;
+            d.lastSosStateAt = tsIso;
+          });
+        }
+        this.addTimelineEvent(imei, {
+          type: "sos-declare",
+          code: msgCode,
+          at: tsIso,
+          text,
+          ...where,
+          outOfOrder: sosInOrder ? undefined : true,
+        });
+        break;
+
+      case 6: // Confirm SOS
+        if (sosInOrder) {
+          this.update(imei, (d) => {
+            d.isActiveSos = true;
+            d.lastSosEventAt = tsIso;
+            d.lastSosStateAt = tsIso;
+          });
+        }
+        this.addTimelineEvent(imei, {
+          type: "sos-confirm",
+          code: msgCode,
+          at: tsIso,
+          text,
+          ...where,
+          outOfOrder: sosInOrder ? undefined : true,
+        });
+        break;
+
+      case 7: // Cancel SOS
+        if (sosInOrder) {
+          this.update(imei, (d) => {
+            d.isActiveSos = false;
+            d.lastSosCancelAt = tsIso;
+            d.lastSosStateAt = tsIso;
+          });
+          this.setIncidentStatus(imei, "resolved", {
+            at: tsIso,
+            resolution: "cancelled-on-device",
+          });
+        }
+        this.addTimelineEvent(imei, {
+          type: "sos-cancel",
+          code: msgCode,
+          at: tsIso,
+          text,
+          ...where,
+          outOfOrder: sosInOrder ? undefined : true,
+        });
+        break;
+
+      case 8: // Reference Point
+        this.addTimelineEvent(imei, {
+          type: "reference-point",
+          code: msgCode,
+          at: tsIso,
+          text,
+          ...where,
+        });
+        break;
+
+      case 10: // Start Track
+        if (trackingInOrder) {
+          this.update(imei, (d) => {
+            d.trackingEnabled = true;
+            if (reportedInterval) d.trackingInterval = reportedInterval;
+            d.trackingPending = null;
+            d.lastTrackingStateAt = tsIso;
+          });
+        }
+        this.addTimelineEvent(imei, {
+          type: "track-start",
+          code: msgCode,
+          at: tsIso,
+          interval: reportedInterval,
+          outOfOrder: trackingInOrder ? undefined : true,
+        });
+        break;
+
+      case 11: // Track Interval change
+        if (trackingInOrder) {
+          this.update(imei, (d) => {
+            // Interval changes only arrive while the device is tracking
+            d.trackingEnabled = true;
+            if (reportedInterval) d.trackingInterval = reportedInterval;
+            d.trackingPending = null;
+            d.lastTrackingStateAt = tsIso;
+          });
+        }
+        this.addTimelineEvent(imei, {
+          type: "track-interval",
+          code: msgCode,
+          at: tsIso,
+          interval: reportedInterval,
+          outOfOrder: trackingInOrder ? undefined : true,
+        });
+        break;
+
+      case 12: // Stop Track
+        if (trackingInOrder) {
+          this.update(imei, (d) => {
+            d.trackingEnabled = false;
+            d.trackingPending = null;
+            d.lastTrackingStateAt = tsIso;
+          });
+        }
+        this.addTimelineEvent(imei, {
+          type: "track-stop",
+          code: msgCode,
+          at: tsIso,
+          outOfOrder: trackingInOrder ? undefined : true,
+        });
+        break;
+
+      default:
+        if (text) {
+          this.addInboundMessageFromEvent(evt, tsIso);
+          this.addTimelineEvent(imei, {
+            type: "inbound-message-unknown-code",
+            code: msgCode,
+            at: tsIso,
+            text,
+          });
+        } else {
+          this.addTimelineEvent(imei, {
+            type: "unknown-event",
+            code: msgCode,
+            at: tsIso,
+          });
+        }
+        break;
+    }
+
+    return this.get(imei);
+  }
+}
+
+module.exports = {
+  DevicesStore,
+  deviceSummary,
+  TIMELINE_KINDS,
+  decodeTimelineCursor,
+  decodePageCursor,
+  downsample,
+};
@@ -0,0 +1,242 @@
+// Escalation of unacknowledged SOS incidents
+//
+// Rules come from ESCALATION_TIERS (JSON) or ESCALATION_TIERS_FILE (path to
+// the same JSON), e.g.
+//   [
+//     { "name": "duty officer", "afterMinutes": 5,
+//       "notify": [{ "type": "email", "to": "duty@example.com" }] },
+//     { "name": "management", "afterMinutes": 15, "tenants": ["satdesk22"],
+//       "notify": [{ "type": "webhook", "url": "https://hooks.example.com/sos" }] }
+//   ]
+// While an incident is still "open" (nobody has acknowledged the SOS), every
+// tier whose afterMinutes has passed since the incident opened is notified
+// once per channel. Failed sends are retried on later sweeps up to
+// maxAttempts. Each attempt is recorded as a "sos-escalation" timeline entry.
+
+const fs = require("fs");
+const { EventEmitter } = require("events");
+const { describeTarget } = require("./notifiers");
+const { deviceSummary } = require("./devices-store");
+
+function loadEscalationTiers(env) {
+  let raw = env.ESCALATION_TIERS;
+  if (!raw && env.ESCALATION_TIERS_FILE) {
+    raw = fs.readFileSync(env.ESCALATION_TIERS_FILE, "utf8");
+  }
+  if (!raw) return [];
+
+  const tiers = JSON.parse(raw);
+  if (!Array.isArray(tiers)) {
+    throw new Error("ESCALATION_TIERS must be a JSON array");
+  }
+  tiers.forEach((tier, i) => {
+    const after = Number(tier.afterMinutes);
+    if (!Number.isFinite(after) || after < 0) {
+      throw new Error(`Escalation tier ${i + 1}: afterMinutes must be >= 0`);
+    }
+    if (!Array.isArray(tier.notify) || !tier.notify.length) {
+      throw new Error(`Escalation tier ${i + 1}: notify must be a non-empty array`);
+    }
+    tier.notify.forEach((channel) => {
+      if (!channel || !channel.type) {
+        throw new Error(`Escalation tier ${i + 1}: every channel needs a type`);
+      }
+    });
+    tier.afterMinutes = after;
+  });
+  return tiers
+    .sort((a, b) => a.afterMinutes - b.afterMinutes)
+    .map((tier, index) => ({ ...tier, index }));
+}
+
+function rowToStep(row) {
+  return {
+    id: row.id,
+    incidentId: row.incident_id,
+    imei: row.imei,
+    tier: row.tier,
+    channelIndex: row.channel_index,
+    channelType: row.channel_type,
+    target: row.target,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    firstAt: row.first_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+class EscalationEngine extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {import("better-sqlite3").Database} opts.db
+   * @param {import("./devices-store").DevicesStore} opts.devicesStore
+   * @param {{ send(channel: object, alert: object): Promise<any> }} opts.notifiers
+   * @param {object[]} opts.tiers  from loadEscalationTiers()
+   */
+  constructor({
+    db,
+    devicesStore,
+    notifiers,
+    tiers,
+    pollMs = 30000,
+    maxAttempts = 3,
+    consoleUrl = null,
+  }) {
+    super();
+    this.devicesStore = devicesStore;
+    this.notifiers = notifiers;
+    this.tiers = tiers;
+    this.pollMs = pollMs;
+    this.maxAttempts = maxAttempts;
+    this.consoleUrl = consoleUrl;
+    this.timer = null;
+    this.running = false;
+    this.stmts = {
+      get: db.prepare(
+        "SELECT * FROM escalation_steps WHERE incident_id = ? AND tier = ? AND channel_index = ?"
+      ),
+      upsert: db.prepare(`
+        INSERT INTO escalation_steps
+          (incident_id, imei, tier, channel_index, channel_type, target, status,
+           attempts, last_error, first_at, updated_at)
+        VALUES
+          (@incident_id, @imei, @tier, @channel_index, @channel_type, @target, @status,
+           1, @last_error, @at, @at)
+        ON CONFLICT(incident_id, tier, channel_index) DO UPDATE SET
+          status = excluded.status,
+          attempts = attempts + 1,
+          last_error = excluded.last_error,
+          updated_at = excluded.updated_at
+      `),
+      forIncident: db.prepare(
+        "SELECT * FROM escalation_steps WHERE incident_id = ? ORDER BY tier, channel_index"
+      ),
+    };
+  }
+
+  start() {
+    if (this.timer || !this.tiers.length) return;
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    this.timer.unref();
+    console.log("[Escalation] Started with", this.tiers.length, "tier(s)");
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  listSteps(incidentId) {
+    return this.stmts.forIncident.all(incidentId).map(rowToStep);
+  }
+
+  async tick(now = Date.now()) {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (const device of this.devicesStore.list()) {
+        if (!device.isActiveSos || !device.incidentId) continue;
+        await this._escalateDevice(device.imei, now);
+      }
+    } catch (err) {
+      console.error("[Escalation] Sweep failed:", err.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  _isUnacknowledged(imei) {
+    const incident = this.devicesStore.getCurrentIncident(imei);
+    return incident && incident.status === "open" ? incident : null;
+  }
+
+  async _escalateDevice(imei, now) {
+    for (const tier of this.tiers) {
+      const incident = this._isUnacknowledged(imei);
+      if (!incident) return;
+
+      const device = this.devicesStore.get(imei);
+      if (tier.tenants && !tier.tenants.includes(device.tenantId)) continue;
+
+      const elapsedMs = now - Date.parse(incident.openedAt);
+      if (elapsedMs < tier.afterMinutes * 60000) continue;
+
+      for (let i = 0; i < tier.notify.length; i++) {
+        const prev = this.stmts.get.get(incident.id, tier.index, i);
+        if (prev && prev.status === "sent") continue;
+        if (prev && prev.attempts >= this.maxAttempts) continue;
+        // An operator may have acknowledged while earlier channels were sending
+        if (!this._isUnacknowledged(imei)) return;
+
+        await this._notify(tier, i, incident, device, elapsedMs);
+      }
+    }
+  }
+
+  async _notify(tier, channelIndex, incident, device, elapsedMs) {
+    const channel = tier.notify[channelIndex];
+    const alert = {
+      device: deviceSummary(device),
+      incident,
+      tier: { index: tier.index, name: tier.name || null, afterMinutes: tier.afterMinutes },
+      elapsedMinutes: Math.floor(elapsedMs / 60000),
+      consoleUrl: this.consoleUrl,
+    };
+
+    let error = null;
+    try {
+      await this.notifiers.send(channel, alert);
+      console.log(
+        "[Escalation] Incident",
+        incident.id,
+        "tier",
+        tier.index + 1,
+        "notified via",
+        channel.type
+      );
+    } catch (err) {
+      error = err.response?.data
+        ? JSON.stringify(err.response.data)
+        : err.message;
+      console.error(
+        "[Escalation] Incident",
+        incident.id,
+        "tier",
+        tier.index + 1,
+        channel.type,
+        "failed:",
+        error
+      );
+    }
+
+    const at = new Date().toISOString();
+    const target = describeTarget(channel);
+    this.stmts.upsert.run({
+      incident_id: incident.id,
+      imei: device.imei,
+      tier: tier.index,
+      channel_index: channelIndex,
+      channel_type: channel.type,
+      target,
+      status: error ? "failed" : "sent",
+      last_error: error,
+      at,
+    });
+
+    const updated = this.devicesStore.addTimelineEvent(device.imei, {
+      type: "sos-escalation",
+      at,
+      incidentId: incident.id,
+      tier: tier.index + 1,
+      tierName: tier.name || undefined,
+      channel: channel.type,
+      target,
+      ok: !error,
+      error: error || undefined,
+    });
+    this.emit("escalation", updated);
+  }
+}
+
+module.exports = { EscalationEngine, loadEscalationTiers };
@@ -0,0 +1,258 @@
+// Geofences: polygons and circles, per device or fleet-wide
+//
+// A fence is either an "allowed" operating area or a "restricted" zone.
+// A device counts as outside its allowed area when it is inside a restricted
+// zone, or when allowed areas apply to it and it is inside none of them.
+// Fences with imei = NULL apply to every device of their tenant (or of all
+// tenants when tenant_id is NULL too).
+//
+// Geometry JSON:
+//   circle:  { "center": { "lat": 46.5, "lng": 7.9 }, "radiusMeters": 5000 }
+//   polygon: { "points": [[lat, lng], [lat, lng], [lat, lng], ...] }
+
+const { toJson, fromJson } = require("./db");
+
+const KINDS = ["allowed", "restricted"];
+const SHAPES = ["circle", "polygon"];
+const EARTH_RADIUS_M = 6371008.8;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function distanceMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Ray casting on lat/lng; fine for operating areas that don't cross the antimeridian
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses =
+      latI > point.lat !== latJ > point.lat &&
+      point.lng < ((lngJ - lngI) * (point.lat - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+function containsPoint(fence, point) {
+  if (fence.shape === "circle") {
+    return distanceMeters(fence.geometry.center, point) <= fence.geometry.radiusMeters;
+  }
+  return pointInPolygon(point, fence.geometry.points);
+}
+
+function isLatLng(lat, lng) {
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    lat >= -90 &&
+    lat <= 90 &&
+    lng >= -180 &&
+    lng <= 180
+  );
+}
+
+// Throws with a user-facing message if the fence definition is invalid
+function validateFence({ name, kind, shape, geometry }) {
+  if (!name || !String(name).trim()) throw new Error("name is required");
+  if (!KINDS.includes(kind)) throw new Error(`kind must be one of ${KINDS.join(", ")}`);
+  if (!SHAPES.includes(shape)) throw new Error(`shape must be one of ${SHAPES.join(", ")}`);
+  if (!geometry || typeof geometry !== "object") {
+    throw new Error("geometry is required");
+  }
+  if (shape === "circle") {
+    const c = geometry.center || {};
+    if (!isLatLng(c.lat, c.lng)) throw new Error("circle center must be { lat, lng }");
+    if (!(geometry.radiusMeters > 0)) throw new Error("radiusMeters must be > 0");
+  } else {
+    const pts = geometry.points;
+    if (!Array.isArray(pts) || pts.length < 3) {
+      throw new Error("polygon needs at least 3 points");
+    }
+    if (!pts.every((p) => Array.isArray(p) && isLatLng(p[0], p[1]))) {
+      throw new Error("polygon points must be [lat, lng] pairs");
+    }
+  }
+}
+
+function rowToFence(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    imei: row.imei,
+    name: row.name,
+    kind: row.kind,
+    shape: row.shape,
+    geometry: fromJson(row.geometry, null),
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    updatedAt: row.updated_at,
+  };
+}
+
+class GeofencesStore {
+  /**
+   * @param {import("better-sqlite3").Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this.stmts = {
+      insert: db.prepare(`
+        INSERT INTO geofences
+          (tenant_id, imei, name, kind, shape, geometry, created_at, created_by, updated_at)
+        VALUES
+          (@tenant_id, @imei, @name, @kind, @shape, @geometry, @created_at, @created_by, @created_at)
+      `),
+      update: db.prepare(`
+        UPDATE geofences SET
+          tenant_id = @tenant_id, imei = @imei, name = @name, kind = @kind,
+          shape = @shape, geometry = @geometry, updated_at = @updated_at
+        WHERE id = @id
+      `),
+      delete: db.prepare("DELETE FROM geofences WHERE id = ?"),
+      deleteState: db.prepare("DELETE FROM geofence_state WHERE geofence_id = ?"),
+      byId: db.prepare("SELECT * FROM geofences WHERE id = ?"),
+      all: db.prepare("SELECT * FROM geofences ORDER BY id"),
+      applicable: db.prepare(`
+        SELECT * FROM geofences
+        WHERE imei = @imei
+           OR (imei IS NULL AND (tenant_id IS NULL OR tenant_id = @tenant_id))
+        ORDER BY id
+      `),
+      stateFor: db.prepare("SELECT * FROM geofence_state WHERE imei = ?"),
+      upsertState: db.prepare(`
+        INSERT INTO geofence_state (imei, geofence_id, inside, changed_at)
+        VALUES (@imei, @geofence_id, @inside, @changed_at)
+        ON CONFLICT(imei, geofence_id) DO UPDATE SET
+          inside = excluded.inside, changed_at = excluded.changed_at
+      `),
+    };
+  }
+
+  get(id) {
+    return rowToFence(this.stmts.byId.get(id));
+  }
+
+  list({ tenantId, imei } = {}) {
+    return this.stmts.all
+      .all()
+      .map(rowToFence)
+      .filter(
+        (f) =>
+          (!tenantId || !f.tenantId || f.tenantId === tenantId) &&
+          (!imei || !f.imei || f.imei === imei)
+      );
+  }
+
+  // Fences that apply to a device: its own plus fleet-wide ones
+  applicableTo(imei, tenantId) {
+    return this.stmts.applicable
+      .all({ imei, tenant_id: tenantId || null })
+      .map(rowToFence);
+  }
+
+  create(fields, createdBy) {
+    validateFence(fields);
+    const info = this.stmts.insert.run({
+      tenant_id: fields.tenantId || null,
+      imei: fields.imei || null,
+      name: String(fields.name).trim(),
+      kind: fields.kind,
+      shape: fields.shape,
+      geometry: toJson(fields.geometry),
+      created_at: new Date().toISOString(),
+      created_by: createdBy || null,
+    });
+    return this.get(Number(info.lastInsertRowid));
+  }
+
+  update(id, patch) {
+    const existing = this.get(id);
+    if (!existing) return null;
+    const next = { ...existing };
+    ["tenantId", "imei", "name", "kind", "shape", "geometry"].forEach((k) => {
+      if (patch[k] !== undefined) next[k] = patch[k];
+    });
+    validateFence(next);
+    this.db.transaction(() => {
+      this.stmts.update.run({
+        id,
+        tenant_id: next.tenantId || null,
+        imei: next.imei || null,
+        name: String(next.name).trim(),
+        kind: next.kind,
+        shape: next.shape,
+        geometry: toJson(next.geometry),
+        updated_at: new Date().toISOString(),
+      });
+      // Recomputed on the next evaluation, without enter/exit events
+      this.stmts.deleteState.run(id);
+    })();
+    return this.get(id);
+  }
+
+  delete(id) {
+    return this.db.transaction(() => {
+      this.stmts.deleteState.run(id);
+      return this.stmts.delete.run(id).changes > 0;
+    })();
+  }
+
+  /**
+   * Checks a device position against its fences and stores the result.
+   * Returns the fences it entered/exited since the last evaluation and
+   * whether it is now outside its allowed area. A fence evaluated for the
+   * first time (new fence or new device) records its state silently.
+   * @returns {{ transitions: { fence: object, event: "enter" | "exit" }[], outsideAllowedArea: boolean }}
+   */
+  evaluate(imei, tenantId, point, at = new Date().toISOString()) {
+    const fences = this.applicableTo(imei, tenantId);
+    const previous = new Map(
+      this.stmts.stateFor.all(imei).map((row) => [row.geofence_id, !!row.inside])
+    );
+
+    const transitions = [];
+    let hasAllowed = false;
+    let insideAllowed = false;
+    let insideRestricted = false;
+
+    fences.forEach((fence) => {
+      const inside = containsPoint(fence, point);
+      if (fence.kind === "allowed") {
+        hasAllowed = true;
+        if (inside) insideAllowed = true;
+      } else if (inside) {
+        insideRestricted = true;
+      }
+
+      const before = previous.get(fence.id);
+      if (before === inside) return;
+      if (before !== undefined) {
+        transitions.push({ fence, event: inside ? "enter" : "exit" });
+      }
+      this.stmts.upsertState.run({
+        imei,
+        geofence_id: fence.id,
+        inside: inside ? 1 : 0,
+        changed_at: at,
+      });
+    });
+
+    return {
+      transitions,
+      outsideAllowedArea: insideRestricted || (hasAllowed && !insideAllowed),
+    };
+  }
+}
+
+module.exports = { GeofencesStore, distanceMeters, pointInPolygon, KINDS, SHAPES };
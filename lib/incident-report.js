@@ -0,0 +1,642 @@
+// Post-incident report for one SOS incident
+//
+// buildIncidentReport() gathers the incident, the person behind the device,
+// the timeline with response times, the message transcript, operator notes
+// and a track summary into one plain object; renderReportHtml() and
+// renderReportPdf() only lay it out. The HTML needs nothing from outside
+// (inline CSS, the map as inline SVG) and prints cleanly. The map is drawn
+// from the track itself, so neither format depends on a tile server.
+
+const { PdfDocument } = require("./pdf");
+const { buildWaypoints } = require("./track-export");
+const { downsample } = require("./devices-store");
+
+// Most points kept for the map; the track summary uses all of them
+const MAX_MAP_POINTS = 300;
+
+const EVENT_LABELS = {
+  "incident-opened": "Incident opened",
+  "sos-declare": "SOS declared",
+  "sos-confirm": "SOS confirmed",
+  "sos-cancel": "SOS cancelled on the device",
+  "sos-ack": "SOS acknowledged",
+  "sos-escalation": "Escalation sent",
+  "incident-acknowledged": "Incident acknowledged",
+  "incident-assigned": "Incident assigned",
+  "incident-released": "Incident released",
+  "incident-resolved": "Incident resolved",
+  "incident-closed": "Incident closed",
+  "inbound-message": "Message from device",
+  "locate-request": "Location requested",
+  "locate-fulfilled": "Location received",
+  "locate-timeout": "Location request timed out",
+  "locate-failed": "Location request failed",
+  "track-start": "Tracking started",
+  "track-stop": "Tracking stopped",
+  "track-interval": "Tracking interval changed",
+  "position-report": "Position report",
+  "reference-point": "Reference point",
+  "geofence-enter": "Entered area",
+  "geofence-exit": "Left area",
+  "battery-alert": "Battery alert",
+  status: "Status report",
+};
+
+function secondsBetween(from, to) {
+  return Math.max(0, Math.round((Date.parse(to) - Date.parse(from)) / 1000));
+}
+
+// 75 -> "1 min 15 s", 3900 -> "1 h 5 min"
+function formatDuration(seconds) {
+  if (seconds == null) return "–";
+  const s = Math.round(seconds);
+  if (s < 60) return `${s} s`;
+  if (s < 3600) return `${Math.floor(s / 60)} min${s % 60 ? ` ${s % 60} s` : ""}`;
+  const m = Math.floor((s % 3600) / 60);
+  return `${Math.floor(s / 3600)} h${m ? ` ${m} min` : ""}`;
+}
+
+// ISO -> "2026-03-01 08:00:00 UTC"
+function formatTime(iso) {
+  if (!iso) return "–";
+  return `${new Date(iso).toISOString().slice(0, 19).replace("T", " ")} UTC`;
+}
+
+function eventDetail(e, who) {
+  const parts = [];
+  if (e.text) parts.push(e.text);
+  if (e.resolution) parts.push(`Resolution: ${e.resolution}`);
+  if (e.assignee) parts.push(`Assignee: ${who(e.assignee)}`);
+  if (e.geofenceName) parts.push(e.geofenceName);
+  if (e.type === "battery-alert" && e.batteryLevel != null) {
+    parts.push(`Battery ${e.batteryLevel}%`);
+  }
+  if (e.type === "sos-escalation") {
+    parts.push(`${e.tierName || `Tier ${e.tier}`} via ${e.channel}${e.ok ? "" : " (failed)"}`);
+  }
+  if (e.note) parts.push(e.note);
+  return parts.join(" · ");
+}
+
+function responseTimes(incident, targets) {
+  const figures = [
+    ["Acknowledged", incident.acknowledgedAt, incident.acknowledgedBy, targets.ackSeconds],
+    [
+      "First message to the device",
+      incident.firstResponseAt,
+      incident.firstResponseBy,
+      targets.firstMessageSeconds,
+    ],
+    ["Resolved", incident.resolvedAt, incident.resolvedBy],
+    ["Closed", incident.closedAt, incident.closedBy],
+  ];
+  return figures.map(([label, at, by, targetSeconds]) => {
+    const seconds = at ? secondsBetween(incident.openedAt, at) : null;
+    return {
+      label,
+      at: at || null,
+      by: by || null,
+      seconds,
+      targetSeconds: targetSeconds ?? null,
+      breached: targetSeconds != null && seconds != null ? seconds > targetSeconds : null,
+    };
+  });
+}
+
+// Bounds, centre and markers for drawing the track without map tiles
+function mapData(positions, timeline, analytics) {
+  if (!positions.length) return null;
+  const lats = positions.map((p) => p.lat);
+  const lngs = positions.map((p) => p.lng);
+  const bounds = {
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats),
+    minLng: Math.min(...lngs),
+    maxLng: Math.max(...lngs),
+  };
+  const last = positions[positions.length - 1];
+  const markers = [
+    ...buildWaypoints(timeline, positions).map((w) => ({
+      kind: w.type.startsWith("sos-") ? "sos" : "waypoint",
+      label: w.name,
+      lat: w.lat,
+      lng: w.lng,
+      at: w.at,
+    })),
+    ...analytics.stops.map((s) => ({
+      kind: "stop",
+      label: `Stop, ${formatDuration(s.durationSeconds)}`,
+      lat: s.lat,
+      lng: s.lng,
+      at: s.from,
+    })),
+    { kind: "last", label: "Last position", lat: last.lat, lng: last.lng, at: last.timestamp },
+  ];
+  return {
+    bounds,
+    center: {
+      lat: (bounds.minLat + bounds.maxLat) / 2,
+      lng: (bounds.minLng + bounds.maxLng) / 2,
+    },
+    points: downsample(positions, MAX_MAP_POINTS).map((p) => [p.lat, p.lng]),
+    markers,
+    link: `https://www.openstreetmap.org/?mlat=${last.lat}&mlon=${last.lng}#map=14/${last.lat}/${last.lng}`,
+  };
+}
+
+/**
+ * @param {object} input
+ * @param {object} input.incident
+ * @param {object} [input.device]     the device (profile fields are used)
+ * @param {{ timeline: object[], messages: object[], positions: object[] }} input.history
+ * @param {object[]} input.notes
+ * @param {object} input.analytics   analyzeTrack() of history.positions
+ * @param {{ ackSeconds: number, firstMessageSeconds: number }} input.targets
+ * @param {(username: string) => string} [input.displayName]
+ * @param {string} [input.generatedBy]
+ * @param {string} [input.generatedAt]  ISO; defaults to now
+ */
+function buildIncidentReport({
+  incident,
+  device,
+  history,
+  notes,
+  analytics,
+  targets,
+  displayName = (u) => u,
+  generatedBy = null,
+  generatedAt = new Date().toISOString(),
+}) {
+  const who = (username) => (username ? displayName(username) : null);
+  const positions = history.positions.filter((p) => p.lat != null && p.lng != null);
+  const label = device?.label || incident.imei;
+  const named = {
+    ...incident,
+    acknowledgedBy: who(incident.acknowledgedBy),
+    firstResponseBy: who(incident.firstResponseBy),
+    resolvedBy: who(incident.resolvedBy),
+    closedBy: who(incident.closedBy),
+    assignedTo: who(incident.assignedTo),
+  };
+  return {
+    title: `Incident #${incident.id} – ${label}`,
+    generatedAt,
+    generatedBy: who(generatedBy),
+    incident: named,
+    device: {
+      imei: incident.imei,
+      label,
+      tenantId: incident.tenantId,
+      ownerName: device?.ownerName || null,
+      organisation: device?.organisation || null,
+      bloodType: device?.bloodType || null,
+      medicalNotes: device?.medicalNotes || null,
+      emergencyContacts: device?.emergencyContacts || [],
+      tags: device?.tags || [],
+    },
+    responseTimes: responseTimes(named, targets),
+    timeline: history.timeline.map((e) => ({
+      at: e.at,
+      offsetSeconds: e.at ? secondsBetween(incident.openedAt, e.at) : null,
+      type: e.type,
+      label: EVENT_LABELS[e.type] || e.type,
+      detail: eventDetail(e, who),
+      by: who(e.by),
+      sos: /^(sos|incident)-/.test(e.type),
+    })),
+    transcript: history.messages.map((m) => ({
+      at: m.timestamp,
+      direction: m.direction,
+      from: m.direction === "outbound" ? who(m.sentBy) || "Operator" : label,
+      text: m.text,
+      sos: m.is_sos,
+      status: m.status || null,
+    })),
+    notes: notes.map((n) => ({ at: n.createdAt, author: who(n.author), text: n.text })),
+    track: {
+      points: analytics.points,
+      firstAt: analytics.firstAt,
+      lastAt: analytics.lastAt,
+      distanceMeters: analytics.distanceMeters,
+      durationSeconds: analytics.durationSeconds,
+      movingSeconds: analytics.movingSeconds,
+      averageSpeedKmh: analytics.averageSpeedKmh,
+      movingAverageSpeedKmh: analytics.movingAverageSpeedKmh,
+      stationary: analytics.stationary,
+      stationarySince: analytics.stationarySince,
+      lastPosition: positions.length ? positions[positions.length - 1] : null,
+      stops: analytics.stops,
+    },
+    map: mapData(positions, history.timeline, analytics),
+  };
+}
+
+// Projects the map data into a width x height box (y down), keeping the
+// aspect ratio of the area at its latitude
+function projectMap(map, width, height, padding = 16) {
+  const cos = Math.cos((map.center.lat * Math.PI) / 180);
+  const minSpan = 0.002;
+  const spanX = Math.max((map.bounds.maxLng - map.bounds.minLng) * cos, minSpan);
+  const spanY = Math.max(map.bounds.maxLat - map.bounds.minLat, minSpan);
+  const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+  const cx = width / 2;
+  const cy = height / 2;
+  const project = (lat, lng) => [
+    cx + (lng - map.center.lng) * cos * scale,
+    cy - (lat - map.center.lat) * scale,
+  ];
+  return {
+    line: map.points.map(([lat, lng]) => project(lat, lng)),
+    markers: map.markers.map((m) => ({ ...m, xy: project(m.lat, m.lng) })),
+    widthMeters: Math.round((width / scale) * 111320),
+  };
+}
+
+const MARKER_COLORS = {
+  sos: "#dc2626",
+  waypoint: "#7c3aed",
+  stop: "#d97706",
+  last: "#111827",
+};
+
+function contactText(c) {
+  return [c.name, c.relation && `(${c.relation})`, c.phone, c.email].filter(Boolean).join(" ");
+}
+
+function km(meters) {
+  return meters == null ? "–" : `${(meters / 1000).toFixed(2)} km`;
+}
+
+function kmh(v) {
+  return v == null ? "–" : `${v} km/h`;
+}
+
+function deviceRows(report) {
+  const d = report.device;
+  return [
+    ["Name", d.label],
+    ["IMEI", d.imei],
+    ["Owner", d.ownerName],
+    ["Organisation", d.organisation],
+    ["Tenant", d.tenantId],
+    ["Blood type", d.bloodType],
+    ["Medical notes", d.medicalNotes],
+    ["Emergency contacts", d.emergencyContacts.map(contactText).join("; ")],
+    ["Tags", d.tags.join(", ")],
+  ].filter(([, v]) => v);
+}
+
+function incidentRows(report) {
+  const i = report.incident;
+  return [
+    ["Status", i.status],
+    ["Opened", `${formatTime(i.openedAt)}${i.openedCode != null ? ` (code ${i.openedCode})` : ""}`],
+    ["Acknowledged", i.acknowledgedAt && `${formatTime(i.acknowledgedAt)} by ${i.acknowledgedBy || "–"}`],
+    ["First message", i.firstResponseAt && `${formatTime(i.firstResponseAt)} by ${i.firstResponseBy || "–"}`],
+    ["Handled by", i.assignedTo],
+    ["Resolved", i.resolvedAt && `${formatTime(i.resolvedAt)} by ${i.resolvedBy || "–"}`],
+    ["Resolution", i.resolution],
+    ["Closed", i.closedAt && `${formatTime(i.closedAt)} by ${i.closedBy || "–"}`],
+  ].filter(([, v]) => v);
+}
+
+function trackRows(report) {
+  const t = report.track;
+  if (!t.points) return [];
+  return [
+    ["Positions", String(t.points)],
+    ["From", formatTime(t.firstAt)],
+    ["To", formatTime(t.lastAt)],
+    ["Distance", km(t.distanceMeters)],
+    ["Duration", formatDuration(t.durationSeconds)],
+    ["Moving", formatDuration(t.movingSeconds)],
+    ["Average speed", kmh(t.averageSpeedKmh)],
+    ["Moving average speed", kmh(t.movingAverageSpeedKmh)],
+    [
+      "Last position",
+      t.lastPosition &&
+        `${t.lastPosition.lat.toFixed(5)}, ${t.lastPosition.lng.toFixed(5)} at ${formatTime(
+          t.lastPosition.timestamp
+        )}`,
+    ],
+    ["Stationary", t.stationary ? `since ${formatTime(t.stationarySince)}` : null],
+  ].filter(([, v]) => v);
+}
+
+function figureText(f) {
+  if (f.seconds == null) return "not reached";
+  return formatDuration(f.seconds);
+}
+
+function targetText(f) {
+  if (f.targetSeconds == null) return "";
+  const target = formatDuration(f.targetSeconds);
+  if (f.breached == null) return `target ${target}`;
+  return `target ${target}${f.breached ? " – missed" : " – met"}`;
+}
+
+// -------------------- HTML --------------------
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function htmlTable(headers, rows, className) {
+  return `<table${className ? ` class="${className}"` : ""}>
+${headers ? `<thead><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>\n` : ""}<tbody>
+${rows
+  .map(
+    (cells) =>
+      `<tr${cells.className ? ` class="${cells.className}"` : ""}>${cells
+        .map((c) => `<td>${escapeHtml(c)}</td>`)
+        .join("")}</tr>`
+  )
+  .join("\n")}
+</tbody>
+</table>`;
+}
+
+function mapSvg(map) {
+  const width = 640;
+  const height = 400;
+  const { line, markers, widthMeters } = projectMap(map, width, height);
+  const points = line.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" ");
+  const dots = markers
+    .map(
+      (m) =>
+        `<circle cx="${m.xy[0].toFixed(1)}" cy="${m.xy[1].toFixed(1)}" r="5" fill="${
+          MARKER_COLORS[m.kind]
+        }"><title>${escapeHtml(`${m.label} – ${formatTime(m.at)}`)}</title></circle>`
+    )
+    .join("\n  ");
+  return `<svg class="map" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Track map">
+  <rect x="0" y="0" width="${width}" height="${height}" fill="#f8fafc" stroke="#cbd5e1"/>
+  <polyline points="${points}" fill="none" stroke="#2563eb" stroke-width="2.5" stroke-linejoin="round" stroke-linecap="round"/>
+  ${dots}
+  <text x="8" y="${height - 8}" font-size="11" fill="#475569">Width ≈ ${escapeHtml(
+    km(widthMeters)
+  )} · north up</text>
+</svg>`;
+}
+
+const HTML_STYLE = `
+  body { font-family: "Helvetica Neue", Arial, sans-serif; color: #111827; margin: 32px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; }
+  .muted { color: #6b7280; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: 3px 6px; border-bottom: 1px solid #f3f4f6; }
+  th { font-size: 12px; color: #374151; }
+  table.facts td:first-child { width: 180px; color: #4b5563; }
+  tr.sos td { color: #b91c1c; font-weight: 600; }
+  tr.missed td { color: #b91c1c; }
+  tr.outbound td:nth-child(2) { color: #1d4ed8; }
+  .map { width: 100%; max-width: 640px; height: auto; display: block; }
+  .legend span { margin-right: 12px; }
+  .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 4px; }
+  table.notes td:last-child { white-space: pre-wrap; }
+  @media print {
+    body { margin: 12mm; }
+    h2 { break-after: avoid; }
+    tr, .map { break-inside: avoid; }
+    a { color: inherit; text-decoration: none; }
+  }
+`;
+
+function facts(rows) {
+  return htmlTable(null, rows, "facts");
+}
+
+function renderReportHtml(report) {
+  const sections = [];
+  sections.push(`<h2>Device and person</h2>\n${facts(deviceRows(report))}`);
+  sections.push(`<h2>Incident</h2>\n${facts(incidentRows(report))}`);
+  sections.push(
+    `<h2>Response times</h2>\n${htmlTable(
+      ["Step", "After opening", "At", "By", "Target"],
+      report.responseTimes.map((f) =>
+        Object.assign(
+          [f.label, figureText(f), formatTime(f.at), f.by || "–", targetText(f)],
+          f.breached ? { className: "missed" } : {}
+        )
+      )
+    )}`
+  );
+  sections.push(
+    `<h2>SOS timeline</h2>\n${
+      report.timeline.length
+        ? htmlTable(
+            ["Time", "+", "Event", "Details", "By"],
+            report.timeline.map((e) =>
+              Object.assign(
+                [formatTime(e.at), formatDuration(e.offsetSeconds), e.label, e.detail, e.by || ""],
+                e.sos ? { className: "sos" } : {}
+              )
+            )
+          )
+        : '<p class="muted">No events recorded.</p>'
+    }`
+  );
+  sections.push(
+    `<h2>Message transcript</h2>\n${
+      report.transcript.length
+        ? htmlTable(
+            ["Time", "From", "Message", "Status"],
+            report.transcript.map((m) =>
+              Object.assign(
+                [formatTime(m.at), m.from, `${m.sos ? "[SOS] " : ""}${m.text || ""}`, m.status || ""],
+                { className: m.direction }
+              )
+            )
+          )
+        : '<p class="muted">No messages.</p>'
+    }`
+  );
+
+  const track = trackRows(report);
+  let trackHtml = track.length ? facts(track) : '<p class="muted">No positions recorded.</p>';
+  if (report.map) {
+    const legend = Object.entries({
+      sos: "SOS",
+      stop: "Stop",
+      waypoint: "Reference point",
+      last: "Last position",
+    })
+      .map(([kind, text]) => `<span><i style="background:${MARKER_COLORS[kind]}"></i>${text}</span>`)
+      .join("");
+    const b = report.map.bounds;
+    trackHtml += `
+${mapSvg(report.map)}
+<p class="legend">${legend}</p>
+<p class="muted">Bounds ${b.minLat.toFixed(5)}, ${b.minLng.toFixed(5)} – ${b.maxLat.toFixed(5)}, ${b.maxLng.toFixed(
+      5
+    )} · <a href="${escapeHtml(report.map.link)}">Last position on OpenStreetMap</a></p>`;
+  }
+  if (report.track.stops.length) {
+    trackHtml += `\n<h3>Stops</h3>\n${htmlTable(
+      ["From", "Duration", "Position", "Approach speed"],
+      report.track.stops.map((s) => [
+        formatTime(s.from),
+        `${formatDuration(s.durationSeconds)}${s.ongoing ? " (ongoing)" : ""}`,
+        `${s.lat}, ${s.lng}`,
+        `${kmh(s.approachSpeedKmh)}${s.sudden ? " – sudden stop" : ""}`,
+      ])
+    )}`;
+  }
+  sections.push(`<h2>Track</h2>\n${trackHtml}`);
+
+  sections.push(
+    `<h2>Operator notes</h2>\n${
+      report.notes.length
+        ? htmlTable(
+            ["Time", "Operator", "Note"],
+            report.notes.map((n) => [formatTime(n.at), n.author || "–", n.text]),
+            "notes"
+          )
+        : '<p class="muted">No notes.</p>'
+    }`
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`Post-incident report – ${report.title}`)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Post-incident report</h1>
+<p>${escapeHtml(report.title)}</p>
+<p class="muted">Generated ${escapeHtml(formatTime(report.generatedAt))}${
+    report.generatedBy ? ` by ${escapeHtml(report.generatedBy)}` : ""
+  }</p>
+${sections.join("\n\n")}
+</body>
+</html>
+`;
+}
+
+// -------------------- PDF --------------------
+
+function pdfFacts(doc, rows) {
+  rows.forEach(([key, value]) => doc.row([key, value], [0.3, 0.7]));
+}
+
+function renderReportPdf(report) {
+  const doc = new PdfDocument({ title: `Post-incident report – ${report.title}` });
+  doc.text("Post-incident report", { size: 18, bold: true });
+  doc.text(report.title, { size: 12 });
+  doc.text(
+    `Generated ${formatTime(report.generatedAt)}${report.generatedBy ? ` by ${report.generatedBy}` : ""}`,
+    { size: 9, color: "#6b7280" }
+  );
+
+  doc.heading("Device and person");
+  pdfFacts(doc, deviceRows(report));
+  doc.heading("Incident");
+  pdfFacts(doc, incidentRows(report));
+
+  doc.heading("Response times");
+  const figureCols = [0.28, 0.16, 0.22, 0.14, 0.2];
+  doc.row(["Step", "After opening", "At", "By", "Target"], figureCols, { bold: true });
+  report.responseTimes.forEach((f) =>
+    doc.row([f.label, figureText(f), formatTime(f.at), f.by || "–", targetText(f)], figureCols, {
+      color: f.breached ? "#b91c1c" : undefined,
+    })
+  );
+
+  doc.heading("SOS timeline");
+  const timelineCols = [0.2, 0.1, 0.22, 0.34, 0.14];
+  if (report.timeline.length) {
+    doc.row(["Time", "+", "Event", "Details", "By"], timelineCols, { bold: true });
+    report.timeline.forEach((e) =>
+      doc.row(
+        [formatTime(e.at), formatDuration(e.offsetSeconds), e.label, e.detail, e.by || ""],
+        timelineCols,
+        { color: e.sos ? "#b91c1c" : undefined }
+      )
+    );
+  } else {
+    doc.text("No events recorded.", { color: "#6b7280" });
+  }
+
+  doc.heading("Message transcript");
+  const messageCols = [0.2, 0.16, 0.5, 0.14];
+  if (report.transcript.length) {
+    doc.row(["Time", "From", "Message", "Status"], messageCols, { bold: true });
+    report.transcript.forEach((m) =>
+      doc.row(
+        [formatTime(m.at), m.from, `${m.sos ? "[SOS] " : ""}${m.text || ""}`, m.status || ""],
+        messageCols,
+        { color: m.direction === "outbound" ? "#1d4ed8" : undefined }
+      )
+    );
+  } else {
+    doc.text("No messages.", { color: "#6b7280" });
+  }
+
+  doc.heading("Track");
+  const track = trackRows(report);
+  if (track.length) pdfFacts(doc, track);
+  else doc.text("No positions recorded.", { color: "#6b7280" });
+  if (report.map) {
+    doc.gap(8);
+    doc.figure(300, (c) => {
+      const { line, markers, widthMeters } = projectMap(report.map, c.width, c.height);
+      c.rect(0, 0, c.width, c.height, { fill: "#f8fafc", stroke: "#cbd5e1" });
+      c.polyline(line, { color: "#2563eb", width: 1.8 });
+      markers.forEach((m) => {
+        c.dot(m.xy[0], m.xy[1], { color: MARKER_COLORS[m.kind] });
+        if (m.kind !== "stop") c.label(m.xy[0] + 5, m.xy[1] - 3, m.label);
+      });
+      c.label(6, c.height - 6, `Width approx. ${km(widthMeters)} · north up`);
+    });
+    const b = report.map.bounds;
+    doc.text(
+      `Bounds ${b.minLat.toFixed(5)}, ${b.minLng.toFixed(5)} – ${b.maxLat.toFixed(
+        5
+      )}, ${b.maxLng.toFixed(5)}. Red: SOS, orange: stops, purple: reference points, black: last position.`,
+      { size: 8, color: "#6b7280" }
+    );
+  }
+  if (report.track.stops.length) {
+    doc.gap(6);
+    doc.text("Stops", { bold: true });
+    const stopCols = [0.25, 0.2, 0.3, 0.25];
+    report.track.stops.forEach((s) =>
+      doc.row(
+        [
+          formatTime(s.from),
+          `${formatDuration(s.durationSeconds)}${s.ongoing ? " (ongoing)" : ""}`,
+          `${s.lat}, ${s.lng}`,
+          `${kmh(s.approachSpeedKmh)}${s.sudden ? " – sudden stop" : ""}`,
+        ],
+        stopCols
+      )
+    );
+  }
+
+  doc.heading("Operator notes");
+  if (report.notes.length) {
+    report.notes.forEach((n) => {
+      doc.text(`${n.author || "–"} · ${formatTime(n.at)}`, { size: 8, color: "#6b7280" });
+      doc.text(n.text, { size: 10 });
+      doc.gap(4);
+    });
+  } else {
+    doc.text("No notes.", { color: "#6b7280" });
+  }
+  return doc.toBuffer();
+}
+
+module.exports = {
+  buildIncidentReport,
+  renderReportHtml,
+  renderReportPdf,
+  formatDuration,
+};
@@ -0,0 +1,248 @@
+// SOS incidents
+//
+// An incident is opened by an SOS declare (code 4, or a confirm without a
+// prior declare) and moves through:
+//   open -> acknowledged -> resolved -> closed
+// Steps may be skipped (e.g. a code 7 cancel resolves an open incident, a
+// supervisor may close at any point) but never go backwards. Once an
+// incident is resolved or closed, the next SOS from that device opens a new one.
+//
+// An operator may claim an incident (or a supervisor assign it) so others on
+// shift can see who is handling it, and operators keep an internal notes
+// thread on it. Notes are never sent to the device; they are not `messages`.
+
+const STATUSES = ["open", "acknowledged", "resolved", "closed"];
+
+// Statuses in which a new SOS joins the existing incident
+const ACTIVE_STATUSES = ["open", "acknowledged"];
+
+function canTransition(from, to) {
+  const i = STATUSES.indexOf(from);
+  const j = STATUSES.indexOf(to);
+  return i !== -1 && j > i;
+}
+
+function rowToIncident(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    imei: row.imei,
+    tenantId: row.tenant_id,
+    status: row.status,
+    openedAt: row.opened_at,
+    openedCode: row.opened_code,
+    acknowledgedAt: row.acknowledged_at,
+    acknowledgedBy: row.acknowledged_by,
+    resolvedAt: row.resolved_at,
+    resolvedBy: row.resolved_by,
+    resolution: row.resolution,
+    closedAt: row.closed_at,
+    closedBy: row.closed_by,
+    firstResponseAt: row.first_response_at,
+    firstResponseBy: row.first_response_by,
+    assignedTo: row.assigned_to,
+    assignedAt: row.assigned_at,
+    assignedBy: row.assigned_by,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToNote(row) {
+  return {
+    id: row.id,
+    incidentId: row.incident_id,
+    imei: row.imei,
+    author: row.author,
+    text: row.text,
+    createdAt: row.created_at,
+  };
+}
+
+const MAX_NOTE_LENGTH = 4000;
+
+class IncidentsStore {
+  /**
+   * @param {import("better-sqlite3").Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this.stmts = {
+      insert: db.prepare(`
+        INSERT INTO incidents (imei, tenant_id, status, opened_at, opened_code, updated_at)
+        VALUES (@imei, @tenant_id, 'open', @opened_at, @opened_code, @updated_at)
+      `),
+      byId: db.prepare("SELECT * FROM incidents WHERE id = ?"),
+      forDevice: db.prepare(
+        "SELECT * FROM incidents WHERE imei = ? ORDER BY id DESC LIMIT ?"
+      ),
+      recent: db.prepare("SELECT * FROM incidents ORDER BY id DESC LIMIT ?"),
+      firstResponse: db.prepare(`
+        UPDATE incidents SET first_response_at = @at, first_response_by = @by
+        WHERE id = @id AND first_response_at IS NULL
+      `),
+      countByStatus: db.prepare(
+        "SELECT status, COUNT(*) AS count FROM incidents GROUP BY status"
+      ),
+      responded: db.prepare(`
+        SELECT * FROM incidents
+        WHERE acknowledged_at IS NOT NULL OR first_response_at IS NOT NULL
+      `),
+      assign: db.prepare(`
+        UPDATE incidents
+        SET assigned_to = @assigned_to, assigned_at = @at, assigned_by = @by,
+            updated_at = @updated_at
+        WHERE id = @id
+      `),
+      insertNote: db.prepare(`
+        INSERT INTO incident_notes (incident_id, imei, author, text, created_at)
+        VALUES (@incident_id, @imei, @author, @text, @created_at)
+      `),
+      noteById: db.prepare("SELECT * FROM incident_notes WHERE id = ?"),
+      notesFor: db.prepare(
+        "SELECT * FROM incident_notes WHERE incident_id = ? ORDER BY id"
+      ),
+    };
+  }
+
+  get(id) {
+    return rowToIncident(this.stmts.byId.get(id));
+  }
+
+  // Newest first
+  listForDevice(imei, limit = 50) {
+    return this.stmts.forDevice.all(imei, limit).map(rowToIncident);
+  }
+
+  list({ tenantId, status, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (tenantId) {
+      where.push("tenant_id = ?");
+      params.push(tenantId);
+    }
+    if (status) {
+      where.push("status = ?");
+      params.push(status);
+    }
+    if (!where.length) return this.stmts.recent.all(limit).map(rowToIncident);
+    return this.db
+      .prepare(
+        `SELECT * FROM incidents WHERE ${where.join(" AND ")} ORDER BY id DESC LIMIT ?`
+      )
+      .all(...params, limit)
+      .map(rowToIncident);
+  }
+
+  // Incidents opened within [from, to] (ISO strings), oldest first
+  listOpenedBetween({ from, to, tenantId } = {}) {
+    return this.db
+      .prepare(
+        `SELECT * FROM incidents
+         WHERE opened_at >= @from AND opened_at <= @to
+           ${tenantId ? "AND tenant_id = @tenantId" : ""}
+         ORDER BY opened_at, id`
+      )
+      .all({
+        from: from || "",
+        to: to || "9999-12-31T23:59:59.999Z",
+        tenantId: tenantId || null,
+      })
+      .map(rowToIncident);
+  }
+
+  // Incidents with an acknowledgement or operator message (for metrics)
+  listResponded() {
+    return this.stmts.responded.all().map(rowToIncident);
+  }
+
+  countByStatus() {
+    return this.stmts.countByStatus.all();
+  }
+
+  // Only the first operator message counts; later calls are no-ops
+  recordFirstResponse(id, { at, by }) {
+    return this.stmts.firstResponse.run({ id, at, by: by || null }).changes > 0;
+  }
+
+  /**
+   * Sets (or with a null assignee clears) who is handling the incident.
+   * Returns the updated incident, or null if there is no such incident.
+   */
+  assign(id, { assignee, by = null, at = new Date().toISOString() }) {
+    if (!this.get(id)) return null;
+    this.stmts.assign.run({
+      id,
+      assigned_to: assignee || null,
+      at: assignee ? at : null,
+      by: assignee ? by : null,
+      updated_at: new Date().toISOString(),
+    });
+    return this.get(id);
+  }
+
+  addNote(incidentId, { imei, author, text, at = new Date().toISOString() }) {
+    const body = typeof text === "string" ? text.trim() : "";
+    if (!body) throw new Error("text is required");
+    if (body.length > MAX_NOTE_LENGTH) {
+      throw new Error(`text must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    const info = this.stmts.insertNote.run({
+      incident_id: incidentId,
+      imei,
+      author: author || null,
+      text: body,
+      created_at: at,
+    });
+    return rowToNote(this.stmts.noteById.get(Number(info.lastInsertRowid)));
+  }
+
+  // Oldest first
+  listNotes(incidentId) {
+    return this.stmts.notesFor.all(incidentId).map(rowToNote);
+  }
+
+  open(imei, { tenantId, at, code }) {
+    const info = this.stmts.insert.run({
+      imei,
+      tenant_id: tenantId || null,
+      opened_at: at,
+      opened_code: Number.isFinite(code) ? code : null,
+      updated_at: new Date().toISOString(),
+    });
+    return this.get(Number(info.lastInsertRowid));
+  }
+
+  /**
+   * Moves an incident forward to `status`, stamping the matching
+   * *_at / *_by columns. Returns null if the move isn't allowed.
+   */
+  transition(id, status, { at = new Date().toISOString(), by = null, resolution } = {}) {
+    const incident = this.get(id);
+    if (!incident || !canTransition(incident.status, status)) return null;
+
+    const params = { id, status, at, by, updated_at: new Date().toISOString() };
+    let stamp = "";
+    if (status === "acknowledged") {
+      stamp = "acknowledged_at = @at, acknowledged_by = @by";
+    } else if (status === "resolved") {
+      stamp = "resolved_at = @at, resolved_by = @by, resolution = @resolution";
+      params.resolution = resolution || null;
+    } else if (status === "closed") {
+      stamp = "closed_at = @at, closed_by = @by";
+    }
+    this.db
+      .prepare(
+        `UPDATE incidents SET status = @status, ${stamp}, updated_at = @updated_at WHERE id = @id`
+      )
+      .run(params);
+    return this.get(id);
+  }
+}
+
+module.exports = {
+  IncidentsStore,
+  STATUSES,
+  ACTIVE_STATUSES,
+  canTransition,
+  rowToNote,
+};
@@ -0,0 +1,219 @@
+// Ingestion of IPC Outbound webhook batches
+//
+// Garmin retries a batch when it doesn't get a timely 200, so the same event
+// can arrive more than once. Each event is validated, then recorded in
+// ipc_events_seen under a content hash in the same transaction that applies
+// it - a redelivery is counted as a duplicate and skipped. pruneSeen() drops
+// entries past a retention window (Garmin retries within hours, so days are
+// plenty); a copy arriving after that would be applied again. Events that
+// fail validation (or throw while being applied) are parked in dead_letters
+// for an operator to dismiss or reprocess instead of being dropped.
+//
+// Emits "event" (outcome, evt) for every event taken in, with outcome
+// "accepted", "duplicates" or "rejected".
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { toJson, fromJson } = require("./db");
+const { validateEvent, parseTimestamp } = require("./ipc-validation");
+
+// JSON.stringify with sorted keys, so key order doesn't change the hash
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return "[" + value.map(stableStringify).join(",") + "]";
+  }
+  if (value && typeof value === "object") {
+    return (
+      "{" +
+      Object.keys(value)
+        .filter((k) => value[k] !== undefined)
+        .sort()
+        .map((k) => JSON.stringify(k) + ":" + stableStringify(value[k]))
+        .join(",") +
+      "}"
+    );
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function dedupKey(evt) {
+  return crypto.createHash("sha256").update(stableStringify(evt)).digest("hex");
+}
+
+function rowToDeadLetter(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    receivedAt: row.received_at,
+    tenantId: row.tenant_id,
+    reason: row.reason,
+    errors: fromJson(row.errors, []),
+    payload: fromJson(row.payload, null),
+    status: row.status,
+    resolvedAt: row.resolved_at,
+    resolvedBy: row.resolved_by,
+  };
+}
+
+class IpcIngestor extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {import("better-sqlite3").Database} opts.db
+   * @param {import("./devices-store").DevicesStore} opts.devicesStore
+   */
+  constructor({ db, devicesStore }) {
+    super();
+    this.db = db;
+    this.devicesStore = devicesStore;
+    this.stmts = {
+      insertSeen: db.prepare(`
+        INSERT OR IGNORE INTO ipc_events_seen
+          (dedup_key, imei, message_code, event_at, tenant_id, received_at)
+        VALUES
+          (@dedup_key, @imei, @message_code, @event_at, @tenant_id, @received_at)
+      `),
+      insertDead: db.prepare(`
+        INSERT INTO dead_letters (received_at, tenant_id, reason, errors, payload)
+        VALUES (@received_at, @tenant_id, @reason, @errors, @payload)
+      `),
+      pruneSeen: db.prepare("DELETE FROM ipc_events_seen WHERE received_at < ?"),
+      deadById: db.prepare("SELECT * FROM dead_letters WHERE id = ?"),
+      deadList: db.prepare(
+        "SELECT * FROM dead_letters ORDER BY id DESC LIMIT ?"
+      ),
+      deadByStatus: db.prepare(
+        "SELECT * FROM dead_letters WHERE status = ? ORDER BY id DESC LIMIT ?"
+      ),
+      resolveDead: db.prepare(`
+        UPDATE dead_letters
+        SET status = @status, resolved_at = @resolved_at, resolved_by = @resolved_by
+        WHERE id = @id AND status = 'new'
+      `),
+    };
+  }
+
+  /**
+   * Applies an IPC Outbound request body for a tenant.
+   * @returns {{ accepted: number, duplicates: number, rejected: number }}
+   */
+  ingestBatch(body, tenantId) {
+    const result = { accepted: 0, duplicates: 0, rejected: 0 };
+    const events = body?.Events;
+
+    if (!Array.isArray(events)) {
+      this.deadLetter(tenantId, "malformed-batch", ["Events must be an array"], body);
+      result.rejected = 1;
+      return result;
+    }
+
+    for (const evt of events) {
+      const outcome = this.ingestOne(evt, tenantId);
+      result[outcome]++;
+    }
+    return result;
+  }
+
+  // Returns "accepted", "duplicates" or "rejected"
+  ingestOne(evt, tenantId) {
+    const outcome = this._ingestOne(evt, tenantId);
+    this.emit("event", outcome, evt);
+    return outcome;
+  }
+
+  _ingestOne(evt, tenantId) {
+    const { ok, errors } = validateEvent(evt);
+    if (!ok) {
+      console.warn("[IpcIngest] Rejected event:", errors.join("; "));
+      this.deadLetter(tenantId, "invalid", errors, evt);
+      return "rejected";
+    }
+
+    const seen = {
+      dedup_key: dedupKey(evt),
+      imei: String(evt.imei ?? evt.Imei),
+      message_code: Number(evt.messageCode),
+      event_at: parseTimestamp(evt.timeStamp).toISOString(),
+      tenant_id: tenantId || null,
+      received_at: new Date().toISOString(),
+    };
+
+    // A failure leaves neither rows nor cached state nor events behind, so
+    // the dead letter can be replayed as if the event never arrived
+    try {
+      const applied = this.devicesStore.transaction(() => {
+        if (this.stmts.insertSeen.run(seen).changes === 0) return false;
+        this.devicesStore.ingestEvent(evt, tenantId);
+        return true;
+      });
+      return applied ? "accepted" : "duplicates";
+    } catch (err) {
+      console.error("[IpcIngest] Failed to apply event:", err.message);
+      this.deadLetter(tenantId, "ingest-error", [err.message], evt);
+      return "rejected";
+    }
+  }
+
+  // Forgets events received before `before` (ISO); returns how many
+  pruneSeen(before) {
+    return this.stmts.pruneSeen.run(before).changes;
+  }
+
+  deadLetter(tenantId, reason, errors, payload) {
+    const info = this.stmts.insertDead.run({
+      received_at: new Date().toISOString(),
+      tenant_id: tenantId || null,
+      reason,
+      errors: toJson(errors, "[]"),
+      payload: toJson(payload ?? null, "null"),
+    });
+    return Number(info.lastInsertRowid);
+  }
+
+  getDeadLetter(id) {
+    return rowToDeadLetter(this.stmts.deadById.get(id));
+  }
+
+  listDeadLetters({ status, limit = 100 } = {}) {
+    const rows = status
+      ? this.stmts.deadByStatus.all(status, limit)
+      : this.stmts.deadList.all(limit);
+    return rows.map(rowToDeadLetter);
+  }
+
+  dismissDeadLetter(id, actor) {
+    this.stmts.resolveDead.run({
+      id,
+      status: "dismissed",
+      resolved_at: new Date().toISOString(),
+      resolved_by: actor || null,
+    });
+    return this.getDeadLetter(id);
+  }
+
+  /**
+   * Runs a dead-lettered event (or a corrected copy of it) through ingestion
+   * again. The dead letter is only marked reprocessed when that succeeds.
+   * @returns {{ outcome: string, deadLetter: object, errors?: string[] }}
+   */
+  reprocessDeadLetter(id, actor, correctedEvent) {
+    const dl = this.getDeadLetter(id);
+    if (!dl) return null;
+
+    const evt = correctedEvent ?? dl.payload;
+    const { ok, errors } = validateEvent(evt);
+    if (!ok) return { outcome: "rejected", errors, deadLetter: dl };
+
+    const outcome = this.ingestOne(evt, dl.tenantId);
+    if (outcome !== "rejected") {
+      this.stmts.resolveDead.run({
+        id,
+        status: "reprocessed",
+        resolved_at: new Date().toISOString(),
+        resolved_by: actor || null,
+      });
+    }
+    return { outcome, deadLetter: this.getDeadLetter(id) };
+  }
+}
+
+module.exports = { IpcIngestor, dedupKey };
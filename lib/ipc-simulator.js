@@ -0,0 +1,307 @@
+// IPC Outbound simulator and replay, for development and SOS drills
+//
+// Builds realistic IPC Outbound batches (the body Garmin POSTs to
+// /garmin/ipc-outbound) and sends them with a tenant's outbound token.
+// Scenarios produce timed event lists: positions along a route, free text,
+// SOS declare/confirm/cancel and tracking start/stop. Replay reads recorded
+// payloads - the "[GarminOutbound] FULL IPC PAYLOAD:" log lines this server
+// writes, or one JSON batch per line - and plays them back with their
+// original spacing (scaled by `speed`), optionally moved up to the present.
+
+const axios = require("axios");
+const { distanceMeters } = require("./geofences");
+const { parseTimestamp } = require("./ipc-validation");
+
+const CODES = {
+  position: 0,
+  status: 1,
+  freeText: 2,
+  sosMessage: 3,
+  sosDeclare: 4,
+  sosConfirm: 6,
+  sosCancel: 7,
+  referencePoint: 8,
+  trackStart: 10,
+  trackInterval: 11,
+  trackStop: 12,
+};
+
+// Default drill route (Bernese Oberland) as [lat, lng] waypoints
+const DEFAULT_ROUTE = [
+  [46.6863, 7.8632],
+  [46.6551, 7.9021],
+  [46.6241, 7.9608],
+  [46.5977, 7.9074],
+  [46.5474, 7.9853],
+];
+
+const DEFAULT_SOS_ADDRESS = "sos-drill@magnusafety.com";
+const LOG_MARKER = "FULL IPC PAYLOAD:";
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+// Initial bearing from a to b, degrees clockwise from north
+function bearing(a, b) {
+  const y = Math.sin(toRad(b.lng - a.lng)) * Math.cos(toRad(b.lat));
+  const x =
+    Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+    Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(toRad(b.lng - a.lng));
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * One IPC Outbound event. `at` is a Date or epoch ms.
+ * @param {string} imei
+ * @param {number} messageCode
+ * @param {object} [opts]
+ */
+function buildEvent(imei, messageCode, { at, point, text, addresses, status } = {}) {
+  const evt = {
+    imei: String(imei),
+    messageCode,
+    freeText: text || "",
+    timeStamp: at instanceof Date ? at.getTime() : at ?? Date.now(),
+    addresses: (addresses || []).map((address) => ({ address })),
+    status: Object.assign(
+      { autonomous: 0, lowBattery: 0, intervalChange: 0, resetDetected: 0 },
+      status
+    ),
+  };
+  if (point) {
+    evt.point = {
+      latitude: point.lat,
+      longitude: point.lng,
+      altitude: point.altitude ?? 1500,
+      gpsFix: 2,
+      course: Math.round(point.course ?? 0),
+      speed: Math.round((point.speed ?? 0) * 10) / 10,
+    };
+  }
+  return evt;
+}
+
+function buildBatch(events) {
+  return { Version: "2.0", Events: events };
+}
+
+/**
+ * `count` points evenly spaced along the route, with course and speed
+ * (km/h) for a walker covering the route over count intervals.
+ */
+function routePoints(route, count, intervalSeconds) {
+  const pts = route.map(([lat, lng]) => ({ lat, lng }));
+  const legs = [];
+  let total = 0;
+  for (let i = 1; i < pts.length; i++) {
+    const len = distanceMeters(pts[i - 1], pts[i]);
+    legs.push({ from: pts[i - 1], to: pts[i], start: total, len });
+    total += len;
+  }
+  const speedKmh =
+    count > 1 ? (total / ((count - 1) * intervalSeconds)) * 3.6 : 0;
+
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const d = count > 1 ? (total * i) / (count - 1) : 0;
+    const leg =
+      legs.find((l) => d <= l.start + l.len) || legs[legs.length - 1];
+    const f = leg.len ? (d - leg.start) / leg.len : 0;
+    out.push({
+      lat: leg.from.lat + (leg.to.lat - leg.from.lat) * f,
+      lng: leg.from.lng + (leg.to.lng - leg.from.lng) * f,
+      course: bearing(leg.from, leg.to),
+      speed: speedKmh,
+    });
+  }
+  return out;
+}
+
+/**
+ * Events for a named scenario, oldest first.
+ *   track  tracking start, positions along the route, tracking stop
+ *   sos    declare, confirm, SOS-context messages with positions, cancel
+ *   chat   a few free-text messages with positions
+ * @returns {object[]}
+ */
+function scenarioEvents(name, opts = {}) {
+  const imei = String(opts.imei || "300434030000001");
+  const interval = opts.intervalSeconds || 120;
+  const points = routePoints(opts.route || DEFAULT_ROUTE, opts.points || 10, interval);
+  // Ends about now, so nothing is rejected as coming from the future
+  const start = opts.start
+    ? new Date(opts.start).getTime()
+    : Date.now() - (points.length + 10) * interval * 1000;
+  const sosAddress = opts.sosAddress || DEFAULT_SOS_ADDRESS;
+  const at = (i) => start + i * interval * 1000;
+
+  switch (name) {
+    case "track":
+      return [
+        buildEvent(imei, CODES.trackStart, {
+          at: at(0),
+          point: points[0],
+          status: { intervalChange: interval },
+        }),
+        ...points.map((p, i) =>
+          buildEvent(imei, CODES.position, { at: at(i) + 1000, point: p })
+        ),
+        buildEvent(imei, CODES.trackStop, {
+          at: at(points.length),
+          point: points[points.length - 1],
+        }),
+      ];
+
+    case "sos": {
+      const last = points.length - 1;
+      return [
+        ...points.slice(0, -1).map((p, i) =>
+          buildEvent(imei, CODES.position, { at: at(i), point: p })
+        ),
+        buildEvent(imei, CODES.sosDeclare, {
+          at: at(last),
+          point: points[last],
+          text: "SOS declared (drill)",
+          addresses: [sosAddress],
+        }),
+        buildEvent(imei, CODES.sosConfirm, {
+          at: at(last) + 30000,
+          point: points[last],
+          addresses: [sosAddress],
+        }),
+        buildEvent(imei, CODES.sosMessage, {
+          at: at(last) + 90000,
+          point: points[last],
+          text: "Fell on the descent, ankle injured. 2 people, both ok otherwise.",
+          addresses: [sosAddress],
+        }),
+        buildEvent(imei, CODES.position, {
+          at: at(last) + 300000,
+          point: points[last],
+        }),
+        buildEvent(imei, CODES.sosCancel, {
+          at: at(last) + 600000,
+          point: points[last],
+          text: "Drill over",
+        }),
+      ];
+    }
+
+    case "chat":
+      return ["Leaving the hut now", "At the pass, all good", "Camp reached"].map(
+        (text, i) => {
+          const p = points[Math.round((i * (points.length - 1)) / 2)];
+          return buildEvent(imei, CODES.freeText, { at: at(i * 3), point: p, text });
+        }
+      );
+
+    default:
+      throw new Error(`Unknown scenario "${name}" (track, sos, chat)`);
+  }
+}
+
+// Recorded batches from a log, a JSONL file or a JSON array, in file order
+function parseRecordedPayloads(content) {
+  const text = String(content).trim();
+  if (text.startsWith("[")) {
+    // Log lines start with "[" too ("[GarminOutbound] ...")
+    try {
+      const arr = JSON.parse(text);
+      if (Array.isArray(arr)) return arr.filter((b) => b && Array.isArray(b.Events));
+    } catch (err) {
+      // not a JSON array; read it line by line
+    }
+  }
+
+  const batches = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    const idx = line.indexOf(LOG_MARKER);
+    const json = idx >= 0 ? line.slice(idx + LOG_MARKER.length).trim() : line.trim();
+    if (!json.startsWith("{")) return;
+    try {
+      const body = JSON.parse(json);
+      if (Array.isArray(body.Events)) batches.push(body);
+    } catch (err) {
+      console.warn(`[Simulator] Skipping line ${i + 1}: ${err.message}`);
+    }
+  });
+  return batches;
+}
+
+function eventTime(evt) {
+  const ts = parseTimestamp(evt && evt.timeStamp);
+  return ts && !Number.isNaN(ts.getTime()) ? ts.getTime() : null;
+}
+
+function batchTime(batch) {
+  const times = batch.Events.map(eventTime).filter((t) => t != null);
+  return times.length ? Math.min(...times) : null;
+}
+
+// Copies of the batches with every timestamp moved so the last event is `now`
+function rebaseBatches(batches, now = Date.now()) {
+  const times = batches
+    .flatMap((b) => b.Events.map(eventTime))
+    .filter((t) => t != null);
+  if (!times.length) return batches;
+  const shift = now - Math.max(...times);
+  return batches.map((b) => ({
+    ...b,
+    Events: b.Events.map((evt) => {
+      const t = eventTime(evt);
+      return t == null ? evt : { ...evt, timeStamp: t + shift };
+    }),
+  }));
+}
+
+async function postBatch(url, token, body) {
+  const res = await axios.post(url, body, {
+    headers: { "x-outbound-auth-token": token, "Content-Type": "application/json" },
+    timeout: 10000,
+  });
+  return res.data;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Posts batches in order. With speed > 0 the gaps between their first
+ * timestamps are kept (divided by speed, capped at maxDelayMs); speed 0
+ * sends them back to back.
+ */
+async function playBatches(batches, { url, token, speed = 0, maxDelayMs = 30000, onBatch } = {}) {
+  const results = [];
+  let prev = null;
+  for (const batch of batches) {
+    const t = batchTime(batch);
+    if (speed > 0 && prev != null && t != null && t > prev) {
+      await sleep(Math.min(maxDelayMs, (t - prev) / speed));
+    }
+    if (t != null) prev = t;
+    const result = await postBatch(url, token, batch);
+    results.push(result);
+    if (onBatch) onBatch(batch, result);
+  }
+  return results;
+}
+
+// One batch per event, as Garmin usually delivers them
+function eventsToBatches(events) {
+  return events.map((evt) => buildBatch([evt]));
+}
+
+module.exports = {
+  CODES,
+  DEFAULT_ROUTE,
+  DEFAULT_SOS_ADDRESS,
+  buildEvent,
+  buildBatch,
+  routePoints,
+  scenarioEvents,
+  eventsToBatches,
+  parseRecordedPayloads,
+  rebaseBatches,
+  postBatch,
+  playBatches,
+};
@@ -0,0 +1,109 @@
+// Schema checks for IPC Outbound events (the entries of the `Events` array)
+
+const IMEI_RE = /^\d{6,20}$/;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+function isValidImei(v) {
+  return IMEI_RE.test(String(v));
+}
+
+function isFiniteNumber(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+// Garmin sends epoch milliseconds; ISO strings are accepted for replays/tests
+function parseTimestamp(value) {
+  if (isFiniteNumber(value)) return new Date(value);
+  if (typeof value === "string" && value.trim()) {
+    const m = /^\/Date\((\d+)\)\/$/.exec(value.trim());
+    return new Date(m ? Number(m[1]) : value);
+  }
+  return null;
+}
+
+function checkOptionalNumber(errors, obj, key, min, max) {
+  const v = obj[key];
+  if (v === undefined || v === null) return;
+  if (!isFiniteNumber(v)) {
+    errors.push(`point.${key} must be a number`);
+  } else if ((min != null && v < min) || (max != null && v > max)) {
+    errors.push(`point.${key} out of range`);
+  }
+}
+
+/**
+ * @returns {{ ok: boolean, errors: string[] }}
+ */
+function validateEvent(evt, now = Date.now()) {
+  const errors = [];
+  if (!evt || typeof evt !== "object" || Array.isArray(evt)) {
+    return { ok: false, errors: ["event must be an object"] };
+  }
+
+  const imei = evt.imei ?? evt.Imei;
+  if (imei === undefined || imei === null || imei === "") {
+    errors.push("imei is required");
+  } else if (!isValidImei(imei)) {
+    errors.push("imei must be 6-20 digits");
+  }
+
+  const code = evt.messageCode;
+  if (code === undefined || code === null || code === "") {
+    errors.push("messageCode is required");
+  } else if (!Number.isInteger(Number(code)) || Number(code) < 0) {
+    errors.push("messageCode must be a non-negative integer");
+  }
+
+  if (evt.timeStamp === undefined || evt.timeStamp === null) {
+    errors.push("timeStamp is required");
+  } else {
+    const ts = parseTimestamp(evt.timeStamp);
+    if (!ts || Number.isNaN(ts.getTime())) {
+      errors.push("timeStamp is not a valid date");
+    } else if (ts.getTime() > now + MAX_CLOCK_SKEW_MS) {
+      errors.push("timeStamp is in the future");
+    }
+  }
+
+  const point = evt.point ?? evt.Point;
+  if (point !== undefined && point !== null) {
+    if (typeof point !== "object") {
+      errors.push("point must be an object");
+    } else if (point.latitude != null || point.longitude != null) {
+      if (!isFiniteNumber(point.latitude) || !isFiniteNumber(point.longitude)) {
+        errors.push("point.latitude and point.longitude must both be numbers");
+      } else {
+        checkOptionalNumber(errors, point, "latitude", -90, 90);
+        checkOptionalNumber(errors, point, "longitude", -180, 180);
+      }
+      checkOptionalNumber(errors, point, "altitude");
+      checkOptionalNumber(errors, point, "speed", 0);
+      checkOptionalNumber(errors, point, "course", 0, 360);
+    }
+  }
+
+  const text = evt.freeText ?? evt.message;
+  if (text !== undefined && text !== null) {
+    if (typeof text !== "string") errors.push("freeText must be a string");
+    else if (text.length > MAX_TEXT_LENGTH) errors.push("freeText too long");
+  }
+
+  const addresses = evt.addresses ?? evt.Addresses;
+  if (addresses !== undefined && addresses !== null && !Array.isArray(addresses)) {
+    errors.push("addresses must be an array");
+  }
+
+  const status = evt.status ?? evt.Status;
+  if (
+    status !== undefined &&
+    status !== null &&
+    (typeof status !== "object" || Array.isArray(status))
+  ) {
+    errors.push("status must be an object");
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+module.exports = { validateEvent, parseTimestamp, isValidImei };
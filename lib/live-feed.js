@@ -0,0 +1,180 @@
+// Authenticated WebSocket live feed
+//
+// Clients connect to /ws?token=<jwt> (browsers cannot set headers on a
+// WebSocket; other clients may send x-api-key instead). Every broadcast gets
+// a sequence number and is kept in a ring buffer so a client reconnecting
+// with ?since=<seq>&epoch=<epoch> receives the events it missed. If the
+// buffer no longer reaches back that far, or the server restarted (new
+// epoch), the client is told to resync from the REST API instead.
+//
+// Presence: a client sends {"type":"presence","imei":"..."} when its operator
+// opens a device (imei null when they leave it). Everyone then gets a
+// {"type":"presence","viewers":[...]} snapshot of who is viewing what. These
+// snapshots are not sequenced or buffered; hello carries the current one.
+
+const crypto = require("crypto");
+const { URL } = require("url");
+const WebSocket = require("ws");
+
+function createLiveFeed({
+  server,
+  authenticateUpgrade,
+  path = "/ws",
+  bufferSize = 500,
+  heartbeatMs = 25000,
+}) {
+  const wss = new WebSocket.Server({ noServer: true });
+  const epoch = crypto.randomBytes(6).toString("hex");
+  const buffer = [];
+  let seq = 0;
+
+  function sendJson(ws, obj) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(obj));
+  }
+
+  function broadcast(event) {
+    seq += 1;
+    const stamped = Object.assign({}, event, { seq, epoch });
+    buffer.push(stamped);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    const payload = JSON.stringify(stamped);
+    wss.clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN) client.send(payload);
+    });
+    return stamped;
+  }
+
+  // One entry per operator and device, however many tabs they have open
+  function presence() {
+    const viewers = new Map();
+    wss.clients.forEach((ws) => {
+      if (!ws.viewing) return;
+      const key = `${ws.operator.username}|${ws.viewing.imei}`;
+      const seen = viewers.get(key);
+      if (seen && seen.since <= ws.viewing.since) return;
+      viewers.set(key, {
+        username: ws.operator.username,
+        displayName: ws.operator.displayName || ws.operator.username,
+        imei: ws.viewing.imei,
+        since: ws.viewing.since,
+      });
+    });
+    return [...viewers.values()];
+  }
+
+  function broadcastPresence() {
+    const payload = JSON.stringify({ type: "presence", viewers: presence() });
+    wss.clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN) client.send(payload);
+    });
+  }
+
+  function handleClientMessage(ws, data) {
+    let msg;
+    try {
+      msg = JSON.parse(String(data));
+    } catch {
+      return;
+    }
+    if (!msg || msg.type !== "presence") return;
+    const imei = typeof msg.imei === "string" && msg.imei.trim() ? msg.imei.trim() : null;
+    if (imei && imei.length > 64) return;
+    if ((ws.viewing ? ws.viewing.imei : null) === imei) return;
+    ws.viewing = imei ? { imei, since: new Date().toISOString() } : null;
+    broadcastPresence();
+  }
+
+  function replay(ws, sinceSeq, clientEpoch) {
+    if (sinceSeq == null) return;
+    const oldest = buffer.length ? buffer[0].seq : seq + 1;
+    if (clientEpoch !== epoch || sinceSeq < oldest - 1 || sinceSeq > seq) {
+      sendJson(ws, { type: "resync", epoch, seq });
+      return;
+    }
+    buffer
+      .filter((e) => e.seq > sinceSeq)
+      .forEach((e) => sendJson(ws, e));
+  }
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== path) {
+      socket.write("HTTP/1.1 404 Not Found\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+
+    const operator = authenticateUpgrade(req, url);
+    if (!operator) {
+      console.warn("[WS] Rejected unauthenticated connection");
+      socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.operator = operator;
+      ws.isAlive = true;
+      const sinceRaw = url.searchParams.get("since");
+      const since = sinceRaw === null || sinceRaw === "" ? null : Number(sinceRaw);
+      wss.emit("connection", ws, req, {
+        since: Number.isFinite(since) ? since : null,
+        epoch: url.searchParams.get("epoch"),
+      });
+    });
+  });
+
+  wss.on("connection", (ws, req, resume) => {
+    console.log("[WS] Client connected:", ws.operator.username);
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("message", (data) => handleClientMessage(ws, data));
+    ws.on("close", () => {
+      console.log("[WS] Client disconnected:", ws.operator.username);
+      if (ws.viewing) broadcastPresence();
+    });
+
+    sendJson(ws, {
+      type: "hello",
+      epoch,
+      seq,
+      operator: ws.operator,
+      viewers: presence(),
+    });
+    replay(ws, resume.since, resume.epoch);
+  });
+
+  // Ping at the protocol level to drop dead sockets, and send an app-level
+  // heartbeat so the dashboard can tell a stalled feed from a quiet one.
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        console.warn("[WS] Terminating unresponsive client:", ws.operator.username);
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+      sendJson(ws, { type: "heartbeat", epoch, seq, at: new Date().toISOString() });
+    });
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  function close() {
+    clearInterval(heartbeat);
+    wss.clients.forEach((client) => client.terminate());
+    wss.close();
+  }
+
+  return {
+    wss,
+    broadcast,
+    close,
+    presence,
+    clientCount: () => wss.clients.size,
+  };
+}
+
+module.exports = { createLiveFeed };
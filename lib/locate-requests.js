@@ -0,0 +1,111 @@
+// Pending Locate requests sent through IPC Inbound (Location.svc)
+//
+// A request stays pending until the next position for that IMEI arrives via
+// ingestEvent, or until it expires and is marked timed_out.
+
+const { toJson, fromJson } = require("./db");
+
+function rowToRequest(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    imei: row.imei,
+    tenantId: row.tenant_id,
+    status: row.status,
+    requestedAt: row.requested_at,
+    requestedBy: row.requested_by,
+    expiresAt: row.expires_at,
+    resolvedAt: row.resolved_at,
+    position: fromJson(row.position, null),
+    garminResponse: fromJson(row.garmin_response, null),
+    error: row.error,
+  };
+}
+
+class LocateRequests {
+  constructor(db, { timeoutMs }) {
+    this.db = db;
+    this.timeoutMs = timeoutMs;
+    this.stmts = {
+      insert: db.prepare(`
+        INSERT INTO locate_requests
+          (imei, tenant_id, status, requested_at, requested_by, expires_at, garmin_response, error)
+        VALUES
+          (@imei, @tenant_id, @status, @requested_at, @requested_by, @expires_at, @garmin_response, @error)
+      `),
+      byId: db.prepare("SELECT * FROM locate_requests WHERE id = ?"),
+      pendingFor: db.prepare(
+        "SELECT * FROM locate_requests WHERE imei = ? AND status = 'pending' ORDER BY id"
+      ),
+      expired: db.prepare(
+        "SELECT * FROM locate_requests WHERE status = 'pending' AND expires_at <= ? ORDER BY id"
+      ),
+      resolve: db.prepare(`
+        UPDATE locate_requests
+        SET status = @status, resolved_at = @resolved_at, position = @position
+        WHERE id = @id AND status = 'pending'
+      `),
+      recentFor: db.prepare(
+        "SELECT * FROM locate_requests WHERE imei = ? ORDER BY id DESC LIMIT ?"
+      ),
+    };
+  }
+
+  get(id) {
+    return rowToRequest(this.stmts.byId.get(id));
+  }
+
+  listForDevice(imei, limit = 20) {
+    return this.stmts.recentFor.all(imei, limit).map(rowToRequest);
+  }
+
+  // status is "pending" when Garmin accepted the command, "failed" otherwise
+  create({ imei, tenantId, requestedBy, status, garminResponse, error }) {
+    const now = Date.now();
+    const info = this.stmts.insert.run({
+      imei,
+      tenant_id: tenantId,
+      status,
+      requested_at: new Date(now).toISOString(),
+      requested_by: requestedBy || null,
+      expires_at: new Date(now + this.timeoutMs).toISOString(),
+      garmin_response: toJson(garminResponse),
+      error: error || null,
+    });
+    return this.get(info.lastInsertRowid);
+  }
+
+  // Marks every pending request for the IMEI as fulfilled by `pos`.
+  // Positions timestamped before a request was made do not count.
+  fulfill(imei, pos) {
+    const resolvedAt = new Date().toISOString();
+    return this.stmts.pendingFor
+      .all(imei)
+      .filter((row) => !pos.timestamp || pos.timestamp >= row.requested_at)
+      .map((row) => {
+        this.stmts.resolve.run({
+          id: row.id,
+          status: "fulfilled",
+          resolved_at: resolvedAt,
+          position: toJson(pos),
+        });
+        return this.get(row.id);
+      });
+  }
+
+  // Marks pending requests past their expiry as timed_out; returns them
+  expire(now = new Date()) {
+    const nowIso = now.toISOString();
+    return this.stmts.expired.all(nowIso).map((row) => {
+      this.stmts.resolve.run({
+        id: row.id,
+        status: "timed_out",
+        resolved_at: nowIso,
+        position: null,
+      });
+      return this.get(row.id);
+    });
+  }
+}
+
+module.exports = { LocateRequests };
@@ -0,0 +1,76 @@
+// Character budgeting and multi-part splitting for inReach messages
+//
+// inReach messages are limited to MESSAGE_MAX_CHARS characters (160 by
+// default). Characters are counted as Unicode code points, so an emoji or
+// accented letter counts once. Longer texts are split at word boundaries
+// into parts prefixed "(1/3) ", "(2/3) ", ... which the outbound queue
+// delivers in order.
+
+const DEFAULT_MAX_CHARS = 160;
+
+function countChars(text) {
+  return Array.from(String(text ?? "")).length;
+}
+
+function partPrefix(index, total) {
+  return `(${index}/${total}) `;
+}
+
+// Cuts `chars` (code points) into chunks of at most `size`, preferring to
+// break after whitespace; words longer than a chunk are hard-cut.
+function chunk(chars, size) {
+  const chunks = [];
+  let start = 0;
+  while (start < chars.length) {
+    let end = Math.min(start + size, chars.length);
+    if (end < chars.length) {
+      let cut = end;
+      while (cut > start && !/\s/.test(chars[cut])) cut--;
+      if (cut > start) end = cut;
+    }
+    const text = chars.slice(start, end).join("").trim();
+    if (text) chunks.push(text);
+    start = end;
+    while (start < chars.length && /\s/.test(chars[start])) start++;
+  }
+  return chunks;
+}
+
+/**
+ * Splits text into parts that each fit `maxChars`, numbering them when there
+ * is more than one.
+ * @returns {string[]}
+ */
+function splitMessage(text, maxChars = DEFAULT_MAX_CHARS) {
+  const trimmed = String(text ?? "").trim();
+  const chars = Array.from(trimmed);
+  if (chars.length <= maxChars) return trimmed ? [trimmed] : [];
+
+  // The prefix length depends on the number of parts; grow the estimate
+  // until the chunking agrees with it.
+  let total = 2;
+  for (;;) {
+    const size = maxChars - countChars(partPrefix(total, total));
+    if (size < 10) throw new Error("maxChars is too small to split messages");
+    const chunks = chunk(chars, size);
+    if (chunks.length <= total) {
+      return chunks.map((c, i) => partPrefix(i + 1, chunks.length) + c);
+    }
+    total = chunks.length;
+  }
+}
+
+// Pre-send check shown next to the chat input
+function checkBudget(text, maxChars = DEFAULT_MAX_CHARS) {
+  const chars = countChars(String(text ?? "").trim());
+  const parts = splitMessage(text, maxChars);
+  return {
+    chars,
+    maxChars,
+    fits: chars <= maxChars,
+    parts: parts.length,
+    preview: parts,
+  };
+}
+
+module.exports = { DEFAULT_MAX_CHARS, countChars, splitMessage, checkBudget };
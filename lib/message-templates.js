@@ -0,0 +1,255 @@
+// Message templates for operator replies, in several languages
+//
+// Built-in templates cover the standard SOS instructions; supervisors can
+// add their own (stored in message_templates). A custom template with the
+// same key and language as a built-in one replaces it.
+//
+// Placeholders are written {{name}}; renderTemplate() fills them from
+// templateContext(). Placeholders without a value are reported as missing
+// so nothing is sent with a blank where a coordinate should be.
+
+const LANGUAGES = ["en", "es", "fr", "de"];
+
+const PLACEHOLDERS = [
+  "deviceLabel",
+  "ownerName",
+  "imei",
+  "lat",
+  "lng",
+  "coordinates",
+  "incidentId",
+  "operator",
+];
+
+const BUILT_IN_TEMPLATES = [
+  {
+    key: "sos-received",
+    name: "SOS received",
+    bodies: {
+      en: "MAGNUS ECC: We received your SOS, {{deviceLabel}}. Help is being coordinated. Reply with your condition and number of people.",
+      es: "MAGNUS ECC: Recibimos su SOS, {{deviceLabel}}. Estamos coordinando la ayuda. Responda con su estado y el número de personas.",
+      fr: "MAGNUS ECC : Nous avons reçu votre SOS, {{deviceLabel}}. Les secours sont en cours d'organisation. Répondez avec votre état et le nombre de personnes.",
+      de: "MAGNUS ECC: Wir haben Ihr SOS erhalten, {{deviceLabel}}. Hilfe wird koordiniert. Antworten Sie mit Ihrem Zustand und der Anzahl der Personen.",
+    },
+  },
+  {
+    key: "stay-put",
+    name: "Stay where you are",
+    bodies: {
+      en: "Stay where you are if it is safe. Keep the device on and facing the sky. Last position: {{coordinates}}.",
+      es: "Quédese donde está si es seguro. Mantenga el dispositivo encendido y orientado al cielo. Última posición: {{coordinates}}.",
+      fr: "Restez où vous êtes si c'est sûr. Gardez l'appareil allumé et orienté vers le ciel. Dernière position : {{coordinates}}.",
+      de: "Bleiben Sie, wo Sie sind, wenn es sicher ist. Lassen Sie das Gerät eingeschaltet und zum Himmel gerichtet. Letzte Position: {{coordinates}}.",
+    },
+  },
+  {
+    key: "help-dispatched",
+    name: "Rescue dispatched",
+    bodies: {
+      en: "Rescue services have been dispatched to {{coordinates}} (incident #{{incidentId}}). Send a message if your situation changes.",
+      es: "Los servicios de rescate van hacia {{coordinates}} (incidente n.º {{incidentId}}). Envíe un mensaje si su situación cambia.",
+      fr: "Les secours ont été envoyés à {{coordinates}} (incident n° {{incidentId}}). Envoyez un message si votre situation change.",
+      de: "Rettungskräfte sind nach {{coordinates}} unterwegs (Einsatz #{{incidentId}}). Melden Sie sich, wenn sich Ihre Lage ändert.",
+    },
+  },
+  {
+    key: "status-check",
+    name: "Status check",
+    bodies: {
+      en: "MAGNUS ECC checking in with {{deviceLabel}}. Please reply OK if you are safe or HELP if you need assistance.",
+      es: "MAGNUS ECC contactando a {{deviceLabel}}. Responda OK si está bien o AYUDA si necesita asistencia.",
+      fr: "MAGNUS ECC prend des nouvelles de {{deviceLabel}}. Répondez OK si tout va bien ou AIDE si vous avez besoin d'assistance.",
+      de: "MAGNUS ECC meldet sich bei {{deviceLabel}}. Antworten Sie OK, wenn alles in Ordnung ist, oder HILFE, wenn Sie Hilfe brauchen.",
+    },
+  },
+];
+
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+function formatCoord(value) {
+  return Number(value).toFixed(5);
+}
+
+// Values for the placeholders, from the device, its current incident and
+// the operator sending the message
+function templateContext({ device, incident, operator } = {}) {
+  const pos = device && device.position;
+  const hasPos = pos && pos.lat != null && pos.lng != null;
+  return {
+    deviceLabel: device ? device.label || device.imei : null,
+    ownerName: device ? device.ownerName : null,
+    imei: device ? device.imei : null,
+    lat: hasPos ? formatCoord(pos.lat) : null,
+    lng: hasPos ? formatCoord(pos.lng) : null,
+    coordinates: hasPos ? `${formatCoord(pos.lat)}, ${formatCoord(pos.lng)}` : null,
+    incidentId: incident ? String(incident.id) : null,
+    operator: operator || null,
+  };
+}
+
+/**
+ * @returns {{ text: string, missing: string[] }}
+ */
+function renderTemplate(body, context) {
+  const missing = [];
+  const text = String(body).replace(PLACEHOLDER_RE, (match, name) => {
+    const value = context[name];
+    if (value == null || value === "") {
+      if (!missing.includes(name)) missing.push(name);
+      return match;
+    }
+    return String(value);
+  });
+  return { text, missing };
+}
+
+// Throws with a user-facing message if the template is invalid
+function validateTemplate({ key, language, name, body }) {
+  if (!key || !/^[a-z0-9][a-z0-9-]*$/.test(String(key))) {
+    throw new Error("key must be lowercase letters, digits and dashes");
+  }
+  if (!LANGUAGES.includes(language)) {
+    throw new Error(`language must be one of ${LANGUAGES.join(", ")}`);
+  }
+  if (!name || !String(name).trim()) throw new Error("name is required");
+  if (!body || !String(body).trim()) throw new Error("body is required");
+  const unknown = [...String(body).matchAll(PLACEHOLDER_RE)]
+    .map((m) => m[1])
+    .filter((p) => !PLACEHOLDERS.includes(p));
+  if (unknown.length) {
+    throw new Error(`Unknown placeholder(s): ${[...new Set(unknown)].join(", ")}`);
+  }
+}
+
+function rowToTemplate(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    key: row.key,
+    language: row.language,
+    name: row.name,
+    body: row.body,
+    builtIn: false,
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    updatedAt: row.updated_at,
+  };
+}
+
+function builtInTemplates() {
+  const out = [];
+  BUILT_IN_TEMPLATES.forEach((t) => {
+    Object.entries(t.bodies).forEach(([language, body]) => {
+      out.push({ id: null, key: t.key, language, name: t.name, body, builtIn: true });
+    });
+  });
+  return out;
+}
+
+class MessageTemplatesStore {
+  /**
+   * @param {import("better-sqlite3").Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this.stmts = {
+      insert: db.prepare(`
+        INSERT INTO message_templates
+          (key, language, name, body, created_at, created_by, updated_at)
+        VALUES
+          (@key, @language, @name, @body, @created_at, @created_by, @created_at)
+      `),
+      update: db.prepare(`
+        UPDATE message_templates SET
+          key = @key, language = @language, name = @name, body = @body,
+          updated_at = @updated_at
+        WHERE id = @id
+      `),
+      delete: db.prepare("DELETE FROM message_templates WHERE id = ?"),
+      byId: db.prepare("SELECT * FROM message_templates WHERE id = ?"),
+      all: db.prepare("SELECT * FROM message_templates ORDER BY key, language"),
+    };
+  }
+
+  get(id) {
+    return rowToTemplate(this.stmts.byId.get(id));
+  }
+
+  // Built-in and custom templates, custom ones replacing built-ins
+  list({ language } = {}) {
+    const byKey = new Map();
+    builtInTemplates().forEach((t) => byKey.set(`${t.key}:${t.language}`, t));
+    this.stmts.all
+      .all()
+      .map(rowToTemplate)
+      .forEach((t) => byKey.set(`${t.key}:${t.language}`, t));
+    return [...byKey.values()]
+      .filter((t) => !language || t.language === language)
+      .sort((a, b) =>
+        a.key === b.key
+          ? a.language.localeCompare(b.language)
+          : a.key.localeCompare(b.key)
+      );
+  }
+
+  // Template for key + language, falling back to English
+  find(key, language = "en") {
+    const all = this.list();
+    return (
+      all.find((t) => t.key === key && t.language === language) ||
+      all.find((t) => t.key === key && t.language === "en") ||
+      null
+    );
+  }
+
+  create(fields, createdBy) {
+    validateTemplate(fields);
+    try {
+      const info = this.stmts.insert.run({
+        key: fields.key,
+        language: fields.language,
+        name: String(fields.name).trim(),
+        body: String(fields.body).trim(),
+        created_at: new Date().toISOString(),
+        created_by: createdBy || null,
+      });
+      return this.get(Number(info.lastInsertRowid));
+    } catch (err) {
+      if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
+        throw new Error(`A custom "${fields.key}" template in ${fields.language} already exists`);
+      }
+      throw err;
+    }
+  }
+
+  update(id, patch) {
+    const existing = this.get(id);
+    if (!existing) return null;
+    const next = { ...existing };
+    ["key", "language", "name", "body"].forEach((k) => {
+      if (patch[k] !== undefined) next[k] = patch[k];
+    });
+    validateTemplate(next);
+    this.stmts.update.run({
+      id,
+      key: next.key,
+      language: next.language,
+      name: String(next.name).trim(),
+      body: String(next.body).trim(),
+      updated_at: new Date().toISOString(),
+    });
+    return this.get(id);
+  }
+
+  delete(id) {
+    return this.stmts.delete.run(id).changes > 0;
+  }
+}
+
+module.exports = {
+  MessageTemplatesStore,
+  LANGUAGES,
+  PLACEHOLDERS,
+  templateContext,
+  renderTemplate,
+};
@@ -0,0 +1,196 @@
+// In-process metrics in the Prometheus text format (served at /metrics)
+//
+// Counters and histograms are kept in memory and start from zero on
+// restart, which Prometheus handles as a counter reset. Metrics that must
+// survive restarts (SOS response times) use a `collect` callback instead and
+// are rebuilt from SQLite on every scrape.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels || {});
+  if (!keys.length) return "";
+  return "{" + keys.map((k) => `${k}="${escapeLabel(labels[k])}"`).join(",") + "}";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  return Number.isFinite(v) ? String(v) : "NaN";
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels || {}).sort().map((k) => [k, String(labels[k])]));
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  inc(labels = {}, by = 1) {
+    const key = labelKey(labels);
+    const s = this.series.get(key) || { labels, value: 0 };
+    s.value += by;
+    this.series.set(key, s);
+  }
+
+  render() {
+    return [
+      ...header(this.name, this.help, "counter"),
+      ...[...this.series.values()].map(
+        (s) => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`
+      ),
+    ];
+  }
+}
+
+// Gauge whose samples come from collect(): [{ labels, value }]
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    return [
+      ...header(this.name, this.help, "gauge"),
+      ...this.collect().map(
+        (s) => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`
+      ),
+    ];
+  }
+}
+
+class Histogram {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {object} [opts]
+   * @param {number[]} [opts.buckets]  upper bounds, ascending
+   * @param {() => { labels: object, value: number }[]} [opts.collect]
+   *   observations to rebuild the histogram from on each render
+   */
+  constructor(name, help, { buckets = DEFAULT_BUCKETS, collect } = {}) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(labels);
+    let s = this.series.get(key);
+    if (!s) {
+      s = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, s);
+    }
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect().forEach(({ labels, value }) => this.observe(labels, value));
+    }
+    const lines = header(this.name, this.help, "histogram");
+    this.series.forEach((s) => {
+      this.buckets.forEach((le, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...s.labels, le: formatValue(le) })} ${s.counts[i]}`
+        );
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this._add(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this._add(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, opts) {
+    return this._add(new Histogram(name, help, opts));
+  }
+
+  _add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // Prometheus text exposition format 0.0.4
+  render() {
+    return this.metrics.map((m) => m.render().join("\n")).join("\n") + "\n";
+  }
+}
+
+// "Messaging.svc/Message" from an IPC Inbound URL, for the endpoint label
+function garminEndpoint(url) {
+  const m = /\/([\w-]+\.svc\/[\w-]+)/.exec(String(url || ""));
+  return m ? m[1] : "other";
+}
+
+/**
+ * Times requests made through an axios instance and counts them by
+ * endpoint and status ("timeout" / "network" when there is no response).
+ */
+function instrumentAxios(instance, { requests, duration }) {
+  instance.interceptors.request.use((config) => {
+    config.metadata = { start: process.hrtime.bigint() };
+    return config;
+  });
+
+  function record(config, status) {
+    if (!config || !config.metadata) return;
+    const endpoint = garminEndpoint(config.url);
+    const seconds = Number(process.hrtime.bigint() - config.metadata.start) / 1e9;
+    requests.inc({ endpoint, status: String(status) });
+    duration.observe({ endpoint }, seconds);
+  }
+
+  instance.interceptors.response.use(
+    (res) => {
+      record(res.config, res.status);
+      return res;
+    },
+    (err) => {
+      const status = err.response
+        ? err.response.status
+        : err.code === "ECONNABORTED" || err.code === "ETIMEDOUT"
+          ? "timeout"
+          : "network";
+      record(err.config, status);
+      return Promise.reject(err);
+    }
+  );
+  return instance;
+}
+
+module.exports = { MetricsRegistry, garminEndpoint, instrumentAxios, DEFAULT_BUCKETS };
@@ -0,0 +1,509 @@
+// Schema migrations for garmin.db
+// Each entry runs once, in order; PRAGMA user_version tracks the last applied version.
+// Never edit a migration that has shipped - append a new one instead.
+
+module.exports = [
+  {
+    version: 1,
+    name: "devices-messages-timeline-positions",
+    up: `
+      CREATE TABLE devices (
+        imei TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        is_active_sos INTEGER NOT NULL DEFAULT 0,
+        tracking_enabled INTEGER NOT NULL DEFAULT 0,
+        tracking_interval INTEGER,
+        position TEXT,
+        last_position_at TEXT,
+        last_message_at TEXT,
+        last_event_at TEXT,
+        last_sos_event_at TEXT,
+        last_sos_ack_at TEXT,
+        last_sos_cancel_at TEXT,
+        last_sos_address TEXT,
+        last_addresses TEXT NOT NULL DEFAULT '[]',
+        status_raw TEXT NOT NULL DEFAULT '{}',
+        closed_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE messages (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL,
+        imei TEXT NOT NULL REFERENCES devices(imei),
+        direction TEXT NOT NULL,
+        text TEXT NOT NULL DEFAULT '',
+        timestamp TEXT NOT NULL,
+        is_sos INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX idx_messages_imei ON messages(imei, seq);
+      CREATE INDEX idx_messages_id ON messages(id);
+
+      CREATE TABLE timeline_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        imei TEXT NOT NULL REFERENCES devices(imei),
+        type TEXT NOT NULL,
+        code INTEGER,
+        at TEXT NOT NULL,
+        data TEXT NOT NULL DEFAULT '{}'
+      );
+      CREATE INDEX idx_timeline_imei ON timeline_events(imei, id);
+
+      CREATE TABLE positions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        imei TEXT NOT NULL REFERENCES devices(imei),
+        lat REAL NOT NULL,
+        lng REAL NOT NULL,
+        altitude REAL,
+        gps_fix INTEGER,
+        course REAL,
+        speed REAL,
+        timestamp TEXT NOT NULL
+      );
+      CREATE INDEX idx_positions_imei ON positions(imei, timestamp);
+    `,
+  },
+  {
+    version: 2,
+    name: "device-tenant",
+    // satdesk22 was the only tenant before multi-tenant support
+    up: `
+      ALTER TABLE devices ADD COLUMN tenant_id TEXT;
+      UPDATE devices SET tenant_id = 'satdesk22' WHERE tenant_id IS NULL;
+      CREATE INDEX idx_devices_tenant ON devices(tenant_id);
+    `,
+  },
+  {
+    version: 3,
+    name: "operators",
+    up: `
+      CREATE TABLE operators (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        display_name TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('viewer', 'operator', 'supervisor')),
+        password_hash TEXT NOT NULL,
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        last_login_at TEXT
+      );
+
+      ALTER TABLE messages ADD COLUMN sent_by TEXT;
+      ALTER TABLE devices ADD COLUMN last_sos_ack_by TEXT;
+      ALTER TABLE devices ADD COLUMN closed_by TEXT;
+    `,
+  },
+  {
+    version: 4,
+    name: "locate-requests",
+    up: `
+      CREATE TABLE locate_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        imei TEXT NOT NULL REFERENCES devices(imei),
+        tenant_id TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('pending', 'fulfilled', 'timed_out', 'failed')),
+        requested_at TEXT NOT NULL,
+        requested_by TEXT,
+        expires_at TEXT NOT NULL,
+        resolved_at TEXT,
+        position TEXT,
+        garmin_response TEXT,
+        error TEXT
+      );
+      CREATE INDEX idx_locate_pending ON locate_requests(status, imei);
+    `,
+  },
+  {
+    version: 5,
+    name: "tracking-pending",
+    up: `
+      ALTER TABLE devices ADD COLUMN tracking_pending TEXT;
+    `,
+  },
+  {
+    version: 6,
+    name: "outbound-queue",
+    // status is NULL for inbound messages; outbound rows go
+    // queued -> sending -> accepted | failed (failed retries go back to queued)
+    up: `
+      ALTER TABLE messages ADD COLUMN tenant_id TEXT;
+      ALTER TABLE messages ADD COLUMN recipient_override TEXT;
+      ALTER TABLE messages ADD COLUMN status TEXT;
+      ALTER TABLE messages ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE messages ADD COLUMN next_attempt_at TEXT;
+      ALTER TABLE messages ADD COLUMN last_error TEXT;
+      ALTER TABLE messages ADD COLUMN garmin_response TEXT;
+      ALTER TABLE messages ADD COLUMN updated_at TEXT;
+
+      -- Outbound messages stored before the queue existed were sent synchronously
+      UPDATE messages SET status = 'accepted' WHERE direction = 'outbound';
+
+      CREATE INDEX idx_messages_status ON messages(status, imei, seq);
+    `,
+  },
+  {
+    version: 7,
+    name: "ipc-dedup-dead-letters",
+    up: `
+      CREATE TABLE ipc_events_seen (
+        dedup_key TEXT PRIMARY KEY,
+        imei TEXT NOT NULL,
+        message_code INTEGER,
+        event_at TEXT NOT NULL,
+        tenant_id TEXT,
+        received_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_ipc_seen_received ON ipc_events_seen(received_at);
+
+      CREATE TABLE dead_letters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        received_at TEXT NOT NULL,
+        tenant_id TEXT,
+        reason TEXT NOT NULL,
+        errors TEXT NOT NULL DEFAULT '[]',
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'dismissed', 'reprocessed')),
+        resolved_at TEXT,
+        resolved_by TEXT
+      );
+      CREATE INDEX idx_dead_letters_status ON dead_letters(status, id);
+
+      ALTER TABLE devices ADD COLUMN last_sos_state_at TEXT;
+    `,
+  },
+  {
+    version: 8,
+    name: "incidents",
+    up: `
+      CREATE TABLE incidents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        imei TEXT NOT NULL REFERENCES devices(imei),
+        tenant_id TEXT,
+        status TEXT NOT NULL CHECK (status IN ('open', 'acknowledged', 'resolved', 'closed')),
+        opened_at TEXT NOT NULL,
+        opened_code INTEGER,
+        acknowledged_at TEXT,
+        acknowledged_by TEXT,
+        resolved_at TEXT,
+        resolved_by TEXT,
+        resolution TEXT,
+        closed_at TEXT,
+        closed_by TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_incidents_imei ON incidents(imei, id);
+      CREATE INDEX idx_incidents_status ON incidents(status, id);
+
+      ALTER TABLE devices ADD COLUMN incident_id INTEGER;
+      ALTER TABLE timeline_events ADD COLUMN incident_id INTEGER;
+      ALTER TABLE messages ADD COLUMN incident_id INTEGER;
+      ALTER TABLE positions ADD COLUMN incident_id INTEGER;
+      CREATE INDEX idx_timeline_incident ON timeline_events(incident_id, id);
+      CREATE INDEX idx_messages_incident ON messages(incident_id, seq);
+      CREATE INDEX idx_positions_incident ON positions(incident_id, timestamp);
+
+      -- One incident per device that has had an SOS, from the old per-device state
+      INSERT INTO incidents (
+        imei, tenant_id, status, opened_at, opened_code,
+        acknowledged_at, acknowledged_by, resolved_at, resolution,
+        closed_at, closed_by, updated_at
+      )
+      SELECT
+        imei, tenant_id,
+        CASE
+          WHEN status = 'closed' THEN 'closed'
+          WHEN is_active_sos = 0 AND last_sos_cancel_at IS NOT NULL THEN 'resolved'
+          WHEN last_sos_ack_at IS NOT NULL THEN 'acknowledged'
+          ELSE 'open'
+        END,
+        last_sos_event_at, 4,
+        last_sos_ack_at, last_sos_ack_by,
+        last_sos_cancel_at,
+        CASE WHEN last_sos_cancel_at IS NOT NULL THEN 'cancelled-on-device' END,
+        closed_at, closed_by, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      FROM devices
+      WHERE last_sos_event_at IS NOT NULL
+      ORDER BY created_at;
+
+      UPDATE devices
+      SET incident_id = (SELECT i.id FROM incidents i WHERE i.imei = devices.imei);
+      UPDATE devices
+      SET status = COALESCE(
+        (SELECT i.status FROM incidents i WHERE i.id = devices.incident_id),
+        'idle'
+      );
+
+      UPDATE timeline_events SET incident_id = (
+        SELECT i.id FROM incidents i
+        WHERE i.imei = timeline_events.imei AND timeline_events.at >= i.opened_at
+      );
+      UPDATE messages SET incident_id = (
+        SELECT i.id FROM incidents i
+        WHERE i.imei = messages.imei AND messages.timestamp >= i.opened_at
+      );
+      UPDATE positions SET incident_id = (
+        SELECT i.id FROM incidents i
+        WHERE i.imei = positions.imei AND positions.timestamp >= i.opened_at
+      );
+    `,
+  },
+  {
+    version: 9,
+    name: "escalation-steps",
+    up: `
+      CREATE TABLE escalation_steps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        incident_id INTEGER NOT NULL REFERENCES incidents(id),
+        imei TEXT NOT NULL,
+        tier INTEGER NOT NULL,
+        channel_index INTEGER NOT NULL,
+        channel_type TEXT NOT NULL,
+        target TEXT,
+        status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        first_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (incident_id, tier, channel_index)
+      );
+    `,
+  },
+  {
+    version: 10,
+    name: "audit-log",
+    up: `
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        actor TEXT,
+        role TEXT,
+        action TEXT NOT NULL,
+        method TEXT,
+        path TEXT,
+        imei TEXT,
+        tenant_id TEXT,
+        status_code INTEGER,
+        request TEXT,
+        garmin_response TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL UNIQUE
+      );
+      CREATE INDEX idx_audit_at ON audit_log(at);
+      CREATE INDEX idx_audit_imei ON audit_log(imei, at);
+
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+    `,
+  },
+  {
+    version: 11,
+    name: "geofences",
+    up: `
+      CREATE TABLE geofences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant_id TEXT,
+        imei TEXT,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('allowed', 'restricted')),
+        shape TEXT NOT NULL CHECK (shape IN ('circle', 'polygon')),
+        geometry TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        created_by TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_geofences_imei ON geofences(imei);
+
+      CREATE TABLE geofence_state (
+        imei TEXT NOT NULL,
+        geofence_id INTEGER NOT NULL REFERENCES geofences(id),
+        inside INTEGER NOT NULL,
+        changed_at TEXT NOT NULL,
+        PRIMARY KEY (imei, geofence_id)
+      );
+
+      ALTER TABLE devices ADD COLUMN outside_allowed_area INTEGER NOT NULL DEFAULT 0;
+    `,
+  },
+  {
+    version: 12,
+    name: "device-registry",
+    up: `
+      ALTER TABLE devices ADD COLUMN owner_name TEXT;
+      ALTER TABLE devices ADD COLUMN organisation TEXT;
+      ALTER TABLE devices ADD COLUMN blood_type TEXT;
+      ALTER TABLE devices ADD COLUMN medical_notes TEXT;
+      ALTER TABLE devices ADD COLUMN emergency_contacts TEXT;
+      ALTER TABLE devices ADD COLUMN tags TEXT;
+      ALTER TABLE devices ADD COLUMN profile_updated_at TEXT;
+      ALTER TABLE devices ADD COLUMN profile_updated_by TEXT;
+    `,
+  },
+  {
+    version: 13,
+    name: "message-templates",
+    up: `
+      CREATE TABLE message_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL,
+        language TEXT NOT NULL,
+        name TEXT NOT NULL,
+        body TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        created_by TEXT,
+        updated_at TEXT NOT NULL,
+        UNIQUE (key, language)
+      );
+    `,
+  },
+  {
+    version: 14,
+    name: "incident-first-response",
+    up: `
+      ALTER TABLE incidents ADD COLUMN first_response_at TEXT;
+      ALTER TABLE incidents ADD COLUMN first_response_by TEXT;
+      CREATE INDEX idx_incidents_opened ON incidents(opened_at);
+
+      UPDATE incidents SET
+        first_response_at = (
+          SELECT MIN(m.timestamp) FROM messages m
+          WHERE m.incident_id = incidents.id AND m.direction = 'outbound'
+        ),
+        first_response_by = (
+          SELECT m.sent_by FROM messages m
+          WHERE m.incident_id = incidents.id AND m.direction = 'outbound'
+          ORDER BY m.seq LIMIT 1
+        );
+    `,
+  },
+  {
+    version: 15,
+    name: "timeline-time-indexes",
+    // The device timeline pages by time across these tables
+    up: `
+      CREATE INDEX idx_timeline_imei_at ON timeline_events(imei, at);
+      CREATE INDEX idx_messages_imei_timestamp ON messages(imei, timestamp);
+    `,
+  },
+  {
+    version: 16,
+    name: "device-health",
+    up: `
+      ALTER TABLE devices ADD COLUMN health TEXT;
+
+      CREATE TABLE device_health (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        imei TEXT NOT NULL,
+        incident_id INTEGER,
+        code INTEGER,
+        at TEXT NOT NULL,
+        battery_level INTEGER,
+        low_battery INTEGER,
+        autonomous INTEGER,
+        interval_seconds INTEGER,
+        reset_detected INTEGER
+      );
+      CREATE INDEX idx_device_health_imei_at ON device_health(imei, at);
+    `,
+  },
+  {
+    version: 17,
+    name: "webhooks",
+    up: `
+      CREATE TABLE webhook_subscribers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        event_types TEXT NOT NULL,
+        tenant_id TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        created_by TEXT,
+        updated_at TEXT NOT NULL
+      );
+
+      -- One row per event per subscriber; id order is delivery order
+      CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subscriber_id INTEGER NOT NULL,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_error TEXT,
+        response_status INTEGER,
+        replay_of INTEGER,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        delivered_at TEXT
+      );
+      CREATE INDEX idx_webhook_deliveries_sub ON webhook_deliveries(subscriber_id, status, id);
+    `,
+  },
+  {
+    version: 18,
+    name: "incident-assignment-and-notes",
+    up: `
+      ALTER TABLE incidents ADD COLUMN assigned_to TEXT;
+      ALTER TABLE incidents ADD COLUMN assigned_at TEXT;
+      ALTER TABLE incidents ADD COLUMN assigned_by TEXT;
+      ALTER TABLE devices ADD COLUMN assigned_to TEXT;
+
+      -- Internal operator notes; never sent to the device
+      CREATE TABLE incident_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        incident_id INTEGER NOT NULL,
+        imei TEXT NOT NULL,
+        author TEXT,
+        text TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_incident_notes_incident ON incident_notes(incident_id, id);
+      CREATE INDEX idx_incident_notes_imei_at ON incident_notes(imei, created_at);
+    `,
+  },
+  {
+    version: 19,
+    name: "message-split-groups",
+    up: `
+      -- Parts of one long outbound message share a split_id
+      ALTER TABLE messages ADD COLUMN split_id TEXT;
+      CREATE INDEX idx_messages_split ON messages(split_id, seq);
+    `,
+  },
+  {
+    version: 20,
+    name: "sos-state-device-time",
+    up: `
+      -- ACKs used to set last_sos_state_at from the server clock; go back to
+      -- the newest device timestamp of a declare/confirm/cancel
+      UPDATE devices SET last_sos_state_at = (
+        SELECT MAX(at) FROM timeline_events
+        WHERE timeline_events.imei = devices.imei
+          AND type IN ('sos-declare', 'sos-confirm', 'sos-cancel')
+      );
+    `,
+  },
+  {
+    version: 21,
+    name: "tracking-state-order",
+    up: `
+      -- Device time of the newest applied track start/interval/stop
+      ALTER TABLE devices ADD COLUMN last_tracking_state_at TEXT;
+      UPDATE devices SET last_tracking_state_at = (
+        SELECT MAX(at) FROM timeline_events
+        WHERE timeline_events.imei = devices.imei
+          AND type IN ('track-start', 'track-interval', 'track-stop')
+      );
+    `,
+  },
+];
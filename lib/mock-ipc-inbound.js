@@ -0,0 +1,127 @@
+// Mock IPC Inbound server, for development and tests
+//
+// Stands in for a tenant's IPC Inbound base URL: accepts Messaging.svc,
+// Emergency.svc, Location.svc and Tracking.svc calls, checks the same
+// credentials the real API does and records every call. Errors can be
+// queued per path with failNext() (e.g. a Code 15 from AcknowledgeDeclare),
+// or `geos: true` makes every SOS acknowledgement fail with Code 15, as it
+// does for devices whose SOS provider is GEOS.
+
+const express = require("express");
+const http = require("http");
+
+// What Garmin returns when the tenant can't act on an SOS (GEOS handles it)
+const CODE_15_ERROR = {
+  Code: 15,
+  Message: "The emergency action is not allowed for this device",
+  Description: "IllegalEmergencyActionError",
+};
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.username]
+ * @param {string} [opts.password]
+ * @param {string} [opts.apiKey]    required as X-API-Key except on Emergency.svc
+ * @param {boolean} [opts.geos]     answer every AcknowledgeDeclare with Code 15
+ * @param {boolean} [opts.log]      print each call
+ */
+function createMockInbound({ username = "", password = "", apiKey = "", geos = false, log = false } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const calls = [];
+  const failures = new Map();
+
+  function record(req) {
+    const call = {
+      at: new Date().toISOString(),
+      path: req.path,
+      query: { ...req.query },
+      body: req.body,
+    };
+    calls.push(call);
+    if (log) console.log("[MockInbound]", req.method, req.originalUrl, JSON.stringify(req.body));
+    return call;
+  }
+
+  function authorized(req, needsApiKey) {
+    const expected =
+      "Basic " + Buffer.from(`${username}:${password}`).toString("base64");
+    if (req.headers.authorization !== expected) return false;
+    return !needsApiKey || req.headers["x-api-key"] === apiKey;
+  }
+
+  // Records the call, then answers with a queued failure if there is one,
+  // else with `always` (a standing failure) or respond(req)
+  function handle(needsApiKey, respond, always) {
+    return (req, res) => {
+      record(req);
+      if (!authorized(req, needsApiKey)) {
+        return res.status(401).json({ Code: 1, Message: "Unauthorized" });
+      }
+      const queued = failures.get(req.path);
+      if (queued && queued.length) {
+        const { status, body } = queued.shift();
+        return res.status(status).json(body);
+      }
+      if (always) return res.status(always.status).json(always.body);
+      res.json(respond(req));
+    };
+  }
+
+  app.post(
+    "/Messaging.svc/Message",
+    handle(true, (req) => ({ count: (req.body?.Messages || []).length }))
+  );
+
+  app.post(
+    "/Emergency.svc/AcknowledgeDeclare",
+    handle(false, () => ({}), geos ? { status: 400, body: CODE_15_ERROR } : null)
+  );
+
+  app.post("/Location.svc/Request", handle(true, () => ({})));
+  app.post("/Tracking.svc/:command", handle(true, () => ({})));
+
+  app.get("/_mock/calls", (req, res) => res.json(calls));
+
+  app.use((req, res) => {
+    record(req);
+    res.status(404).json({ Code: 404, Message: `No mock for ${req.path}` });
+  });
+
+  function queueFailure(path, status, body) {
+    if (!failures.has(path)) failures.set(path, []);
+    failures.get(path).push({ status, body });
+  }
+
+  const server = http.createServer(app);
+
+  return {
+    app,
+    server,
+    calls,
+    // Next call to `path` (e.g. "/Messaging.svc/Message") gets this response
+    failNext(path, { status = 500, body = { Code: 500, Message: "Mock failure" } } = {}) {
+      queueFailure(path, status, body);
+    },
+    callsTo(path) {
+      return calls.filter((c) => c.path === path);
+    },
+    reset() {
+      calls.length = 0;
+      failures.clear();
+    },
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        server.listen(port, "127.0.0.1", () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createMockInbound, CODE_15_ERROR };
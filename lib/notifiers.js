@@ -0,0 +1,133 @@
+// Notification channels used by the SOS escalation engine
+//
+// A notifier is `{ send(channel, alert) => Promise<any> }`, where `channel`
+// is one entry of a tier's `notify` list ({ type: "email", to: "..." } etc.)
+// and `alert` is the escalation payload built by lib/escalation.js.
+// Extra channel types can be added with registerNotifier(type, factory).
+//
+// Email (SMTP) is configured with:
+//   SMTP_HOST / SMTP_PORT (587) / SMTP_SECURE ("true" for port 465)
+//   SMTP_USER / SMTP_PASS (optional), SMTP_FROM
+// Any SMTP server works, including a local catcher (MailHog, smtp4dev) for testing.
+
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+
+function describeTarget(channel) {
+  if (channel.type === "email") {
+    return [].concat(channel.to || []).join(", ");
+  }
+  if (channel.type === "webhook" && channel.url) {
+    // Query strings often carry tokens; keep them out of the timeline
+    return String(channel.url).split("?")[0];
+  }
+  return channel.target || null;
+}
+
+function formatAlertText(alert) {
+  const { device, incident, tier } = alert;
+  const lines = [
+    `Unacknowledged SOS from ${device.label || device.imei} (IMEI ${device.imei})`,
+    "",
+    `Incident #${incident.id} opened ${incident.openedAt}`,
+    `No acknowledgement after ${alert.elapsedMinutes} minutes`,
+    `Escalation tier ${tier.index + 1}${tier.name ? ` (${tier.name})` : ""}`,
+  ];
+  if (device.position) {
+    lines.push(
+      `Last position: ${device.position.lat}, ${device.position.lng} at ${device.position.timestamp}`
+    );
+  }
+  if (alert.consoleUrl) lines.push("", `Console: ${alert.consoleUrl}`);
+  return lines.join("\n");
+}
+
+function createEmailNotifier(env) {
+  let transport = null;
+
+  return {
+    async send(channel, alert) {
+      if (!env.SMTP_HOST) throw new Error("SMTP_HOST is not configured");
+      const to = [].concat(channel.to || []).filter(Boolean);
+      if (!to.length) throw new Error("Email channel has no recipients");
+
+      if (!transport) {
+        transport = nodemailer.createTransport({
+          host: env.SMTP_HOST,
+          port: parseInt(env.SMTP_PORT, 10) || 587,
+          secure: env.SMTP_SECURE === "true",
+          auth: env.SMTP_USER
+            ? { user: env.SMTP_USER, pass: env.SMTP_PASS || "" }
+            : undefined,
+        });
+      }
+
+      const info = await transport.sendMail({
+        from: env.SMTP_FROM || env.SMTP_USER,
+        to: to.join(", "),
+        subject:
+          channel.subject ||
+          `[SOS] Unacknowledged SOS – ${alert.device.label || alert.device.imei}`,
+        text: formatAlertText(alert),
+      });
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+function createWebhookNotifier() {
+  return {
+    async send(channel, alert) {
+      if (!channel.url) throw new Error("Webhook channel has no url");
+      const res = await axios.post(
+        channel.url,
+        { type: "sos.escalation", ...alert },
+        {
+          headers: { "Content-Type": "application/json", ...(channel.headers || {}) },
+          timeout: 10000,
+        }
+      );
+      return { status: res.status };
+    },
+  };
+}
+
+const factories = {
+  email: createEmailNotifier,
+  webhook: createWebhookNotifier,
+};
+
+function registerNotifier(type, factory) {
+  factories[type] = factory;
+}
+
+/**
+ * Instantiates every registered notifier type against `env`.
+ * @returns {{ send(channel: object, alert: object): Promise<any>, types: string[] }}
+ */
+function createNotifiers(env) {
+  const instances = {};
+  Object.entries(factories).forEach(([type, factory]) => {
+    instances[type] = factory(env);
+  });
+
+  return {
+    types: Object.keys(instances),
+    send(channel, alert) {
+      const notifier = instances[channel.type];
+      if (!notifier) {
+        return Promise.reject(
+          new Error(`Unknown notifier type: ${channel.type}`)
+        );
+      }
+      return notifier.send(channel, alert);
+    },
+  };
+}
+
+module.exports = {
+  createNotifiers,
+  registerNotifier,
+  describeTarget,
+  formatAlertText,
+};
@@ -0,0 +1,142 @@
+// Operator accounts (ECC console users)
+
+const crypto = require("crypto");
+
+const ROLES = ["viewer", "operator", "supervisor"];
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+function checkPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = crypto.scryptSync(
+    String(password),
+    Buffer.from(saltB64, "base64"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function rowToOperator(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    username: row.username,
+    displayName: row.display_name,
+    role: row.role,
+    disabled: !!row.disabled,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at,
+  };
+}
+
+class OperatorsStore {
+  constructor(db) {
+    this.db = db;
+    this.stmts = {
+      insert: db.prepare(`
+        INSERT INTO operators (username, display_name, role, password_hash, created_at)
+        VALUES (@username, @display_name, @role, @password_hash, @created_at)
+      `),
+      byId: db.prepare("SELECT * FROM operators WHERE id = ?"),
+      byUsername: db.prepare(
+        "SELECT * FROM operators WHERE username = ? COLLATE NOCASE"
+      ),
+      all: db.prepare("SELECT * FROM operators ORDER BY username"),
+      count: db.prepare("SELECT COUNT(*) AS n FROM operators"),
+      touchLogin: db.prepare(
+        "UPDATE operators SET last_login_at = ? WHERE id = ?"
+      ),
+    };
+  }
+
+  count() {
+    return this.stmts.count.get().n;
+  }
+
+  list() {
+    return this.stmts.all.all().map(rowToOperator);
+  }
+
+  get(id) {
+    return rowToOperator(this.stmts.byId.get(id));
+  }
+
+  findByUsername(username) {
+    return rowToOperator(this.stmts.byUsername.get(String(username || "")));
+  }
+
+  create({ username, password, role, displayName }) {
+    if (!username || !String(username).trim()) {
+      throw new Error("username is required");
+    }
+    if (!password || String(password).length < 8) {
+      throw new Error("password must be at least 8 characters");
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error("role must be one of " + ROLES.join(", "));
+    }
+    if (this.findByUsername(username)) {
+      throw new Error("username already exists");
+    }
+    const info = this.stmts.insert.run({
+      username: String(username).trim(),
+      display_name: displayName || String(username).trim(),
+      role,
+      password_hash: hashPassword(password),
+      created_at: new Date().toISOString(),
+    });
+    return this.get(info.lastInsertRowid);
+  }
+
+  update(id, { role, displayName, disabled, password }) {
+    const current = this.get(id);
+    if (!current) return null;
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new Error("role must be one of " + ROLES.join(", "));
+    }
+    if (password !== undefined && String(password).length < 8) {
+      throw new Error("password must be at least 8 characters");
+    }
+    const sets = [];
+    const params = { id };
+    if (role !== undefined) {
+      sets.push("role = @role");
+      params.role = role;
+    }
+    if (displayName !== undefined) {
+      sets.push("display_name = @display_name");
+      params.display_name = displayName;
+    }
+    if (disabled !== undefined) {
+      sets.push("disabled = @disabled");
+      params.disabled = disabled ? 1 : 0;
+    }
+    if (password !== undefined) {
+      sets.push("password_hash = @password_hash");
+      params.password_hash = hashPassword(password);
+    }
+    if (sets.length) {
+      this.db
+        .prepare(`UPDATE operators SET ${sets.join(", ")} WHERE id = @id`)
+        .run(params);
+    }
+    return this.get(id);
+  }
+
+  // Returns the operator on a good username/password, else null
+  verifyLogin(username, password) {
+    const row = this.stmts.byUsername.get(String(username || ""));
+    if (!row || row.disabled) return null;
+    if (!checkPassword(password, row.password_hash)) return null;
+    this.stmts.touchLogin.run(new Date().toISOString(), row.id);
+    return rowToOperator(row);
+  }
+}
+
+module.exports = { OperatorsStore, ROLES };
@@ -0,0 +1,245 @@
+// Durable outbound message queue
+//
+// Messages are stored as "queued" before anything is sent, so a slow or
+// failing Garmin API (or a restart) never loses them. The worker sends the
+// oldest undelivered message per device in order:
+//   queued -> sending -> accepted          (Garmin took it)
+//                     -> queued (+backoff) (timeout, network error, 408, 429, 5xx)
+//                     -> failed            (other 4xx or errors, or out of attempts)
+// Errors raised before a request goes out (e.g. missing tenant config) fail
+// at once: retrying cannot fix them.
+// When a part of a split message fails, its later parts fail with it so the
+// device never gets "(2/3)" without "(1/3)". Failed messages can be put back
+// in the queue with resend(), which also requeues those later parts.
+
+const { EventEmitter } = require("events");
+
+// Errors of a request that got no response but may get one on a retry
+const TRANSPORT_ERROR_CODES = [
+  "ECONNABORTED", // axios timeout
+  "ETIMEDOUT",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return TRANSPORT_ERROR_CODES.includes(err.code);
+}
+
+function describeError(err) {
+  const data = err.response?.data;
+  if (data) {
+    return typeof data === "string" ? data : JSON.stringify(data);
+  }
+  return err.message;
+}
+
+class OutboundQueue extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {import("better-sqlite3").Database} opts.db
+   * @param {import("./devices-store").DevicesStore} opts.devicesStore
+   * @param {(msg: object) => Promise<any>} opts.send  delivers one message to Garmin
+   */
+  constructor({
+    db,
+    devicesStore,
+    send,
+    maxAttempts = 6,
+    baseDelayMs = 5000,
+    maxDelayMs = 5 * 60 * 1000,
+    pollMs = 2000,
+  }) {
+    super();
+    this.db = db;
+    this.devicesStore = devicesStore;
+    this.send = send;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.pollMs = pollMs;
+    this.running = false;
+    this.timer = null;
+
+    this.stmts = {
+      // Head of each device's queue, if it is due
+      due: db.prepare(`
+        SELECT * FROM messages
+        WHERE status = 'queued'
+          AND next_attempt_at <= @now
+          AND seq IN (
+            SELECT MIN(seq) FROM messages
+            WHERE status IN ('queued', 'sending')
+            GROUP BY imei
+          )
+        ORDER BY seq
+      `),
+      stuck: db.prepare("SELECT id FROM messages WHERE status = 'sending'"),
+      // Parts after message @id of the same split message
+      laterParts: db.prepare(`
+        SELECT later.id FROM messages AS later
+        JOIN messages AS part ON part.id = @id
+        WHERE later.split_id = part.split_id
+          AND later.seq > part.seq
+          AND later.status = @status
+        ORDER BY later.seq
+      `),
+    };
+  }
+
+  start() {
+    // A crash mid-send leaves rows in "sending"; we cannot know whether Garmin
+    // got them, so send again rather than lose them.
+    this.stmts.stuck.all().forEach(({ id }) => {
+      console.warn("[OutboundQueue] Requeueing message left in sending:", id);
+      this._update(id, { status: "queued" });
+    });
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    this.timer.unref();
+    this.tick();
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  enqueue(imei, { text, is_sos, sentBy, tenantId, recipientOverride, splitId }) {
+    const msg = this.devicesStore.addOutboundMessage(imei, {
+      text,
+      is_sos,
+      sentBy,
+      tenantId,
+      recipientOverride,
+      splitId,
+    });
+    this.emit("update", imei, msg);
+    setImmediate(() => this.tick());
+    return msg;
+  }
+
+  // Puts a failed message back at the front of its device's queue
+  resend(id) {
+    const msg = this.devicesStore.getMessage(id);
+    if (!msg || msg.direction !== "outbound") return null;
+    if (msg.status !== "failed") return msg;
+    const requeue = {
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      lastError: null,
+    };
+    const updated = this._updateWithLaterParts(id, requeue, "failed", requeue);
+    setImmediate(() => this.tick());
+    return updated;
+  }
+
+  backoffMs(attempts) {
+    const exp = this.baseDelayMs * 2 ** Math.max(0, attempts - 1);
+    const jitter = Math.random() * this.baseDelayMs;
+    return Math.min(this.maxDelayMs, exp + jitter);
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      // Keep going while sends free up the next message in a device's queue
+      let rows = this.stmts.due.all({ now: new Date().toISOString() });
+      while (rows.length) {
+        for (const row of rows) {
+          await this._deliver(row);
+        }
+        rows = this.stmts.due.all({ now: new Date().toISOString() });
+      }
+    } catch (err) {
+      console.error("[OutboundQueue] Worker error:", err);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _deliver(row) {
+    const attempts = row.attempts + 1;
+    this._update(row.id, { status: "sending", attempts });
+
+    try {
+      const result = await this.send({
+        id: row.id,
+        imei: row.imei,
+        tenantId: row.tenant_id,
+        text: row.text,
+        isSos: !!row.is_sos,
+        recipientOverride: row.recipient_override,
+      });
+      this._update(row.id, {
+        status: "accepted",
+        garminResponse: result ?? null,
+        lastError: null,
+        nextAttemptAt: null,
+      });
+    } catch (err) {
+      const lastError = describeError(err);
+      const retry = isRetryable(err) && attempts < this.maxAttempts;
+      console.error(
+        "[OutboundQueue] Send failed",
+        row.id,
+        `attempt ${attempts}/${this.maxAttempts}`,
+        retry ? "(will retry)" : "(giving up)",
+        lastError
+      );
+      const patch = {
+        status: retry ? "queued" : "failed",
+        lastError,
+        garminResponse: err.response?.data ?? null,
+        nextAttemptAt: retry
+          ? new Date(Date.now() + this.backoffMs(attempts)).toISOString()
+          : null,
+      };
+      if (retry) {
+        this._update(row.id, patch);
+      } else {
+        this._updateWithLaterParts(row.id, patch, "queued", {
+          status: "failed",
+          lastError: `Not sent: earlier part ${row.id} failed`,
+          nextAttemptAt: null,
+        });
+      }
+    }
+  }
+
+  // Applies `patch` to a message and `partsPatch` to the later parts of its
+  // split message that are in `partsStatus`, in one transaction
+  _updateWithLaterParts(id, patch, partsStatus, partsPatch) {
+    const changed = this.db.transaction(() => [
+      this._write(id, patch),
+      ...this.stmts.laterParts
+        .all({ id, status: partsStatus })
+        .map((part) => this._write(part.id, partsPatch)),
+    ])();
+    changed.forEach((m) => m && this.emit("update", m.imei, m));
+    return changed[0];
+  }
+
+  _update(id, patch) {
+    const msg = this._write(id, patch);
+    if (msg) this.emit("update", msg.imei, msg);
+    return msg;
+  }
+
+  _write(id, patch) {
+    return this.devicesStore.updateMessage(
+      id,
+      Object.assign({ updatedAt: new Date().toISOString() }, patch)
+    );
+  }
+}
+
+module.exports = { OutboundQueue, isRetryable, describeError };
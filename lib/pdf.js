@@ -0,0 +1,290 @@
+// Minimal PDF writer for printable reports
+//
+// Enough of PDF 1.4 for text documents: A4 pages, the standard Helvetica
+// fonts (every viewer has them, so nothing is embedded), word-wrapped
+// paragraphs, simple table rows and line drawings. Text is encoded as
+// WinAnsi; characters it has no code for print as "?".
+
+const PAGE = { width: 595.28, height: 841.89, margin: 48 };
+const LINE_HEIGHT = 1.35;
+
+// Advance widths (1/1000 em) for ASCII 32..126, from the standard AFM files
+const WIDTHS = {
+  F1: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  F2: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// WinAnsi codes of the punctuation outside Latin-1 that reports use
+const WIN_ANSI = {
+  "€": 0x80,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+};
+
+function charCode(ch) {
+  if (WIN_ANSI[ch] !== undefined) return WIN_ANSI[ch];
+  const code = ch.codePointAt(0);
+  if (code === 9) return 32;
+  if (code < 32 || (code > 126 && code < 160) || code > 255) return 63;
+  return code;
+}
+
+function textWidth(text, font, size) {
+  let units = 0;
+  for (const ch of String(text)) {
+    const code = charCode(ch);
+    units += code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+// PDF literal string; non-ASCII bytes as octal escapes so the file stays ASCII
+function pdfString(text) {
+  let out = "(";
+  for (const ch of String(text)) {
+    const code = charCode(ch);
+    if (code === 0x28 || code === 0x29 || code === 0x5c) out += "\\" + ch;
+    else if (code > 126) out += "\\" + code.toString(8).padStart(3, "0");
+    else out += String.fromCharCode(code);
+  }
+  return out + ")";
+}
+
+function num(v) {
+  return Number(v.toFixed(2)).toString();
+}
+
+// "#rrggbb" -> "r g b"
+function rgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((c) => num(c / 255)).join(" ");
+}
+
+// Splits text into lines no wider than `width`; long words are broken
+function wrap(text, font, size, width) {
+  const lines = [];
+  String(text ?? "")
+    .split(/\r?\n/)
+    .forEach((paragraph) => {
+      let line = "";
+      paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (textWidth(candidate, font, size) <= width) {
+          line = candidate;
+          return;
+        }
+        if (line) lines.push(line);
+        line = "";
+        let rest = word;
+        while (textWidth(rest, font, size) > width) {
+          let cut = rest.length - 1;
+          while (cut > 1 && textWidth(rest.slice(0, cut), font, size) > width) cut--;
+          lines.push(rest.slice(0, cut));
+          rest = rest.slice(cut);
+        }
+        line = rest;
+      });
+      lines.push(line);
+    });
+  return lines;
+}
+
+class PdfDocument {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.title]   document title (also in every page footer)
+   */
+  constructor({ title = "" } = {}) {
+    this.title = title;
+    this.pages = [];
+    this.contentWidth = PAGE.width - 2 * PAGE.margin;
+    this.addPage();
+  }
+
+  addPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    this.y = PAGE.height - PAGE.margin;
+  }
+
+  // Starts a new page unless `height` points still fit on this one
+  ensureSpace(height) {
+    if (this.y - height < PAGE.margin + 14) this.addPage();
+  }
+
+  gap(height = 6) {
+    this.y -= height;
+  }
+
+  _textAt(x, y, text, { font = "F1", size = 10, color = "#000000" } = {}) {
+    this.ops.push(
+      `BT ${rgb(color)} rg /${font} ${num(size)} Tf ${num(x)} ${num(y)} Td ${pdfString(text)} Tj ET`
+    );
+  }
+
+  /**
+   * Word-wrapped paragraph across the content width.
+   * @param {object} [opts]  size, bold, color, indent
+   */
+  text(text, { size = 10, bold = false, color, indent = 0 } = {}) {
+    const font = bold ? "F2" : "F1";
+    const lineHeight = size * LINE_HEIGHT;
+    wrap(text, font, size, this.contentWidth - indent).forEach((line) => {
+      this.ensureSpace(lineHeight);
+      this.y -= lineHeight;
+      this._textAt(PAGE.margin + indent, this.y + size * 0.25, line, { font, size, color });
+    });
+  }
+
+  heading(text, { size = 13 } = {}) {
+    this.ensureSpace(size * LINE_HEIGHT * 3);
+    this.gap(size * 0.6);
+    this.text(text, { size, bold: true });
+    this.line(PAGE.margin, this.y - 2, PAGE.margin + this.contentWidth, this.y - 2, {
+      color: "#cccccc",
+    });
+    this.gap(6);
+  }
+
+  /**
+   * One table row: cells wrap within their column; the row is as tall as
+   * its tallest cell.
+   * @param {string[]} cells
+   * @param {number[]} columns  fractions of the content width
+   * @param {object} [opts]     size, bold, color
+   */
+  row(cells, columns, { size = 9, bold = false, color } = {}) {
+    const font = bold ? "F2" : "F1";
+    const lineHeight = size * LINE_HEIGHT;
+    const widths = columns.map((f) => f * this.contentWidth);
+    const wrapped = cells.map((c, i) => wrap(c ?? "", font, size, widths[i] - 6));
+    const height = Math.max(...wrapped.map((l) => l.length)) * lineHeight + 3;
+    this.ensureSpace(height);
+    let x = PAGE.margin;
+    wrapped.forEach((lines, i) => {
+      lines.forEach((line, j) => {
+        const y = this.y - (j + 1) * lineHeight + size * 0.25;
+        this._textAt(x, y, line, { font, size, color });
+      });
+      x += widths[i];
+    });
+    this.y -= height;
+  }
+
+  line(x1, y1, x2, y2, { color = "#000000", width = 0.5 } = {}) {
+    this.ops.push(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+  }
+
+  /**
+   * Reserves a `height`-point box across the content width and hands
+   * `draw` a canvas whose coordinates run from the box's top left, y down.
+   */
+  figure(height, draw) {
+    this.ensureSpace(height);
+    const top = this.y;
+    const left = PAGE.margin;
+    const at = (x, y) => `${num(left + x)} ${num(top - y)}`;
+    const ops = this.ops;
+    draw({
+      width: this.contentWidth,
+      height,
+      rect(x, y, w, h, { stroke = "#cccccc", fill } = {}) {
+        const box = `${num(left + x)} ${num(top - y - h)} ${num(w)} ${num(h)} re`;
+        if (fill) ops.push(`${rgb(fill)} rg ${box} f`);
+        if (stroke) ops.push(`${rgb(stroke)} RG 0.5 w ${box} S`);
+      },
+      polyline(points, { color = "#000000", width = 1 } = {}) {
+        if (points.length < 2) return;
+        const path = points
+          .map(([x, y], i) => `${at(x, y)} ${i === 0 ? "m" : "l"}`)
+          .join(" ");
+        ops.push(`${rgb(color)} RG ${num(width)} w 1 j 1 J ${path} S`);
+      },
+      dot(x, y, { color = "#000000", size = 5 } = {}) {
+        const h = size / 2;
+        ops.push(`${rgb(color)} rg ${num(left + x - h)} ${num(top - y - h)} ${num(size)} ${num(size)} re f`);
+      },
+      label(x, y, text, { size = 7, color = "#333333" } = {}) {
+        ops.push(
+          `BT ${rgb(color)} rg /F1 ${num(size)} Tf ${at(x, y)} Td ${pdfString(text)} Tj ET`
+        );
+      },
+    });
+    this.y = top - height;
+  }
+
+  /** @returns {Buffer} */
+  toBuffer() {
+    const objects = [];
+    // Object numbers are 1-based positions in `objects`
+    const add = (body) => objects.push(body);
+
+    const catalog = add(null);
+    const pagesObj = add(null);
+    const regular = add(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+    );
+    const bold = add(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+    );
+    const info = add(
+      `<< /Title ${pdfString(this.title)} /Producer (MAGNUS Garmin ECC) /CreationDate (D:${new Date()
+        .toISOString()
+        .replace(/[-:T]/g, "")
+        .slice(0, 14)}Z) >>`
+    );
+
+    const pageRefs = this.pages.map((ops, i) => {
+      const footer = `BT ${rgb("#808080")} rg /F1 8 Tf ${num(PAGE.margin)} ${num(
+        PAGE.margin / 2
+      )} Td ${pdfString(`${this.title} – page ${i + 1} of ${this.pages.length}`)} Tj ET`;
+      const stream = [...ops, footer].join("\n");
+      const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${num(PAGE.width)} ${num(
+          PAGE.height
+        )}] /Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`
+      );
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+    objects[pagesObj - 1] = `<< /Type /Pages /Kids [${pageRefs
+      .map((r) => `${r} 0 R`)
+      .join(" ")}] /Count ${pageRefs.length} >>`;
+
+    let out = "%PDF-1.4\n";
+    const offsets = objects.map((body, i) => {
+      const offset = out.length;
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach((o) => {
+      out += `${String(o).padStart(10, "0")} 00000 n \n`;
+    });
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, "latin1");
+  }
+}
+
+module.exports = { PdfDocument, textWidth, wrap };
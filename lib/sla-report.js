@@ -0,0 +1,117 @@
+// SOS response-time SLA report
+//
+// Two figures per incident, both measured from the moment it opened:
+//   time to acknowledge        acknowledgedAt (operator ACK)
+//   time to first message      firstResponseAt (when Garmin accepted the
+//                              first operator message sent while the
+//                              incident was current)
+// An incident breaches a target when the figure is over it, or when it is
+// still active, the figure is missing and the target has already passed.
+// Incidents resolved or closed without the figure (e.g. cancelled on the
+// device) never needed it: they are counted in resolvedWithout instead.
+
+const { ACTIVE_STATUSES } = require("./incidents");
+
+const PERIODS = ["day", "week", "month"];
+
+function secondsBetween(from, to) {
+  return (Date.parse(to) - Date.parse(from)) / 1000;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+function round(v) {
+  return v == null ? null : Math.round(v * 10) / 10;
+}
+
+// Start of the day / ISO week (Monday) / month containing `iso`, in UTC
+function periodStart(iso, period) {
+  const d = new Date(iso);
+  d.setUTCHours(0, 0, 0, 0);
+  if (period === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (period === "month") d.setUTCDate(1);
+  return d.toISOString();
+}
+
+function figureStats(incidents, field, targetSeconds, now) {
+  const values = [];
+  const breaches = [];
+  let missing = 0;
+  let resolvedWithout = 0;
+  incidents.forEach((incident) => {
+    const at = incident[field];
+    if (!at) {
+      missing++;
+      if (!ACTIVE_STATUSES.includes(incident.status)) resolvedWithout++;
+      else if (secondsBetween(incident.openedAt, now) > targetSeconds) {
+        breaches.push(incident.id);
+      }
+      return;
+    }
+    const seconds = Math.max(0, secondsBetween(incident.openedAt, at));
+    values.push(seconds);
+    if (seconds > targetSeconds) breaches.push(incident.id);
+  });
+  values.sort((a, b) => a - b);
+  const within = values.filter((v) => v <= targetSeconds).length;
+  return {
+    count: values.length,
+    missing,
+    resolvedWithout,
+    targetSeconds,
+    avgSeconds: values.length
+      ? round(values.reduce((a, b) => a + b, 0) / values.length)
+      : null,
+    medianSeconds: round(percentile(values, 50)),
+    p90Seconds: round(percentile(values, 90)),
+    maxSeconds: round(values.length ? values[values.length - 1] : null),
+    withinTarget: within,
+    withinTargetPct:
+      incidents.length > resolvedWithout
+        ? round((within / (incidents.length - resolvedWithout)) * 100)
+        : null,
+    breaches,
+  };
+}
+
+function summarize(incidents, targets, now) {
+  return {
+    incidents: incidents.length,
+    timeToAck: figureStats(incidents, "acknowledgedAt", targets.ackSeconds, now),
+    timeToFirstMessage: figureStats(
+      incidents,
+      "firstResponseAt",
+      targets.firstMessageSeconds,
+      now
+    ),
+  };
+}
+
+/**
+ * @param {object[]} incidents  incidents opened within the report range
+ * @param {object} opts
+ * @param {{ ackSeconds: number, firstMessageSeconds: number }} opts.targets
+ * @param {"day"|"week"|"month"} [opts.period]  also break the figures down
+ */
+function buildSlaReport(incidents, { targets, period, now = new Date().toISOString() }) {
+  const report = { targets, summary: summarize(incidents, targets, now) };
+  if (period) {
+    const groups = new Map();
+    incidents.forEach((incident) => {
+      const start = periodStart(incident.openedAt, period);
+      if (!groups.has(start)) groups.set(start, []);
+      groups.get(start).push(incident);
+    });
+    report.period = period;
+    report.periods = [...groups.keys()]
+      .sort()
+      .map((start) => ({ start, ...summarize(groups.get(start), targets, now) }));
+  }
+  return report;
+}
+
+module.exports = { buildSlaReport, periodStart, PERIODS };
@@ -0,0 +1,65 @@
+// Garmin Professional tenants
+//
+// TENANT_IDS lists the tenants this backend serves (default: satdesk22).
+// Each tenant reads its settings from env vars prefixed with the upper-cased id:
+//   <ID>_NAME                 display name (optional)
+//   <ID>_INBOUND_BASE_URL     e.g. https://eur-enterprise.inreach.garmin.com/IPCInbound/V1
+//   <ID>_INBOUND_USERNAME / <ID>_INBOUND_PASSWORD / <ID>_INBOUND_API_KEY
+//   <ID>_SENDER_EMAIL         MUST be a valid, Garmin-accepted sender (email/SMS)
+//   <ID>_OUTBOUND_TOKEN       x-outbound-auth-token Garmin sends to /garmin/ipc-outbound
+
+const crypto = require("crypto");
+
+function envPrefix(tenantId) {
+  return tenantId.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+function loadTenants(env, { defaultTenantId, legacyOutboundToken } = {}) {
+  const ids = (env.TENANT_IDS || defaultTenantId || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const tenants = {};
+  ids.forEach((id) => {
+    const p = envPrefix(id);
+    tenants[id] = {
+      id,
+      name: env[`${p}_NAME`] || id,
+      inbound: {
+        baseUrl: (env[`${p}_INBOUND_BASE_URL`] || "").replace(/\/+$/, ""),
+        username: env[`${p}_INBOUND_USERNAME`] || "",
+        password: env[`${p}_INBOUND_PASSWORD`] || "",
+        apiKey: env[`${p}_INBOUND_API_KEY`] || "",
+        senderEmail: env[`${p}_SENDER_EMAIL`] || "",
+      },
+      outboundToken: env[`${p}_OUTBOUND_TOKEN`] || "",
+    };
+  });
+
+  // Single shared GARMIN_OUTBOUND_TOKEN from before multi-tenant support
+  const legacy = defaultTenantId && tenants[defaultTenantId];
+  if (legacy && !legacy.outboundToken && legacyOutboundToken) {
+    legacy.outboundToken = legacyOutboundToken;
+  }
+
+  return tenants;
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// Tenant whose outbound token matches, or null
+function findTenantByOutboundToken(tenants, token) {
+  if (!token) return null;
+  return (
+    Object.values(tenants).find(
+      (t) => t.outboundToken && safeEqual(t.outboundToken, token)
+    ) || null
+  );
+}
+
+module.exports = { loadTenants, findTenantByOutboundToken, envPrefix, safeEqual };
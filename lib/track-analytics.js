@@ -0,0 +1,181 @@
+// Track analytics for search coordination: distance, speeds, heading, stops
+//
+// Positions are as stored by DevicesStore, oldest first. A stop is a run of
+// points that stay within `stopRadiusMeters` of the run's first point for at
+// least `stopMinSeconds`; it is "sudden" when the device was moving at
+// `suddenStopSpeedKmh` or more just before it (e.g. a fall on the descent).
+// Speeds are computed from the points, not the device's reported speed.
+
+const { distanceMeters } = require("./geofences");
+
+const DEFAULTS = {
+  stopRadiusMeters: 50,
+  stopMinSeconds: 600,
+  suddenStopSpeedKmh: 3,
+  // How far back before a stop the approach speed is measured
+  approachSeconds: 900,
+};
+
+function seconds(from, to) {
+  return (Date.parse(to) - Date.parse(from)) / 1000;
+}
+
+function kmh(meters, secs) {
+  return secs > 0 ? round((meters / secs) * 3.6, 1) : null;
+}
+
+function round(v, digits = 0) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+// Initial bearing from a to b, degrees clockwise from north
+function bearingDegrees(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLng = toRad(b.lng - a.lng);
+  const y = Math.sin(dLng) * Math.cos(toRad(b.lat));
+  const x =
+    Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+    Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLng);
+  return (((Math.atan2(y, x) * 180) / Math.PI) + 360) % 360;
+}
+
+// [start, end] index pairs of runs staying within radius of their first point
+function stationaryRuns(points, radius) {
+  const runs = [];
+  let start = 0;
+  for (let i = 1; i <= points.length; i++) {
+    if (i < points.length && distanceMeters(points[start], points[i]) <= radius) continue;
+    if (i - 1 > start) runs.push([start, i - 1]);
+    start = i;
+  }
+  return runs;
+}
+
+// Average speed over the `window` seconds before points[index]
+function approachSpeedKmh(points, index, window) {
+  let meters = 0;
+  let i = index;
+  while (i > 0 && seconds(points[i - 1].timestamp, points[index].timestamp) <= window) {
+    meters += distanceMeters(points[i - 1], points[i]);
+    i--;
+  }
+  return i === index ? null : kmh(meters, seconds(points[i].timestamp, points[index].timestamp));
+}
+
+/**
+ * @param {object[]} positions  oldest first
+ * @param {object} [opts]  overrides for DEFAULTS
+ */
+function analyzeTrack(positions, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const points = positions.filter((p) => p && p.lat != null && p.lng != null);
+  const result = {
+    points: points.length,
+    firstAt: points[0]?.timestamp || null,
+    lastAt: points[points.length - 1]?.timestamp || null,
+    distanceMeters: 0,
+    durationSeconds: 0,
+    movingSeconds: 0,
+    averageSpeedKmh: null,
+    movingAverageSpeedKmh: null,
+    currentSpeedKmh: null,
+    headingDegrees: null,
+    lastMovementAt: null,
+    stationary: false,
+    stationarySince: null,
+    stationarySeconds: 0,
+    stops: [],
+    settings: o,
+  };
+  if (points.length < 2) {
+    result.lastMovementAt = result.lastAt;
+    return result;
+  }
+
+  const runs = stationaryRuns(points, o.stopRadiusMeters);
+  const stopRuns = runs.filter(
+    ([s, e]) => seconds(points[s].timestamp, points[e].timestamp) >= o.stopMinSeconds
+  );
+
+  // Time inside stops doesn't count as moving; distance does not include the
+  // GPS jitter within a stationary run either
+  const inRun = new Array(points.length).fill(-1);
+  runs.forEach(([s, e], r) => {
+    for (let i = s; i <= e; i++) inRun[i] = r;
+  });
+  let distance = 0;
+  let stoppedSeconds = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (inRun[i] !== -1 && inRun[i] === inRun[i - 1]) continue;
+    distance += distanceMeters(points[i - 1], points[i]);
+  }
+  stopRuns.forEach(([s, e]) => {
+    stoppedSeconds += seconds(points[s].timestamp, points[e].timestamp);
+  });
+
+  const duration = seconds(result.firstAt, result.lastAt);
+  result.distanceMeters = round(distance);
+  result.durationSeconds = round(duration);
+  result.movingSeconds = round(Math.max(0, duration - stoppedSeconds));
+  result.averageSpeedKmh = kmh(distance, duration);
+  result.movingAverageSpeedKmh = kmh(distance, duration - stoppedSeconds);
+
+  const last = points.length - 1;
+  const lastRun = runs.find(([, e]) => e === last);
+  const since = lastRun ? lastRun[0] : last;
+  result.lastMovementAt = points[since].timestamp;
+  result.stationarySince = lastRun ? points[since].timestamp : null;
+  result.stationarySeconds = lastRun
+    ? round(seconds(points[since].timestamp, result.lastAt))
+    : 0;
+  result.stationary = result.stationarySeconds >= o.stopMinSeconds;
+
+  // Current speed / heading from the last leg that actually moved
+  const prev = since > 0 ? since - 1 : null;
+  if (lastRun) {
+    result.currentSpeedKmh = 0;
+  } else if (prev != null) {
+    result.currentSpeedKmh = kmh(
+      distanceMeters(points[prev], points[last]),
+      seconds(points[prev].timestamp, points[last].timestamp)
+    );
+  }
+  if (prev != null) {
+    result.headingDegrees = round(bearingDegrees(points[prev], points[since]));
+  }
+
+  result.stops = stopRuns.map(([s, e]) => {
+    const run = points.slice(s, e + 1);
+    const approach = approachSpeedKmh(points, s, o.approachSeconds);
+    return {
+      from: points[s].timestamp,
+      to: points[e].timestamp,
+      durationSeconds: round(seconds(points[s].timestamp, points[e].timestamp)),
+      lat: round(run.reduce((sum, p) => sum + p.lat, 0) / run.length, 6),
+      lng: round(run.reduce((sum, p) => sum + p.lng, 0) / run.length, 6),
+      points: run.length,
+      ongoing: e === last,
+      approachSpeedKmh: approach,
+      sudden: approach != null && approach >= o.suddenStopSpeedKmh,
+    };
+  });
+  return result;
+}
+
+// STOP_RADIUS_METERS, STOP_MIN_SECONDS, SUDDEN_STOP_SPEED_KMH
+function loadAnalyticsOptions(env) {
+  const opts = {};
+  [
+    ["STOP_RADIUS_METERS", "stopRadiusMeters"],
+    ["STOP_MIN_SECONDS", "stopMinSeconds"],
+    ["SUDDEN_STOP_SPEED_KMH", "suddenStopSpeedKmh"],
+  ].forEach(([name, key]) => {
+    const v = Number(env[name]);
+    if (env[name] !== undefined && Number.isFinite(v) && v > 0) opts[key] = v;
+  });
+  return opts;
+}
+
+module.exports = { analyzeTrack, bearingDegrees, loadAnalyticsOptions, DEFAULTS };
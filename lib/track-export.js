@@ -0,0 +1,215 @@
+// Track exports (GPX 1.1, KML 2.2, GeoJSON) for SAR partners' tools
+//
+// A track is { name, positions, waypoints }: positions as stored by
+// DevicesStore (lat, lng, altitude, speed, course, gpsFix, timestamp) and
+// waypoints as { name, type, lat, lng, at, text }.
+
+const FORMATS = {
+  gpx: { contentType: "application/gpx+xml", extension: "gpx" },
+  kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml" },
+  geojson: { contentType: "application/geo+json", extension: "geojson" },
+};
+
+// Timeline entries exported as waypoints
+const WAYPOINT_TYPES = {
+  "sos-declare": "SOS declared",
+  "sos-confirm": "SOS confirmed",
+  "sos-cancel": "SOS cancelled",
+  "reference-point": "Reference point",
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function hasValue(v) {
+  return v !== null && v !== undefined && v !== "";
+}
+
+/**
+ * Turns timeline entries into waypoints. Entries recorded before lat/lng were
+ * stored on them take the position reported with the same event.
+ */
+function buildWaypoints(timeline, positions) {
+  const byTimestamp = new Map(positions.map((p) => [p.timestamp, p]));
+  return timeline
+    .filter((e) => WAYPOINT_TYPES[e.type] && !e.outOfOrder)
+    .map((e) => {
+      const pos =
+        e.lat != null && e.lng != null ? e : byTimestamp.get(e.at) || null;
+      if (!pos) return null;
+      return {
+        name: WAYPOINT_TYPES[e.type],
+        type: e.type,
+        lat: pos.lat,
+        lng: pos.lng,
+        at: e.at,
+        text: e.text || null,
+      };
+    })
+    .filter(Boolean);
+}
+
+function toGpx({ name, positions, waypoints }) {
+  const wpts = waypoints.map(
+    (w) => `  <wpt lat="${w.lat}" lon="${w.lng}">
+    <time>${escapeXml(w.at)}</time>
+    <name>${escapeXml(w.name)}</name>${
+      w.text ? `\n    <desc>${escapeXml(w.text)}</desc>` : ""
+    }
+    <type>${escapeXml(w.type)}</type>
+  </wpt>`
+  );
+
+  const trkpts = positions.map((p) => {
+    const ext = [];
+    if (hasValue(p.speed)) ext.push(`<ecc:speed>${p.speed}</ecc:speed>`);
+    if (hasValue(p.course)) ext.push(`<ecc:course>${p.course}</ecc:course>`);
+    if (hasValue(p.gpsFix)) ext.push(`<ecc:gpsFix>${p.gpsFix}</ecc:gpsFix>`);
+    return `      <trkpt lat="${p.lat}" lon="${p.lng}">${
+      hasValue(p.altitude) ? `\n        <ele>${p.altitude}</ele>` : ""
+    }
+        <time>${escapeXml(p.timestamp)}</time>${
+      ext.length ? `\n        <extensions>${ext.join("")}</extensions>` : ""
+    }
+      </trkpt>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="MAGNUS Garmin ECC"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:ecc="https://magnusafety.com/xmlns/ecc/1">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${wpts.join("\n")}${wpts.length ? "\n" : ""}  <trk>
+    <name>${escapeXml(name)}</name>
+    <trkseg>
+${trkpts.join("\n")}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+function kmlExtendedData(fields) {
+  const data = Object.entries(fields)
+    .filter(([, v]) => hasValue(v))
+    .map(
+      ([k, v]) =>
+        `<Data name="${k}"><value>${escapeXml(v)}</value></Data>`
+    );
+  return data.length ? `<ExtendedData>${data.join("")}</ExtendedData>` : "";
+}
+
+function toKml({ name, positions, waypoints }) {
+  const placemarks = waypoints.map(
+    (w) => `    <Placemark>
+      <name>${escapeXml(w.name)}</name>
+      <TimeStamp><when>${escapeXml(w.at)}</when></TimeStamp>${
+      w.text ? `\n      <description>${escapeXml(w.text)}</description>` : ""
+    }
+      <Point><coordinates>${w.lng},${w.lat}</coordinates></Point>
+    </Placemark>`
+  );
+
+  // gx:Track keeps a timestamp per point; each point also gets a Placemark
+  // with its speed / course / fix, which plain KML viewers can show.
+  const whens = positions.map((p) => `        <when>${escapeXml(p.timestamp)}</when>`);
+  const coords = positions.map(
+    (p) => `        <gx:coord>${p.lng} ${p.lat} ${hasValue(p.altitude) ? p.altitude : 0}</gx:coord>`
+  );
+  const points = positions.map(
+    (p) => `      <Placemark>
+        <TimeStamp><when>${escapeXml(p.timestamp)}</when></TimeStamp>
+        ${kmlExtendedData({
+          altitude: p.altitude,
+          speed: p.speed,
+          course: p.course,
+          gpsFix: p.gpsFix,
+        })}
+        <Point><coordinates>${p.lng},${p.lat}${
+      hasValue(p.altitude) ? "," + p.altitude : ""
+    }</coordinates></Point>
+      </Placemark>`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+${placemarks.join("\n")}${placemarks.length ? "\n" : ""}    <Placemark>
+      <name>${escapeXml(name)} track</name>
+      <gx:Track>
+        <altitudeMode>absolute</altitudeMode>
+${whens.join("\n")}
+${coords.join("\n")}
+      </gx:Track>
+    </Placemark>
+    <Folder>
+      <name>Track points</name>
+${points.join("\n")}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+function toGeoJson({ name, positions, waypoints }) {
+  const coordinate = (p) =>
+    hasValue(p.altitude) ? [p.lng, p.lat, p.altitude] : [p.lng, p.lat];
+
+  const features = [
+    {
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: positions.map(coordinate),
+      },
+      properties: {
+        name,
+        kind: "track",
+        times: positions.map((p) => p.timestamp),
+      },
+    },
+    ...positions.map((p) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: coordinate(p) },
+      properties: {
+        kind: "trackpoint",
+        time: p.timestamp,
+        altitude: p.altitude ?? null,
+        speed: p.speed ?? null,
+        course: p.course ?? null,
+        gpsFix: p.gpsFix ?? null,
+      },
+    })),
+    ...waypoints.map((w) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [w.lng, w.lat] },
+      properties: {
+        kind: "waypoint",
+        name: w.name,
+        type: w.type,
+        time: w.at,
+        text: w.text,
+      },
+    })),
+  ];
+
+  return JSON.stringify({ type: "FeatureCollection", name, features }, null, 2);
+}
+
+const RENDERERS = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+
+function renderTrack(format, track) {
+  return RENDERERS[format](track);
+}
+
+module.exports = { FORMATS, buildWaypoints, renderTrack };
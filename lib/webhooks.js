@@ -0,0 +1,450 @@
+// Signed webhook fan-out to external subscribers (WordPress, dispatch systems)
+//
+// Each subscriber picks the event types it wants. publish() writes one
+// delivery row per matching subscriber. It runs once the change that
+// produced the event has committed (from store and ingest listeners, or the
+// route that made the change), not in the same transaction: a crash between
+// that commit and publish() keeps the change but loses its deliveries. The
+// worker POSTs deliveries oldest first per subscriber:
+//   queued -> sending -> delivered          (2xx)
+//                     -> queued (+backoff)  (timeout, network error, 408, 429, 5xx)
+//                     -> failed             (other 4xx or errors, or out of attempts)
+// A failed delivery doesn't hold up the ones after it. Any delivery can be
+// replayed, which queues a copy (same event id) at the end of the queue.
+//
+// Requests carry:
+//   X-ECC-Event        event type
+//   X-ECC-Delivery     delivery id (new for every replay)
+//   X-ECC-Signature    t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Receivers should check the signature and reject stale timestamps.
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const axios = require("axios");
+const { toJson, fromJson } = require("./db");
+const { isRetryable, describeError } = require("./outbound-queue");
+
+const EVENT_TYPES = [
+  "sos.declare",
+  "sos.confirm",
+  "sos.cancel",
+  "sos.ack",
+  "message.inbound",
+  "position",
+  "incident.closed",
+];
+
+const STATUSES = ["queued", "sending", "delivered", "failed"];
+
+function signPayload(secret, timestamp, body) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+function verifySignature(secret, header, body) {
+  const m = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(String(header || ""));
+  if (!m) return false;
+  const expected = signPayload(secret, m[1], body);
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(header)));
+}
+
+function rowToSubscriber(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    eventTypes: fromJson(row.event_types, []),
+    tenantId: row.tenant_id,
+    active: !!row.active,
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    subscriberId: row.subscriber_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    payload: fromJson(row.payload, null),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    responseStatus: row.response_status,
+    replayOf: row.replay_of,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    deliveredAt: row.delivered_at,
+  };
+}
+
+// Checks subscriber fields; `partial` for PATCH bodies
+function normalizeSubscriber(body, { partial = false } = {}) {
+  const out = {};
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) throw new Error("name is required");
+    out.name = String(body.name).trim().slice(0, 100);
+  }
+  if (!partial || body.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(body.url || ""));
+    } catch {
+      throw new Error("url must be an absolute http(s) URL");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error("url must be an absolute http(s) URL");
+    }
+    out.url = url.toString();
+  }
+  if (!partial || body.eventTypes !== undefined) {
+    const types = Array.isArray(body.eventTypes) ? [...new Set(body.eventTypes)] : [];
+    const unknown = types.filter((t) => !EVENT_TYPES.includes(t));
+    if (!types.length || unknown.length) {
+      throw new Error(`eventTypes must be a non-empty list of: ${EVENT_TYPES.join(", ")}`);
+    }
+    out.eventTypes = types;
+  }
+  if (body.tenantId !== undefined) out.tenantId = body.tenantId || null;
+  if (body.active !== undefined) out.active = !!body.active;
+  if (body.secret !== undefined) {
+    if (String(body.secret).length < 16) throw new Error("secret must be at least 16 characters");
+    out.secret = String(body.secret);
+  }
+  return out;
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+async function postJson(url, body, headers, timeoutMs) {
+  const res = await axios.post(url, body, {
+    headers,
+    timeout: timeoutMs,
+    // The body is already serialized: it is exactly what was signed
+    transformRequest: [(data) => data],
+  });
+  return res.status;
+}
+
+class WebhookDispatcher extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {import("better-sqlite3").Database} opts.db
+   * @param {(url: string, body: string, headers: object, timeoutMs: number) => Promise<number>} [opts.post]
+   */
+  constructor({
+    db,
+    post = postJson,
+    maxAttempts = 8,
+    baseDelayMs = 10000,
+    maxDelayMs = 60 * 60 * 1000,
+    timeoutMs = 10000,
+    pollMs = 2000,
+  }) {
+    super();
+    this.db = db;
+    this.post = post;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.pollMs = pollMs;
+    this.running = false;
+    this.timer = null;
+
+    this.stmts = {
+      listSubscribers: db.prepare("SELECT * FROM webhook_subscribers ORDER BY id"),
+      subscriberById: db.prepare("SELECT * FROM webhook_subscribers WHERE id = ?"),
+      insertSubscriber: db.prepare(`
+        INSERT INTO webhook_subscribers
+          (name, url, secret, event_types, tenant_id, active, created_at, created_by, updated_at)
+        VALUES
+          (@name, @url, @secret, @event_types, @tenant_id, @active, @created_at, @created_by, @updated_at)
+      `),
+      updateSubscriber: db.prepare(`
+        UPDATE webhook_subscribers SET
+          name = @name, url = @url, secret = @secret, event_types = @event_types,
+          tenant_id = @tenant_id, active = @active, updated_at = @updated_at
+        WHERE id = @id
+      `),
+      deleteSubscriber: db.prepare("DELETE FROM webhook_subscribers WHERE id = ?"),
+      deleteDeliveries: db.prepare("DELETE FROM webhook_deliveries WHERE subscriber_id = ?"),
+      insertDelivery: db.prepare(`
+        INSERT INTO webhook_deliveries
+          (subscriber_id, event_id, event_type, payload, status, next_attempt_at,
+           replay_of, created_at, updated_at)
+        VALUES
+          (@subscriber_id, @event_id, @event_type, @payload, 'queued', @created_at,
+           @replay_of, @created_at, @created_at)
+      `),
+      deliveryById: db.prepare("SELECT * FROM webhook_deliveries WHERE id = ?"),
+      // Head of each active subscriber's queue, if it is due
+      due: db.prepare(`
+        SELECT d.* FROM webhook_deliveries d
+        JOIN webhook_subscribers s ON s.id = d.subscriber_id AND s.active = 1
+        WHERE d.status = 'queued'
+          AND d.next_attempt_at <= @now
+          AND d.id IN (
+            SELECT MIN(id) FROM webhook_deliveries
+            WHERE status IN ('queued', 'sending')
+            GROUP BY subscriber_id
+          )
+        ORDER BY d.id
+      `),
+      stuck: db.prepare("SELECT id FROM webhook_deliveries WHERE status = 'sending'"),
+    };
+  }
+
+  // -------- subscribers --------
+
+  listSubscribers() {
+    return this.stmts.listSubscribers.all().map(rowToSubscriber);
+  }
+
+  getSubscriber(id) {
+    const row = this.stmts.subscriberById.get(id);
+    return row ? rowToSubscriber(row) : null;
+  }
+
+  // Returns the subscriber with its secret; it isn't shown again
+  createSubscriber(body, actor) {
+    const fields = normalizeSubscriber(body);
+    const now = new Date().toISOString();
+    const secret = fields.secret || newSecret();
+    const info = this.stmts.insertSubscriber.run({
+      name: fields.name,
+      url: fields.url,
+      secret,
+      event_types: toJson(fields.eventTypes),
+      tenant_id: fields.tenantId || null,
+      active: fields.active === false ? 0 : 1,
+      created_at: now,
+      created_by: actor || null,
+      updated_at: now,
+    });
+    return { ...this.getSubscriber(Number(info.lastInsertRowid)), secret };
+  }
+
+  // `rotateSecret: true` issues a new secret, returned like on create
+  updateSubscriber(id, body) {
+    const row = this.stmts.subscriberById.get(id);
+    if (!row) return null;
+    const fields = normalizeSubscriber(body, { partial: true });
+    const secret = body.rotateSecret ? newSecret() : fields.secret || row.secret;
+    this.stmts.updateSubscriber.run({
+      id,
+      name: fields.name ?? row.name,
+      url: fields.url ?? row.url,
+      secret,
+      event_types: fields.eventTypes ? toJson(fields.eventTypes) : row.event_types,
+      tenant_id: fields.tenantId !== undefined ? fields.tenantId : row.tenant_id,
+      active: fields.active !== undefined ? (fields.active ? 1 : 0) : row.active,
+      updated_at: new Date().toISOString(),
+    });
+    if (fields.active) setImmediate(() => this.tick());
+    const updated = this.getSubscriber(id);
+    return secret !== row.secret ? { ...updated, secret } : updated;
+  }
+
+  // Removes the subscriber and its delivery log
+  deleteSubscriber(id) {
+    return this.db.transaction(() => {
+      this.stmts.deleteDeliveries.run(id);
+      return this.stmts.deleteSubscriber.run(id).changes > 0;
+    })();
+  }
+
+  // -------- events --------
+
+  /**
+   * Queues `type` for every active subscriber that wants it (and whose
+   * tenant matches, if it is limited to one). Returns the delivery count.
+   */
+  publish(type, data, { tenantId = null, occurredAt = new Date().toISOString() } = {}) {
+    if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown webhook event type "${type}"`);
+    const subscribers = this.listSubscribers().filter(
+      (s) =>
+        s.active &&
+        s.eventTypes.includes(type) &&
+        (!s.tenantId || s.tenantId === tenantId)
+    );
+    if (!subscribers.length) return 0;
+
+    const eventId = crypto.randomUUID();
+    const payload = toJson({ id: eventId, type, occurredAt, tenantId, data });
+    const createdAt = new Date().toISOString();
+    subscribers.forEach((s) => {
+      this.stmts.insertDelivery.run({
+        subscriber_id: s.id,
+        event_id: eventId,
+        event_type: type,
+        payload,
+        replay_of: null,
+        created_at: createdAt,
+      });
+    });
+    setImmediate(() => this.tick());
+    return subscribers.length;
+  }
+
+  // -------- delivery log --------
+
+  listDeliveries({ subscriberId, status, eventType, limit = 100 } = {}) {
+    const where = ["subscriber_id = @subscriberId"];
+    if (status) where.push("status = @status");
+    if (eventType) where.push("event_type = @eventType");
+    return this.db
+      .prepare(
+        `SELECT * FROM webhook_deliveries WHERE ${where.join(" AND ")}
+         ORDER BY id DESC LIMIT @limit`
+      )
+      .all({ subscriberId, status: status || null, eventType: eventType || null, limit })
+      .map(rowToDelivery);
+  }
+
+  getDelivery(id) {
+    const row = this.stmts.deliveryById.get(id);
+    return row ? rowToDelivery(row) : null;
+  }
+
+  // Queues a copy of a delivery (same event id and payload) at the back
+  replay(id) {
+    const row = this.stmts.deliveryById.get(id);
+    if (!row) return null;
+    const createdAt = new Date().toISOString();
+    const info = this.stmts.insertDelivery.run({
+      subscriber_id: row.subscriber_id,
+      event_id: row.event_id,
+      event_type: row.event_type,
+      payload: row.payload,
+      replay_of: row.id,
+      created_at: createdAt,
+    });
+    setImmediate(() => this.tick());
+    return this.getDelivery(Number(info.lastInsertRowid));
+  }
+
+  // -------- worker --------
+
+  start() {
+    // As in OutboundQueue: a crash mid-send means we can't know whether the
+    // subscriber got it, so it is sent again (receivers dedupe on event id)
+    this.stmts.stuck.all().forEach(({ id }) => {
+      console.warn("[Webhooks] Requeueing delivery left in sending:", id);
+      this._update(id, { status: "queued" });
+    });
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    this.timer.unref();
+    this.tick();
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  backoffMs(attempts) {
+    const exp = this.baseDelayMs * 2 ** Math.max(0, attempts - 1);
+    const jitter = Math.random() * this.baseDelayMs;
+    return Math.min(this.maxDelayMs, exp + jitter);
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      let rows = this.stmts.due.all({ now: new Date().toISOString() });
+      while (rows.length) {
+        for (const row of rows) {
+          await this._deliver(row);
+        }
+        rows = this.stmts.due.all({ now: new Date().toISOString() });
+      }
+    } catch (err) {
+      console.error("[Webhooks] Worker error:", err);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _deliver(row) {
+    const subscriber = this.stmts.subscriberById.get(row.subscriber_id);
+    if (!subscriber) return;
+    const attempts = row.attempts + 1;
+    this._update(row.id, { status: "sending", attempts });
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "magnus-garmin-ecc-webhooks",
+      "X-ECC-Event": row.event_type,
+      "X-ECC-Delivery": String(row.id),
+      "X-ECC-Signature": signPayload(subscriber.secret, timestamp, row.payload),
+    };
+    try {
+      const status = await this.post(subscriber.url, row.payload, headers, this.timeoutMs);
+      const now = new Date().toISOString();
+      this._update(row.id, {
+        status: "delivered",
+        responseStatus: status,
+        lastError: null,
+        nextAttemptAt: null,
+        deliveredAt: now,
+      });
+    } catch (err) {
+      const lastError = describeError(err);
+      const retry = isRetryable(err) && attempts < this.maxAttempts;
+      console.error(
+        "[Webhooks] Delivery failed",
+        row.id,
+        `to subscriber ${subscriber.id}`,
+        `attempt ${attempts}/${this.maxAttempts}`,
+        retry ? "(will retry)" : "(giving up)",
+        lastError
+      );
+      this._update(row.id, {
+        status: retry ? "queued" : "failed",
+        lastError: lastError.slice(0, 1000),
+        responseStatus: err.response?.status ?? null,
+        nextAttemptAt: retry
+          ? new Date(Date.now() + this.backoffMs(attempts)).toISOString()
+          : null,
+      });
+    }
+  }
+
+  _update(id, patch) {
+    const cols = {
+      status: "status",
+      attempts: "attempts",
+      nextAttemptAt: "next_attempt_at",
+      lastError: "last_error",
+      responseStatus: "response_status",
+      deliveredAt: "delivered_at",
+    };
+    const params = { id, updated_at: new Date().toISOString() };
+    const sets = ["updated_at = @updated_at"];
+    Object.keys(patch).forEach((k) => {
+      sets.push(`${cols[k]} = @${cols[k]}`);
+      params[cols[k]] = patch[k];
+    });
+    this.db.prepare(`UPDATE webhook_deliveries SET ${sets.join(", ")} WHERE id = @id`).run(params);
+    const delivery = this.getDelivery(id);
+    if (delivery) this.emit("update", delivery);
+    return delivery;
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  EVENT_TYPES,
+  STATUSES,
+  signPayload,
+  verifySignature,
+};
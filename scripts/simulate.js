@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// IPC simulator CLI (see lib/ipc-simulator.js and lib/mock-ipc-inbound.js)
+//
+//   npm run simulate -- scenario <track|sos|chat> [--imei N] [--points N]
+//                       [--interval SECONDS] [--speed X]
+//   npm run simulate -- replay <file> [--rebase] [--speed X]
+//   npm run simulate -- mock-inbound [--port 10080] [--geos]
+//
+// Batches go to --url (default http://localhost:$PORT/garmin/ipc-outbound)
+// with --token (default: the outbound token of ACTIVE_TENANT_ID / satdesk22,
+// or GARMIN_OUTBOUND_TOKEN). --speed 0 sends everything at once; --speed 60
+// plays a 2-minute gap in 2 seconds. The mock Inbound server takes its
+// credentials from the same tenant's *_INBOUND_* variables; point the
+// tenant's INBOUND_BASE_URL at it to drill messaging and SOS acks.
+
+const fs = require("fs");
+require("dotenv").config();
+const { envPrefix } = require("../lib/tenants");
+const {
+  scenarioEvents,
+  eventsToBatches,
+  parseRecordedPayloads,
+  rebaseBatches,
+  playBatches,
+} = require("../lib/ipc-simulator");
+const { createMockInbound } = require("../lib/mock-ipc-inbound");
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) flags[name] = true;
+    else flags[name] = argv[++i];
+  }
+  return { positional, flags };
+}
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error(
+    "Usage: simulate.js scenario <track|sos|chat> | replay <file> | mock-inbound [options]"
+  );
+  process.exit(1);
+}
+
+const tenantId = process.env.ACTIVE_TENANT_ID || "satdesk22";
+const prefix = envPrefix(tenantId);
+
+async function play(batches, flags) {
+  const url =
+    flags.url ||
+    `http://localhost:${process.env.PORT || 10000}/garmin/ipc-outbound`;
+  const token =
+    flags.token ||
+    process.env[`${prefix}_OUTBOUND_TOKEN`] ||
+    process.env.GARMIN_OUTBOUND_TOKEN;
+  if (!token) usage(`No outbound token; pass --token or set ${prefix}_OUTBOUND_TOKEN`);
+
+  console.log(`[Simulator] Sending ${batches.length} batch(es) to ${url}`);
+  await playBatches(batches, {
+    url,
+    token,
+    speed: flags.speed === undefined ? 0 : Number(flags.speed),
+    onBatch: (batch, result) => {
+      const codes = batch.Events.map((e) => e.messageCode).join(",");
+      console.log(`[Simulator] codes ${codes} ->`, JSON.stringify(result));
+    },
+  });
+}
+
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const [command, arg] = positional;
+
+  switch (command) {
+    case "scenario": {
+      if (!arg) usage("Missing scenario name");
+      const events = scenarioEvents(arg, {
+        imei: flags.imei,
+        points: flags.points && Number(flags.points),
+        intervalSeconds: flags.interval && Number(flags.interval),
+      });
+      return play(eventsToBatches(events), flags);
+    }
+
+    case "replay": {
+      if (!arg) usage("Missing payload log file");
+      let batches = parseRecordedPayloads(fs.readFileSync(arg, "utf8"));
+      if (!batches.length) usage(`No IPC payloads found in ${arg}`);
+      if (flags.rebase) batches = rebaseBatches(batches);
+      return play(batches, flags);
+    }
+
+    case "mock-inbound": {
+      const mock = createMockInbound({
+        username: process.env[`${prefix}_INBOUND_USERNAME`] || "",
+        password: process.env[`${prefix}_INBOUND_PASSWORD`] || "",
+        apiKey: process.env[`${prefix}_INBOUND_API_KEY`] || "",
+        geos: !!flags.geos,
+        log: true,
+      });
+      const url = await mock.listen(Number(flags.port) || 10080);
+      console.log(`[MockInbound] Listening on ${url}; set ${prefix}_INBOUND_BASE_URL=${url}`);
+      return;
+    }
+
+    default:
+      usage(command ? `Unknown command "${command}"` : null);
+  }
+}
+
+main().catch((err) => {
+  console.error("[Simulator]", err.response?.data || err.message);
+  process.exit(1);
+});
@@ -1,38 +1,150 @@
 // MAGNUS Garmin ECC backend
-// - IPC Outbound ingestion (events, SOS, tracking)
+// - IPC Outbound ingestion (events, SOS, tracking; validated + de-duplicated, dead-letter store)
 // - IPC Inbound Messaging (Messaging.svc with Basic Auth + X-API-Key)
+// - Message templates (several languages), character budget, multi-part splitting
 // - Emergency.svc ACK SOS with Code 15 soft-handling (GEOS)
-// - WebSockets for live updates
+// - SOS incidents per device (open -> acknowledged -> resolved -> closed),
+//   claimed or assigned to an operator, with an internal notes thread
+// - Escalation of unacknowledged SOS (email / webhook notifiers)
+// - Signed webhooks to subscribers (SOS, messages, positions, incident closed)
+// - Prometheus /metrics (SOS response times, ingestion, Garmin API, WebSockets)
+//   and an SLA report
+// - Hash-chained audit log of operator actions and IPC batches
+// - Track exports (GPX / KML / GeoJSON) and analytics (distance, speed, stops)
+// - Post-incident reports (HTML / PDF) per SOS incident
+// - Geofences (allowed areas / restricted zones) with enter/exit alerts
+// - Device health (battery, tracking mode) from IPC status reports, with
+//   battery alerts during an active SOS
+// - WebSockets for live updates and operator presence (who views which device)
+// - SQLite persistence (better-sqlite3, garmin.db)
 // - CORS for WordPress (blog.magnusafety.com)
 
 const express = require("express");
 const axios = require("axios");
 const cors = require("cors");
 const bodyParser = require("body-parser");
+const crypto = require("crypto");
 const http = require("http");
-const WebSocket = require("ws");
+const path = require("path");
 require("dotenv").config();
+const { openDatabase } = require("./lib/db");
+const {
+  DevicesStore,
+  deviceSummary,
+  TIMELINE_KINDS,
+  decodeTimelineCursor,
+  decodePageCursor,
+} = require("./lib/devices-store");
+const {
+  loadTenants,
+  findTenantByOutboundToken,
+  envPrefix,
+  safeEqual,
+} = require("./lib/tenants");
+const { OperatorsStore } = require("./lib/operators");
+const { createAuth, actorOf, roleRank } = require("./lib/auth");
+const { createLiveFeed } = require("./lib/live-feed");
+const { LocateRequests } = require("./lib/locate-requests");
+const { OutboundQueue } = require("./lib/outbound-queue");
+const { IpcIngestor } = require("./lib/ipc-ingest");
+const { parseTimestamp } = require("./lib/ipc-validation");
+const {
+  IncidentsStore,
+  STATUSES: INCIDENT_STATUSES,
+  ACTIVE_STATUSES,
+} = require("./lib/incidents");
+const { EscalationEngine, loadEscalationTiers } = require("./lib/escalation");
+const { createNotifiers, describeTarget } = require("./lib/notifiers");
+const { AuditLog, auditMiddleware, entriesToCsv } = require("./lib/audit-log");
+const { FORMATS: TRACK_FORMATS, buildWaypoints, renderTrack } = require("./lib/track-export");
+const { GeofencesStore } = require("./lib/geofences");
+const {
+  CSV_COLUMNS: REGISTRY_CSV_COLUMNS,
+  normalizeProfile,
+  deviceToCsvRow,
+  csvRowsToProfiles,
+  matchesSearch,
+} = require("./lib/device-registry");
+const { parseCsv, toCsv } = require("./lib/csv");
+const {
+  MessageTemplatesStore,
+  LANGUAGES: TEMPLATE_LANGUAGES,
+  PLACEHOLDERS: TEMPLATE_PLACEHOLDERS,
+  templateContext,
+  renderTemplate,
+} = require("./lib/message-templates");
+const {
+  DEFAULT_MAX_CHARS,
+  splitMessage,
+  checkBudget,
+} = require("./lib/message-split");
+const { MetricsRegistry, instrumentAxios } = require("./lib/metrics");
+const { buildSlaReport, PERIODS: SLA_PERIODS } = require("./lib/sla-report");
+const { loadBatteryThresholds, batteryAlert } = require("./lib/device-health");
+const { analyzeTrack, loadAnalyticsOptions } = require("./lib/track-analytics");
+const {
+  buildIncidentReport,
+  renderReportHtml,
+  renderReportPdf,
+} = require("./lib/incident-report");
+const { WebhookDispatcher, EVENT_TYPES: WEBHOOK_EVENT_TYPES } = require("./lib/webhooks");
 
 // -------------------- ENV --------------------
 const PORT = process.env.PORT || 10000;
 const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY;
-const ACTIVE_TENANT_ID = process.env.ACTIVE_TENANT_ID || "satdesk22";
+const INTERNAL_API_KEY_ROLE = process.env.INTERNAL_API_KEY_ROLE || "viewer";
+const JWT_SECRET = process.env.JWT_SECRET || "";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
+const WS_REPLAY_BUFFER = parseInt(process.env.WS_REPLAY_BUFFER, 10) || 500;
+const WS_HEARTBEAT_MS = parseInt(process.env.WS_HEARTBEAT_MS, 10) || 25000;
+// How long received IPC event hashes are kept to skip Garmin redeliveries
+const IPC_DEDUP_RETENTION_DAYS =
+  parseInt(process.env.IPC_DEDUP_RETENTION_DAYS, 10) || 30;
+// How long a Locate request waits for a position before it is marked timed out
+const LOCATE_TIMEOUT_SECONDS =
+  parseInt(process.env.LOCATE_TIMEOUT_SECONDS, 10) || 600;
+// Outbound message retries: attempts in total, first retry delay (doubles each time)
+const OUTBOUND_MAX_ATTEMPTS =
+  parseInt(process.env.OUTBOUND_MAX_ATTEMPTS, 10) || 6;
+const OUTBOUND_RETRY_BASE_MS =
+  parseInt(process.env.OUTBOUND_RETRY_BASE_MS, 10) || 5000;
+// inReach message length; longer texts are split into numbered parts
+const MESSAGE_MAX_CHARS =
+  parseInt(process.env.MESSAGE_MAX_CHARS, 10) || DEFAULT_MAX_CHARS;
+// Unacknowledged-SOS escalation (tiers: see lib/escalation.js)
+const ESCALATION_POLL_MS =
+  parseInt(process.env.ESCALATION_POLL_MS, 10) || 30000;
+const ESCALATION_MAX_ATTEMPTS =
+  parseInt(process.env.ESCALATION_MAX_ATTEMPTS, 10) || 3;
+// SOS response-time targets for the SLA report
+const SLA_ACK_TARGET_SECONDS =
+  parseInt(process.env.SLA_ACK_TARGET_SECONDS, 10) || 300;
+const SLA_FIRST_MESSAGE_TARGET_SECONDS =
+  parseInt(process.env.SLA_FIRST_MESSAGE_TARGET_SECONDS, 10) || 600;
+// Battery percentages that raise an alert during an active SOS incident
+const BATTERY_ALERT_THRESHOLDS = loadBatteryThresholds(process.env);
+// Webhook deliveries: attempts in total, first retry delay (doubles), timeout
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const WEBHOOK_RETRY_BASE_MS =
+  parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// Stop detection for track analytics (see lib/track-analytics.js)
+const TRACK_ANALYTICS_OPTIONS = loadAnalyticsOptions(process.env);
+// Bearer token for Prometheus scrapes of /metrics (else operator auth)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+// Public URL of this backend, used for console links in notifications
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+// Tenant used for the legacy GARMIN_OUTBOUND_TOKEN and when TENANT_IDS is unset
+const DEFAULT_TENANT_ID = process.env.ACTIVE_TENANT_ID || "satdesk22";
 const GARMIN_OUTBOUND_TOKEN = process.env.GARMIN_OUTBOUND_TOKEN || "";
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, "garmin.db");
 
-// Tenant config
-const TENANTS = {
-  satdesk22: {
-    inbound: {
-      // Example: https://eur-enterprise.inreach.garmin.com/IPCInbound/V1
-      baseUrl: (process.env.SATDESK22_INBOUND_BASE_URL || "").replace(/\/+$/, ""),
-      username: process.env.SATDESK22_INBOUND_USERNAME || "",
-      password: process.env.SATDESK22_INBOUND_PASSWORD || "",
-      apiKey: process.env.SATDESK22_INBOUND_API_KEY || "",
-      // MUST be a valid, Garmin-accepted sender (email/SMS)
-      senderEmail: process.env.SATDESK22_SENDER_EMAIL || "",
-    },
-  },
-};
+// Tenant config (see lib/tenants.js for the env layout)
+const TENANTS = loadTenants(process.env, {
+  defaultTenantId: DEFAULT_TENANT_ID,
+  legacyOutboundToken: GARMIN_OUTBOUND_TOKEN,
+});
+console.log("[Tenants] Configured:", Object.keys(TENANTS).join(", "));
 
 // -------------------- APP + CORS --------------------
 const app = express();
@@ -48,313 +160,139 @@ const corsOptions = {
     console.warn("[CORS] Blocked origin:", origin);
     return cb(new Error("Not allowed by CORS"));
   },
-  methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "x-api-key", "x-internal-api-key"],
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "x-api-key",
+    "x-internal-api-key",
+  ],
+  exposedHeaders: ["X-Next-Cursor", "X-Downsampled-From"],
 };
 
 app.use(cors(corsOptions));
 app.use(bodyParser.json());
 
-// -------------------- AUTH MIDDLEWARE --------------------
-function authenticateApiKey(req, res, next) {
-  if (!INTERNAL_API_KEY) {
-    console.warn("[Auth] INTERNAL_API_KEY not set; skipping auth");
-    return next();
-  }
-
-  const sentKey =
-    req.headers["x-api-key"] ||
-    req.headers["x-internal-api-key"] ||
-    req.headers["x_api_key"];
-
-  if (sentKey !== INTERNAL_API_KEY) {
-    console.warn("[Auth] Unauthorized request", {
-      path: req.path,
-      method: req.method,
-      sentLen: sentKey ? String(sentKey).length : 0,
-      expectedLen: INTERNAL_API_KEY.length,
-    });
-    return res.status(401).json({ error: "Unauthorized" });
+// -------------------- DEVICE STORE --------------------
+const db = openDatabase(DB_PATH);
+const incidentsStore = new IncidentsStore(db);
+const devicesStore = new DevicesStore(db, { incidents: incidentsStore }).load();
+
+// -------------------- AUDIT LOG --------------------
+const auditLog = new AuditLog(db);
+app.use(auditMiddleware(auditLog));
+
+// -------------------- OPERATORS + AUTH --------------------
+const operatorsStore = new OperatorsStore(db);
+
+if (operatorsStore.count() === 0) {
+  const username = process.env.BOOTSTRAP_SUPERVISOR_USERNAME;
+  const password = process.env.BOOTSTRAP_SUPERVISOR_PASSWORD;
+  if (username && password) {
+    operatorsStore.create({ username, password, role: "supervisor" });
+    console.log("[Auth] Created bootstrap supervisor", username);
+  } else {
+    console.warn(
+      "[Auth] No operators yet; set BOOTSTRAP_SUPERVISOR_USERNAME/PASSWORD to create the first supervisor"
+    );
   }
+}
 
-  return next();
+let jwtSecret = JWT_SECRET;
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(32).toString("hex");
+  console.warn(
+    "[Auth] JWT_SECRET not set; using a random secret (logins end on restart)"
+  );
 }
 
+const { authenticate, authenticateUpgrade, requireRole, issueToken } = createAuth({
+  operators: operatorsStore,
+  jwtSecret,
+  jwtExpiresIn: JWT_EXPIRES_IN,
+  apiKey: INTERNAL_API_KEY,
+  apiKeyRole: INTERNAL_API_KEY_ROLE,
+});
+
 // -------------------- WEBSOCKETS --------------------
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const liveFeed = createLiveFeed({
+  server,
+  authenticateUpgrade,
+  bufferSize: WS_REPLAY_BUFFER,
+  heartbeatMs: WS_HEARTBEAT_MS,
+});
 
+// Device payloads go out without history arrays; clients fetch those via REST
 global._wsBroadcast = (event) => {
-  const payload = JSON.stringify(event);
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) client.send(payload);
-  });
+  const out = event.device
+    ? Object.assign({}, event, { device: deviceSummary(event.device) })
+    : event;
+  return liveFeed.broadcast(out);
 };
 
-wss.on("connection", (ws) => {
-  console.log("[WS] Client connected");
-  ws.on("close", () => console.log("[WS] Client disconnected"));
-});
-
-// -------------------- DEVICE STORE --------------------
-class DevicesStore {
-  constructor() {
-    /** @type {Record<string, any>} */
-    this.devices = {};
-  }
-
-  get(imei) {
-    return this.devices[imei];
-  }
-
-  list() {
-    return Object.values(this.devices);
-  }
-
-  update(imei, fn) {
-    if (!this.devices[imei]) {
-      this.devices[imei] = {
-        imei,
-        label: imei,
-        status: "open",
-        messages: [],
-        sosTimeline: [],
-        positions: [],
-        isActiveSos: false,
-        trackingEnabled: false,
-        trackingInterval: null,
-        lastPositionAt: null,
-        lastMessageAt: null,
-        lastEventAt: null,
-        lastSosEventAt: null,
-        lastSosAckAt: null,
-        lastSosCancelAt: null,
-        lastSosAddress: null,
-        lastAddresses: [],
-        statusRaw: {},
-      };
-    }
-    fn(this.devices[imei]);
-    return this.devices[imei];
-  }
-
-  addInboundMessageFromEvent(evt) {
-    const imei = evt.imei || evt.Imei;
-    if (!imei) return;
+// -------------------- METRICS --------------------
+const metrics = new MetricsRegistry();
+// SOS response times run from seconds to hours
+const SOS_BUCKETS = [30, 60, 120, 300, 600, 900, 1800, 3600, 7200];
 
-    const tsIso = new Date().toISOString();
-    const text = evt.freeText || evt.message || evt.Message || "";
-
-    this.update(imei, (d) => {
-      if (!Array.isArray(d.messages)) d.messages = [];
-      d.messages.push({
-        id: "in-" + Date.now(),
-        direction: "inbound",
-        text,
-        timestamp: tsIso,
-        is_sos: false,
-      });
-      d.lastMessageAt = tsIso;
-    });
+const ipcEventsTotal = metrics.counter(
+  "ecc_ipc_events_total",
+  "IPC Outbound events received, by message code and outcome"
+);
+const garminRequestsTotal = metrics.counter(
+  "ecc_garmin_api_requests_total",
+  "IPC Inbound requests, by endpoint and HTTP status (timeout/network without a response)"
+);
+const garminDuration = metrics.histogram(
+  "ecc_garmin_api_duration_seconds",
+  "IPC Inbound request latency, by endpoint"
+);
+metrics.gauge("ecc_ws_clients", "Connected WebSocket clients", () => [
+  { labels: {}, value: liveFeed.clientCount() },
+]);
+metrics.gauge("ecc_sos_incidents", "SOS incidents, by status", () =>
+  incidentsStore.countByStatus().map(({ status, count }) => ({
+    labels: { status },
+    value: count,
+  }))
+);
+metrics.histogram(
+  "ecc_sos_time_to_ack_seconds",
+  "Time from SOS to operator acknowledgement",
+  {
+    buckets: SOS_BUCKETS,
+    collect: () =>
+      incidentsStore
+        .listResponded()
+        .filter((i) => i.acknowledgedAt)
+        .map((i) => ({
+          labels: { tenant: i.tenantId || "" },
+          value: Math.max(0, (Date.parse(i.acknowledgedAt) - Date.parse(i.openedAt)) / 1000),
+        })),
   }
-
-  addOutboundMessage(imei, { text, is_sos }) {
-    const tsIso = new Date().toISOString();
-    this.update(imei, (d) => {
-      if (!Array.isArray(d.messages)) d.messages = [];
-      d.messages.push({
-        id: "out-" + Date.now(),
-        direction: "outbound",
-        text,
-        timestamp: tsIso,
-        is_sos: !!is_sos,
-      });
-      d.lastMessageAt = tsIso;
-    });
-  }
-
-  ingestEvent(evt) {
-    const imei = evt.imei || evt.Imei;
-    if (!imei) return;
-
-    const tsIso = evt.timeStamp
-      ? new Date(evt.timeStamp).toISOString()
-      : new Date().toISOString();
-    const code = evt.messageCode;
-    const msgCode = Number(code);
-    const text = evt.freeText || evt.message || "";
-    const point = evt.point || evt.Point || null;
-    const addresses = evt.addresses || evt.Addresses || [];
-    const status = evt.status || evt.Status || {};
-
-    const dev = this.update(imei, (d) => {
-      d.lastEventAt = tsIso;
-
-      // Position handling – matches front-end (position + positions[])
-      if (point && point.latitude != null && point.longitude != null) {
-        const pos = {
-          lat: point.latitude,
-          lng: point.longitude,
-          altitude: point.altitude,
-          gpsFix: point.gpsFix ?? point.gps_fix ?? null,
-          course: point.course,
-          speed: point.speed,
-          timestamp: tsIso,
-        };
-        d.position = pos;
-        if (!Array.isArray(d.positions)) d.positions = [];
-        d.positions.push(pos);
-        if (d.positions.length > 500) {
-          d.positions = d.positions.slice(-500);
-        }
-        d.lastPositionAt = tsIso;
-      }
-
-      d.statusRaw = status || {};
-      d.lastAddresses = addresses || [];
-
-      // Remember last SOS address for replies
-      const firstAddress = addresses && addresses[0];
-      const addrValue =
-        firstAddress &&
-        (firstAddress.address ||
-          firstAddress.Address ||
-          firstAddress.value ||
-          firstAddress);
-      if (addrValue && (msgCode === 4 || msgCode === 6 || msgCode === 3)) {
-        d.lastSosAddress = addrValue;
-      }
-
-      if (!Array.isArray(d.sosTimeline)) d.sosTimeline = [];
-    });
-
-    // Interpret messageCode
-    switch (msgCode) {
-      case 0: // Position Report
-        dev.sosTimeline.push({
-          type: "position-report",
-          code: msgCode,
-          at: tsIso,
-        });
-        break;
-
-      case 1: // Device Status (e.g., low battery)
-        dev.sosTimeline.push({
-          type: "status",
-          code: msgCode,
-          at: tsIso,
-          status: dev.statusRaw,
-        });
-        break;
-
-      case 2: // Free Text
-      case 3099: // Canned / QuickText
-      case 3: // Inbound text w/ SOS context (Messenger, etc.)
-        this.addInboundMessageFromEvent(evt);
-        dev.sosTimeline.push({
-          type: "inbound-message",
-          code: msgCode,
-          at: tsIso,
-          text,
-        });
-        break;
-
-      case 4: // Declare SOS
-        dev.isActiveSos = true;
-        dev.lastSosEventAt = tsIso;
-        dev.sosTimeline.push({
-          type: "sos-declare",
-          code: msgCode,
-          at: tsIso,
-          text,
-        });
-        break;
-
-      case 6: // Confirm SOS
-        dev.isActiveSos = true;
-        dev.lastSosEventAt = tsIso;
-        dev.sosTimeline.push({
-          type: "sos-confirm",
-          code: msgCode,
-          at: tsIso,
-          text,
-        });
-        break;
-
-      case 7: // Cancel SOS
-        dev.isActiveSos = false;
-        dev.lastSosCancelAt = tsIso;
-        dev.sosTimeline.push({
-          type: "sos-cancel",
-          code: msgCode,
-          at: tsIso,
-          text,
-        });
-        break;
-
-      case 8: // Reference Point
-        dev.sosTimeline.push({
-          type: "reference-point",
-          code: msgCode,
-          at: tsIso,
-          text,
-        });
-        break;
-
-      case 10: // Start Track
-        dev.trackingEnabled = true;
-        dev.sosTimeline.push({
-          type: "track-start",
-          code: msgCode,
-          at: tsIso,
-        });
-        break;
-
-      case 11: // Track Interval change
-        dev.sosTimeline.push({
-          type: "track-interval",
-          code: msgCode,
-          at: tsIso,
-        });
-        break;
-
-      case 12: // Stop Track
-        dev.trackingEnabled = false;
-        dev.sosTimeline.push({
-          type: "track-stop",
-          code: msgCode,
-          at: tsIso,
-        });
-        break;
-
-      default:
-        if (text) {
-          this.addInboundMessageFromEvent(evt);
-          dev.sosTimeline.push({
-            type: "inbound-message-unknown-code",
-            code: msgCode,
-            at: tsIso,
-            text,
-          });
-        } else {
-          dev.sosTimeline.push({
-            type: "unknown-event",
-            code: msgCode,
-            at: tsIso,
-          });
-        }
-        break;
-    }
-
-    global._wsBroadcast({ type: "deviceUpdate", device: dev });
-
-    if (msgCode === 4 || msgCode === 6 || msgCode === 7) {
-      global._wsBroadcast({ type: "sosUpdate", device: dev });
-    }
+);
+metrics.histogram(
+  "ecc_sos_time_to_first_message_seconds",
+  "Time from SOS to the first operator message",
+  {
+    buckets: SOS_BUCKETS,
+    collect: () =>
+      incidentsStore
+        .listResponded()
+        .filter((i) => i.firstResponseAt)
+        .map((i) => ({
+          labels: { tenant: i.tenantId || "" },
+          value: Math.max(0, (Date.parse(i.firstResponseAt) - Date.parse(i.openedAt)) / 1000),
+        })),
   }
-}
+);
 
-const devicesStore = new DevicesStore();
+// Every IPC Inbound call goes through this instance so it is measured
+const garminHttp = instrumentAxios(axios.create(), {
+  requests: garminRequestsTotal,
+  duration: garminDuration,
+});
 
 // -------------------- IPC INBOUND HELPERS --------------------
 function getTenantConfig(tenantId) {
@@ -365,33 +303,49 @@ function getTenantConfig(tenantId) {
   return cfgContainer.inbound;
 }
 
+// Tenant that owns the IMEI; an explicit tenantId is only used for devices
+// we have not heard from yet (or when a single tenant is configured).
+function resolveDeviceTenant(imei, requestedTenantId) {
+  const dev = devicesStore.get(imei);
+  if (dev && dev.tenantId) return dev.tenantId;
+  if (requestedTenantId && TENANTS[requestedTenantId]) return requestedTenantId;
+  const ids = Object.keys(TENANTS);
+  if (ids.length === 1) return ids[0];
+  return null;
+}
+
 function buildInboundUrl(cfg, path) {
   const base = cfg.baseUrl.replace(/\/+$/, "");
   if (path.startsWith("/")) return base + path;
   return base + "/" + path;
 }
 
-async function sendMessagingCommand(tenantId, imei, text) {
-  const cfg = getTenantConfig(tenantId);
-  const url = buildInboundUrl(cfg, "/Messaging.svc/Message");
-
+// Basic Auth + X-API-Key, as Messaging.svc / Location.svc expect
+function buildInboundHeaders(cfg) {
   const auth = Buffer.from(`${cfg.username}:${cfg.password}`).toString("base64");
-
-  const headers = {
+  return {
     Authorization: `Basic ${auth}`,
     "X-API-Key": cfg.apiKey,
     "Content-Type": "application/json",
   };
+}
+
+// sosAddress: the address captured from the device's last SOS-context event
+// (code 3/4/6). Sending from it keeps the reply in the SOS conversation on
+// the device instead of starting a new thread from our sender address.
+async function sendMessagingCommand(tenantId, imei, text, sosAddress) {
+  const cfg = getTenantConfig(tenantId);
+  const url = buildInboundUrl(cfg, "/Messaging.svc/Message");
+  const headers = buildInboundHeaders(cfg);
 
   const sender =
-    cfg.senderEmail ||
-    process.env.SATDESK22_SENDER_EMAIL ||
-    process.env.MESSAGING_SENDER_EMAIL ||
-    "";
+    sosAddress || cfg.senderEmail || process.env.MESSAGING_SENDER_EMAIL || "";
 
   if (!sender) {
     throw new Error(
-      "No senderEmail configured; set SATDESK22_SENDER_EMAIL or TENANTS.satdesk22.inbound.senderEmail"
+      `No senderEmail configured for tenant ${tenantId}; set ${envPrefix(
+        tenantId
+      )}_SENDER_EMAIL or MESSAGING_SENDER_EMAIL`
     );
   }
 
@@ -414,7 +368,7 @@ async function sendMessagingCommand(tenantId, imei, text) {
   console.log("[Messaging] Sender:", sender);
   console.log("[Messaging] Text:", text);
 
-  const res = await axios.post(url, payload, {
+  const res = await garminHttp.post(url, payload, {
     headers,
     timeout: 10000,
   });
@@ -439,7 +393,7 @@ async function acknowledgeSos(tenantId, imei) {
 
   console.log("[Emergency] ACK SOS POST", url);
 
-  const res = await axios.post(
+  const res = await garminHttp.post(
     url,
     {},
     {
@@ -455,6 +409,408 @@ async function acknowledgeSos(tenantId, imei) {
   return res.data;
 }
 
+// Location.svc Request – the device answers with a position event on IPC Outbound
+async function requestLocation(tenantId, imei) {
+  const cfg = getTenantConfig(tenantId);
+  const url = buildInboundUrl(cfg, "/Location.svc/Request");
+
+  const payload = { Imeis: [String(imei).trim()] };
+
+  console.log("[Location] POST", url, payload.Imeis);
+
+  const res = await garminHttp.post(url, payload, {
+    headers: buildInboundHeaders(cfg),
+    timeout: 10000,
+  });
+
+  console.log("[Location] Garmin response:", res.status, JSON.stringify(res.data));
+  return res.data;
+}
+
+// Tracking.svc – start/stop tracking and change the tracking interval.
+// The device confirms with code 10/11/12 events on IPC Outbound.
+async function sendTrackingCommand(tenantId, imei, command, body = {}) {
+  const cfg = getTenantConfig(tenantId);
+  const url = buildInboundUrl(cfg, `/Tracking.svc/${command}`);
+
+  const payload = Object.assign({ Imeis: [String(imei).trim()] }, body);
+
+  console.log("[Tracking] POST", url, JSON.stringify(payload));
+
+  const res = await garminHttp.post(url, payload, {
+    headers: buildInboundHeaders(cfg),
+    timeout: 10000,
+  });
+
+  console.log("[Tracking] Garmin response:", res.status, JSON.stringify(res.data));
+  return res.data;
+}
+
+// -------------------- OUTBOUND MESSAGE QUEUE --------------------
+const outboundQueue = new OutboundQueue({
+  db,
+  devicesStore,
+  send: (msg) =>
+    sendMessagingCommand(msg.tenantId, msg.imei, msg.text, msg.recipientOverride),
+  maxAttempts: OUTBOUND_MAX_ATTEMPTS,
+  baseDelayMs: OUTBOUND_RETRY_BASE_MS,
+});
+
+outboundQueue.on("update", (imei, message) => {
+  global._wsBroadcast({ type: "messageUpdate", imei, message });
+  // Time to first operator message counts once Garmin has accepted one; a
+  // message that is queued but later fails is no response
+  if (message.status === "accepted" && message.incidentId) {
+    incidentsStore.recordFirstResponse(message.incidentId, {
+      at: message.updatedAt,
+      by: message.sentBy,
+    });
+  }
+  if (message.status === "accepted" || message.status === "failed") {
+    auditLog.append({
+      actor: message.sentBy,
+      action: `message-${message.status}`,
+      imei,
+      tenantId: message.tenantId,
+      request: {
+        messageId: message.id,
+        text: message.text,
+        is_sos: message.is_sos,
+        attempts: message.attempts,
+        lastError: message.lastError,
+      },
+      garminResponse: message.garminResponse,
+    });
+  }
+});
+
+// -------------------- MESSAGE TEMPLATES --------------------
+const messageTemplates = new MessageTemplatesStore(db);
+
+// Message text from the request body: either { text } or
+// { templateKey, language } rendered for the device. Returns { text } or { error }.
+function resolveMessageText(imei, body, req) {
+  const { text, templateKey, language } = body || {};
+  if (!templateKey) {
+    if (!text || !String(text).trim()) {
+      return { error: "Missing IMEI or text for message" };
+    }
+    return { text: String(text).trim() };
+  }
+  const template = messageTemplates.find(templateKey, language || "en");
+  if (!template) return { error: `Unknown template "${templateKey}"` };
+  const rendered = renderTemplate(
+    template.body,
+    templateContext({
+      device: devicesStore.get(imei),
+      incident: devicesStore.getCurrentIncident(imei),
+      operator: req.operator?.displayName || actorOf(req),
+    })
+  );
+  if (rendered.missing.length) {
+    return {
+      error: `No value for ${rendered.missing.join(", ")}`,
+      text: rendered.text,
+    };
+  }
+  return { text: rendered.text };
+}
+
+// -------------------- IPC OUTBOUND INGESTION --------------------
+const ipcIngestor = new IpcIngestor({ db, devicesStore });
+
+ipcIngestor.on("event", (outcome, evt) => {
+  const code = Number(evt?.messageCode);
+  ipcEventsTotal.inc({
+    code: Number.isInteger(code) && code >= 0 ? String(code) : "invalid",
+    outcome,
+  });
+});
+
+// -------------------- INCIDENTS --------------------
+devicesStore.on("incident", (incident) => {
+  global._wsBroadcast({ type: "incidentUpdate", incident });
+});
+
+// Moves an incident forward on an operator's behalf and records it in the
+// timeline. Returns null if the transition isn't allowed.
+function changeIncidentStatus(incident, status, req, extra = {}) {
+  const at = new Date().toISOString();
+  const updated = devicesStore.transitionIncident(incident.id, status, {
+    at,
+    by: actorOf(req),
+    resolution: extra.resolution,
+  });
+  if (!updated) return null;
+  const device = devicesStore.addTimelineEvent(incident.imei, {
+    type: `incident-${status}`,
+    at,
+    by: actorOf(req),
+    incidentId: incident.id,
+    ...extra,
+  });
+  global._wsBroadcast({ type: "deviceUpdate", device });
+  if (status === "closed") {
+    publishWebhook("incident.closed", incident.imei, {
+      incident: updated,
+      by: actorOf(req),
+    });
+  }
+  return updated;
+}
+
+// Claims, reassigns or (assignee null) releases an incident on an operator's
+// behalf and records it in the timeline
+function changeIncidentAssignee(incident, assignee, req) {
+  const at = new Date().toISOString();
+  const updated = devicesStore.assignIncident(incident.id, {
+    assignee,
+    by: actorOf(req),
+    at,
+  });
+  const device = devicesStore.addTimelineEvent(incident.imei, {
+    type: assignee ? "incident-assigned" : "incident-released",
+    at,
+    by: actorOf(req),
+    assignee: assignee || incident.assignedTo,
+    incidentId: incident.id,
+  });
+  global._wsBroadcast({ type: "incidentUpdate", incident: updated });
+  global._wsBroadcast({ type: "deviceUpdate", device });
+  return updated;
+}
+
+// -------------------- WEBHOOKS --------------------
+// Subscribers and the delivery log: see lib/webhooks.js
+const webhooks = new WebhookDispatcher({
+  db,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelayMs: WEBHOOK_RETRY_BASE_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+});
+
+// What subscribers get to know about a device with every event
+function webhookDevice(dev) {
+  if (!dev) return null;
+  return {
+    imei: dev.imei,
+    label: dev.label,
+    ownerName: dev.ownerName,
+    organisation: dev.organisation,
+    status: dev.status,
+    incidentId: dev.incidentId,
+    isActiveSos: !!dev.isActiveSos,
+    position: dev.position || null,
+  };
+}
+
+function publishWebhook(type, imei, data, occurredAt) {
+  const dev = devicesStore.get(imei);
+  try {
+    webhooks.publish(
+      type,
+      { device: webhookDevice(dev), ...data },
+      { tenantId: dev?.tenantId || null, occurredAt }
+    );
+  } catch (err) {
+    console.error("[Webhooks] Publish failed:", type, err.message);
+  }
+}
+
+const SOS_WEBHOOK_TYPES = { 4: "sos.declare", 6: "sos.confirm", 7: "sos.cancel" };
+
+ipcIngestor.on("event", (outcome, evt) => {
+  const type = SOS_WEBHOOK_TYPES[Number(evt?.messageCode)];
+  if (outcome !== "accepted" || !type) return;
+  const imei = String(evt.imei ?? evt.Imei);
+  publishWebhook(
+    type,
+    imei,
+    {
+      text: evt.freeText || "",
+      point: evt.point || null,
+      addresses: evt.addresses || [],
+    },
+    parseTimestamp(evt.timeStamp).toISOString()
+  );
+});
+
+devicesStore.on("message", (imei, message) => {
+  publishWebhook("message.inbound", imei, { message }, message.timestamp);
+});
+
+devicesStore.on("position", (imei, position) => {
+  publishWebhook("position", imei, { position }, position.timestamp);
+});
+
+webhooks.on("update", (delivery) => {
+  if (delivery.status === "failed") {
+    auditLog.append({
+      action: "webhook-failed",
+      request: {
+        deliveryId: delivery.id,
+        subscriberId: delivery.subscriberId,
+        eventType: delivery.eventType,
+        attempts: delivery.attempts,
+        lastError: delivery.lastError,
+      },
+    });
+  }
+});
+
+// -------------------- SOS ESCALATION --------------------
+const escalationTiers = loadEscalationTiers(process.env);
+const notifiers = createNotifiers(process.env);
+const escalationEngine = new EscalationEngine({
+  db,
+  devicesStore,
+  notifiers,
+  tiers: escalationTiers,
+  pollMs: ESCALATION_POLL_MS,
+  maxAttempts: ESCALATION_MAX_ATTEMPTS,
+  consoleUrl: PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/console` : null,
+});
+
+escalationEngine.on("escalation", (device) => {
+  global._wsBroadcast({ type: "deviceUpdate", device });
+});
+
+// -------------------- GEOFENCES --------------------
+const geofencesStore = new GeofencesStore(db);
+
+// Evaluates a device's position against its fences. Enter/exit go into the
+// timeline and out as geofenceEvent; returns the device if anything changed.
+function applyGeofences(imei, pos) {
+  const dev = devicesStore.get(imei);
+  if (!dev) return null;
+  const { transitions, outsideAllowedArea } = geofencesStore.evaluate(
+    imei,
+    dev.tenantId,
+    pos,
+    pos.timestamp
+  );
+
+  transitions.forEach(({ fence, event }) => {
+    console.log("[Geofence]", imei, event, `"${fence.name}"`);
+    devicesStore.addTimelineEvent(imei, {
+      type: `geofence-${event}`,
+      at: pos.timestamp,
+      geofenceId: fence.id,
+      geofenceName: fence.name,
+      geofenceKind: fence.kind,
+      lat: pos.lat,
+      lng: pos.lng,
+    });
+    global._wsBroadcast({
+      type: "geofenceEvent",
+      imei,
+      event,
+      geofence: { id: fence.id, name: fence.name, kind: fence.kind },
+      at: pos.timestamp,
+    });
+  });
+
+  if (outsideAllowedArea === dev.outsideAllowedArea && !transitions.length) {
+    return null;
+  }
+  return devicesStore.update(imei, (d) => {
+    d.outsideAllowedArea = outsideAllowedArea;
+  });
+}
+
+// Late (out-of-order) points don't move the device, so they aren't evaluated
+devicesStore.on("position", (imei, pos) => {
+  const dev = devicesStore.get(imei);
+  if (dev && dev.lastPositionAt === pos.timestamp) applyGeofences(imei, pos);
+});
+
+// After fence edits: refresh every device's state from its last position
+function reevaluateGeofences() {
+  devicesStore.list().forEach((dev) => {
+    if (!dev.position) return;
+    const updated = applyGeofences(dev.imei, dev.position);
+    if (updated) global._wsBroadcast({ type: "deviceUpdate", device: updated });
+  });
+  global._wsBroadcast({ type: "geofencesChanged" });
+}
+
+// -------------------- DEVICE HEALTH --------------------
+// While an incident is open or acknowledged, a battery level falling to a
+// threshold (or the low-battery flag coming on) goes into the timeline and
+// out as batteryAlert.
+devicesStore.on("health", (imei, health, previous) => {
+  const incident = devicesStore.getCurrentIncident(imei);
+  if (!incident || !ACTIVE_STATUSES.includes(incident.status)) return;
+  const alert = batteryAlert(previous, health, BATTERY_ALERT_THRESHOLDS);
+  if (!alert) return;
+  console.warn("[Health] Battery alert", imei, JSON.stringify(alert));
+  devicesStore.addTimelineEvent(imei, {
+    type: "battery-alert",
+    at: health.at,
+    incidentId: incident.id,
+    ...alert,
+  });
+  global._wsBroadcast({
+    type: "batteryAlert",
+    imei,
+    incidentId: incident.id,
+    ...alert,
+    at: health.at,
+  });
+});
+
+// -------------------- LOCATE REQUESTS --------------------
+const locateRequests = new LocateRequests(db, {
+  timeoutMs: LOCATE_TIMEOUT_SECONDS * 1000,
+});
+
+devicesStore.on("position", (imei, pos) => {
+  locateRequests.fulfill(imei, pos).forEach((request) => {
+    devicesStore.addTimelineEvent(imei, {
+      type: "locate-fulfilled",
+      at: pos.timestamp,
+      requestId: request.id,
+      lat: pos.lat,
+      lng: pos.lng,
+    });
+    global._wsBroadcast({ type: "locateUpdate", imei, request });
+  });
+});
+
+function expireLocateRequests() {
+  locateRequests.expire().forEach((request) => {
+    console.warn(
+      "[Locate] Request",
+      request.id,
+      "for",
+      request.imei,
+      "timed out"
+    );
+    const device = devicesStore.addTimelineEvent(request.imei, {
+      type: "locate-timeout",
+      at: request.resolvedAt,
+      requestId: request.id,
+    });
+    global._wsBroadcast({ type: "locateUpdate", imei: request.imei, request });
+    global._wsBroadcast({ type: "deviceUpdate", device });
+  });
+}
+
+// The locate sweep also keeps the IPC dedup table to its retention window
+function pruneIpcDedup() {
+  const before = new Date(
+    Date.now() - IPC_DEDUP_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+  const pruned = ipcIngestor.pruneSeen(before);
+  if (pruned) console.log("[IpcIngest] Pruned", pruned, "dedup entries before", before);
+}
+
+const locateSweep = setInterval(() => {
+  expireLocateRequests();
+  pruneIpcDedup();
+}, Math.min(15000, LOCATE_TIMEOUT_SECONDS * 250));
+locateSweep.unref();
+
 // -------------------- ROUTES --------------------
 
 // Healthcheck
@@ -466,38 +822,178 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
-// Device list + detail (front-end)
-app.get("/api/garmin/devices", authenticateApiKey, (req, res) => {
-  res.json(devicesStore.list());
+// Dashboard (public/index.html)
+app.get("/console", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "index.html"));
+});
+
+// JWTs are stateless; the dashboard drops its token and returns to /console
+app.get("/logout", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ ok: true });
+});
+
+// -------------------- AUTH + OPERATORS --------------------
+app.post("/api/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: "Missing username or password" });
+  }
+  const operator = operatorsStore.verifyLogin(username, password);
+  if (!operator) {
+    console.warn("[Auth] Failed login for", username);
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
+  console.log("[Auth] Login", operator.username, operator.role);
+  res.json({ token: issueToken(operator), operator });
+});
+
+app.get("/api/auth/me", authenticate, (req, res) => {
+  res.json(req.operator);
+});
+
+app.post("/api/auth/password", authenticate, (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!req.operator.id) {
+    return res.status(400).json({ error: "API key has no password" });
+  }
+  if (!operatorsStore.verifyLogin(req.operator.username, currentPassword)) {
+    return res.status(401).json({ error: "Current password is wrong" });
+  }
+  try {
+    operatorsStore.update(req.operator.id, { password: newPassword });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get(
+  "/api/operators",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    res.json(operatorsStore.list());
+  }
+);
+
+app.post(
+  "/api/operators",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    try {
+      const operator = operatorsStore.create(req.body || {});
+      console.log(
+        "[Auth] Operator created",
+        operator.username,
+        operator.role,
+        "by",
+        actorOf(req)
+      );
+      res.status(201).json(operator);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+app.patch(
+  "/api/operators/:id",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    try {
+      const { role, displayName, disabled, password } = req.body || {};
+      const operator = operatorsStore.update(Number(req.params.id), {
+        role,
+        displayName,
+        disabled,
+        password,
+      });
+      if (!operator) return res.status(404).json({ error: "Not found" });
+      console.log("[Auth] Operator updated", operator.username, "by", actorOf(req));
+      res.json(operator);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// -------------------- DEVICE ROUTES --------------------
+
+// Device list + detail (front-end); ?q= searches IMEI, label, owner, organisation, tags
+app.get("/api/garmin/devices", authenticate, (req, res) => {
+  res.json(
+    devicesStore
+      .list(req.query.tenant)
+      .filter((d) => matchesSearch(d, req.query.q))
+      .map(deviceSummary)
+  );
+});
+
+// Tenant ids + names (no credentials) for the dashboard filter
+app.get("/api/garmin/tenants", authenticate, (req, res) => {
+  res.json(
+    Object.values(TENANTS).map((t) => ({
+      id: t.id,
+      name: t.name,
+      inboundConfigured: !!t.inbound.baseUrl,
+    }))
+  );
 });
 
-app.get("/api/garmin/devices/:imei", authenticateApiKey, (req, res) => {
+app.get("/api/garmin/devices/:imei", authenticate, (req, res) => {
   const imei = req.params.imei;
   const dev = devicesStore.get(imei);
   if (!dev) return res.json({});
-  res.json(dev);
+  res.json(deviceSummary(dev));
 });
 
-// Messages list (for chat panel)
+// Message / position lists stay plain arrays (oldest first); paging goes in
+// headers: X-Next-Cursor is passed back as ?cursor= for the page before.
+function pageQuery(req, res, kind, { defaultLimit, maxLimit }) {
+  const range = parseTimeRange(req.query);
+  if (range.error) {
+    res.status(400).json({ error: range.error });
+    return null;
+  }
+  let before = null;
+  if (req.query.cursor) {
+    before = decodePageCursor(req.query.cursor, kind);
+    if (!before) {
+      res.status(400).json({ error: "Invalid cursor" });
+      return null;
+    }
+  }
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  );
+  return { ...range, before, limit };
+}
+
+function sendPage(res, page) {
+  if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+  if (page.downsampledFrom) res.set("X-Downsampled-From", String(page.downsampledFrom));
+  res.json(page.items);
+}
+
+// Messages list (for chat panel): newest ?limit= in ?from&to, ?cursor= for older
 app.get(
   "/api/garmin/devices/:imei/messages",
-  authenticateApiKey,
+  authenticate,
   (req, res) => {
-    const imei = req.params.imei;
-    const limit = parseInt(req.query.limit, 10) || 50;
-    const dev = devicesStore.get(imei);
-    if (!dev || !Array.isArray(dev.messages)) {
-      return res.json([]);
-    }
-    const msgs = dev.messages.slice(-limit);
-    res.json(msgs);
+    const query = pageQuery(req, res, "message", { defaultLimit: 50, maxLimit: 1000 });
+    if (!query) return;
+    sendPage(res, devicesStore.pageMessages(req.params.imei, query));
   }
 );
 
 // SOS state (for banner)
 app.get(
   "/api/garmin/devices/:imei/sos/state",
-  authenticateApiKey,
+  authenticate,
   (req, res) => {
     const imei = req.params.imei;
     const dev = devicesStore.get(imei);
@@ -512,234 +1008,1462 @@ app.get(
   }
 );
 
-// Positions track (for map + locations tab)
+// SOS timeline, newest first: ?type=sos-declare,track-* (exact or prefix*),
+// ?from&to, ?include=messages,notes,positions to interleave those, ?limit,
+// ?cursor= (nextCursor of the previous page)
 app.get(
-  "/api/garmin/devices/:imei/positions",
-  authenticateApiKey,
+  "/api/garmin/devices/:imei/timeline",
+  authenticate,
   (req, res) => {
-    const imei = req.params.imei;
-    const dev = devicesStore.get(imei);
-    if (!dev || !Array.isArray(dev.positions)) return res.json([]);
-    res.json(dev.positions);
+    const range = parseTimeRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const include = String(req.query.include || "")
+      .split(",")
+      .map((s) => s.trim().replace(/s$/, ""))
+      .filter(Boolean);
+    const unknown = include.filter((k) => !TIMELINE_KINDS.includes(k));
+    if (unknown.length) {
+      return res
+        .status(400)
+        .json({ error: "include may list messages, notes and positions" });
+    }
+
+    let before = null;
+    if (req.query.cursor) {
+      before = decodeTimelineCursor(req.query.cursor);
+      if (!before) return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    const types = String(req.query.type || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    res.json(
+      devicesStore.queryTimeline(req.params.imei, {
+        kinds: ["event", ...include.filter((k) => k !== "event")],
+        types,
+        from: range.from,
+        to: range.to,
+        before,
+        limit,
+      })
+    );
+  }
+);
+
+// Current health plus status-report history (?from&to, ?limit, last 500)
+app.get(
+  "/api/garmin/devices/:imei/health",
+  authenticate,
+  (req, res) => {
+    const dev = devicesStore.get(req.params.imei);
+    if (!dev) return res.status(404).json({ error: "Unknown device" });
+    const range = parseTimeRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+    res.json({
+      imei: dev.imei,
+      health: dev.health || null,
+      batteryAlertThresholds: BATTERY_ALERT_THRESHOLDS,
+      history: devicesStore.listHealthHistory(dev.imei, { ...range, limit }),
+    });
+  }
+);
+
+// Positions track (for map + locations tab): newest ?limit= (500) in
+// ?from&to, ?cursor= for older
+app.get(
+  "/api/garmin/devices/:imei/positions",
+  authenticate,
+  (req, res) => {
+    const query = pageQuery(req, res, "position", { defaultLimit: 500, maxLimit: 5000 });
+    if (!query) return;
+    // ?maxPoints= returns the whole range, downsampled for large ones
+    const maxPoints = parseInt(req.query.maxPoints, 10);
+    if (req.query.maxPoints !== undefined && !(maxPoints >= 2 && maxPoints <= 10000)) {
+      return res.status(400).json({ error: "maxPoints must be between 2 and 10000" });
+    }
+    sendPage(
+      res,
+      devicesStore.pagePositions(req.params.imei, {
+        ...query,
+        maxPoints: maxPoints || undefined,
+      })
+    );
   }
 );
 
 // IPC Outbound webhook from Garmin
 app.post("/garmin/ipc-outbound", (req, res) => {
   const token = req.headers["x-outbound-auth-token"];
-  if (!GARMIN_OUTBOUND_TOKEN || token !== GARMIN_OUTBOUND_TOKEN) {
-    console.warn(
-      "[GarminOutbound] Invalid token",
-      token,
-      "expected",
-      GARMIN_OUTBOUND_TOKEN
-    );
+  const tenant = findTenantByOutboundToken(TENANTS, token);
+  if (!tenant) {
+    console.warn("[GarminOutbound] Invalid token", {
+      sentLen: token ? String(token).length : 0,
+    });
+    auditLog.append({
+      action: "ipc-outbound-batch",
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 401,
+      request: { error: "Invalid token", ip: req.ip },
+    });
     return res.status(401).json({ error: "Invalid token" });
   }
 
-  console.log("[GarminOutbound] Auth OK");
+  console.log("[GarminOutbound] Auth OK for tenant", tenant.id);
   console.log("[GarminOutbound] FULL IPC PAYLOAD:", JSON.stringify(req.body));
 
-  const events = req.body.Events || [];
-  events.forEach((evt) => devicesStore.ingestEvent(evt));
+  // Always 200 once authenticated: rejected events are in the dead-letter
+  // store, and a non-2xx would only make Garmin redeliver the whole batch.
+  const result = ipcIngestor.ingestBatch(req.body, tenant.id);
+
+  const events = Array.isArray(req.body?.Events) ? req.body.Events : [];
+  const imeis = [...new Set(events.map((e) => e?.imei ?? e?.Imei))];
+  auditLog.append({
+    actor: `garmin:${tenant.id}`,
+    action: "ipc-outbound-batch",
+    method: req.method,
+    path: req.originalUrl,
+    imei: imeis.length === 1 ? imeis[0] : null,
+    tenantId: tenant.id,
+    statusCode: 200,
+    request: {
+      events: events.map((e) => ({
+        imei: e?.imei ?? e?.Imei,
+        messageCode: e?.messageCode,
+        timeStamp: e?.timeStamp,
+      })),
+      result,
+    },
+  });
 
-  console.log(
-    "[DevicesStore] After IPC, total devices:",
-    devicesStore.list().length
-  );
+  console.log("[GarminOutbound] Batch result:", result);
 
-  res.json({ ok: true });
+  res.json({ ok: true, ...result });
 });
 
-// Send message (normal or SOS-labeled)
+// Dead-lettered IPC events (failed validation or ingestion)
+app.get(
+  "/api/garmin/dead-letters",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    res.json({
+      deadLetters: ipcIngestor.listDeadLetters({
+        status: req.query.status || undefined,
+        limit,
+      }),
+    });
+  }
+);
+
+app.get(
+  "/api/garmin/dead-letters/:id",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    const deadLetter = ipcIngestor.getDeadLetter(Number(req.params.id));
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    res.json({ deadLetter });
+  }
+);
+
+app.post(
+  "/api/garmin/dead-letters/:id/dismiss",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    const existing = ipcIngestor.getDeadLetter(Number(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    if (existing.status !== "new") {
+      return res
+        .status(409)
+        .json({ error: `Dead letter already ${existing.status}` });
+    }
+    const deadLetter = ipcIngestor.dismissDeadLetter(existing.id, actorOf(req));
+    res.json({ ok: true, deadLetter });
+  }
+);
+
+// Body may carry a corrected event: { event: {...} }
+app.post(
+  "/api/garmin/dead-letters/:id/reprocess",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    const existing = ipcIngestor.getDeadLetter(Number(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    if (existing.status !== "new") {
+      return res
+        .status(409)
+        .json({ error: `Dead letter already ${existing.status}` });
+    }
+    const result = ipcIngestor.reprocessDeadLetter(
+      existing.id,
+      actorOf(req),
+      req.body?.event
+    );
+    if (result.outcome === "rejected") {
+      return res.status(422).json({
+        error: "Event still invalid",
+        errors: result.errors || [],
+        deadLetter: result.deadLetter,
+      });
+    }
+    res.json({ ok: true, ...result });
+  }
+);
+
+// Queues a message for the device; delivered by OutboundQueue. SOS messages
+// go out from the device's last SOS address when one has been captured.
+// Texts over MESSAGE_MAX_CHARS are queued as numbered parts, in order.
+function queueDeviceMessage(req, res, { isSos, requireSosAddress }) {
+  const imei = req.params.imei;
+  const { tenantId } = req.body || {};
+
+  const resolved = resolveMessageText(imei, req.body, req);
+  if (!imei || resolved.error) {
+    return res.status(400).json({
+      error: resolved.error || "Missing IMEI or text for message",
+    });
+  }
+
+  const ownerTenantId = resolveDeviceTenant(imei, tenantId);
+  if (!ownerTenantId) {
+    return res
+      .status(400)
+      .json({ error: "Unknown tenant for IMEI; pass tenantId" });
+  }
+
+  const existing = devicesStore.get(imei);
+  if (requireSosAddress && (!existing || existing.lastSosAddress == null)) {
+    return res
+      .status(409)
+      .json({ error: "No SOS conversation address captured for device" });
+  }
+
+  const devBefore = devicesStore.update(imei, (d) => {
+    if (!d.tenantId) d.tenantId = ownerTenantId;
+  });
+  const recipientOverride =
+    isSos && devBefore.lastSosAddress != null ? devBefore.lastSosAddress : null;
+
+  res.locals.auditTenantId = ownerTenantId;
+  const parts = splitMessage(resolved.text, MESSAGE_MAX_CHARS);
+  const splitId = parts.length > 1 ? "split-" + crypto.randomUUID() : null;
+  const messages = parts.map((part) =>
+    outboundQueue.enqueue(imei, {
+      text: part,
+      is_sos: !!isSos,
+      sentBy: actorOf(req),
+      tenantId: ownerTenantId,
+      recipientOverride,
+      splitId,
+    })
+  );
+
+  const device = devicesStore.get(imei);
+  global._wsBroadcast({ type: "deviceUpdate", device });
+
+  res.status(202).json({ ok: true, message: messages[0], messages });
+}
+
+// Send message (normal, or SOS-labeled with is_sos)
 app.post(
   "/api/garmin/devices/:imei/message",
-  authenticateApiKey,
-  async (req, res) => {
-    try {
-      const imei = req.params.imei;
-      const { text, is_sos } = req.body || {};
+  authenticate,
+  requireRole("operator"),
+  (req, res) =>
+    queueDeviceMessage(req, res, { isSos: !!req.body?.is_sos })
+);
 
-      if (!imei || !text || !text.trim()) {
-        return res
-          .status(400)
-          .json({ error: "Missing IMEI or text for message" });
+// Reply in the SOS conversation: always tagged SOS and sent from the
+// lastSosAddress captured from code 3/4/6 events (409 until there is one)
+app.post(
+  "/api/garmin/devices/:imei/sos/message",
+  authenticate,
+  requireRole("operator"),
+  (req, res) =>
+    queueDeviceMessage(req, res, { isSos: true, requireSosAddress: true })
+);
+
+// Pre-send check: { text } or { templateKey, language } -> rendered text,
+// character count against the limit and the parts it would be sent as
+app.post(
+  "/api/garmin/devices/:imei/messages/check",
+  authenticate,
+  (req, res) => {
+    const resolved = resolveMessageText(req.params.imei, req.body, req);
+    if (resolved.text == null) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    res.json({
+      text: resolved.text,
+      error: resolved.error || null,
+      ...checkBudget(resolved.text, MESSAGE_MAX_CHARS),
+    });
+  }
+);
+
+// Manual resend of a failed outbound message
+app.post(
+  "/api/garmin/devices/:imei/messages/:id/resend",
+  authenticate,
+  requireRole("operator"),
+  (req, res) => {
+    const existing = devicesStore.getMessage(req.params.id);
+    if (!existing || existing.imei !== req.params.imei) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    if (existing.direction !== "outbound" || existing.status !== "failed") {
+      return res
+        .status(409)
+        .json({ error: "Only failed outbound messages can be resent" });
+    }
+    const message = outboundQueue.resend(existing.id);
+    console.log("[/resend] Message", existing.id, "requeued by", actorOf(req));
+    res.status(202).json({ ok: true, message });
+  }
+);
+
+// ACK SOS (Code 15 => GEOS soft success)
+async function ackSosHandler(req, res) {
+  try {
+    const imei = req.params.imei;
+    if (!imei) {
+      return res.status(400).json({ error: "Missing IMEI" });
+    }
+    const ownerTenantId = resolveDeviceTenant(imei, req.body?.tenantId);
+    if (!ownerTenantId) {
+      return res
+        .status(400)
+        .json({ error: "Unknown tenant for IMEI; pass tenantId" });
+    }
+
+    res.locals.auditTenantId = ownerTenantId;
+    let remoteResult = null;
+    try {
+      remoteResult = await acknowledgeSos(ownerTenantId, imei);
+    } catch (err) {
+      const data = err.response?.data;
+      const code = data?.Code;
+
+      if (code === 15) {
+        // IllegalEmergencyActionError – GEOS is the SOS provider
+        console.warn(
+          "[ack-sos] Code 15 – SOS handled by GEOS, treating as soft success",
+          data
+        );
+        remoteResult = data;
+      } else {
+        console.error("[ack-sos] Error:", data || err.message);
+        res.locals.garminResponse = data || { error: err.message };
+        return res.status(500).json({
+          error: "ACK SOS failed",
+          detail: data || err.message,
+        });
       }
+    }
+    res.locals.garminResponse = remoteResult;
+
+    // Server time: kept apart from lastSosStateAt, which orders device events
+    const ackAt = new Date().toISOString();
+    devicesStore.update(imei, (d) => {
+      if (!d.tenantId) d.tenantId = ownerTenantId;
+      d.isActiveSos = false;
+      d.lastSosAckAt = ackAt;
+      d.lastSosAckBy = actorOf(req);
+    });
+    devicesStore.setIncidentStatus(imei, "acknowledged", {
+      at: ackAt,
+      by: actorOf(req),
+    });
+    const device = devicesStore.addTimelineEvent(imei, {
+      type: "sos-ack",
+      at: ackAt,
+      by: actorOf(req),
+      note: "Locally acknowledged; SOS provider may be GEOS",
+    });
 
-      const trimmed = text.trim();
+    global._wsBroadcast({ type: "sosUpdate", device });
+    publishWebhook("sos.ack", imei, { by: actorOf(req) }, ackAt);
 
-      // Store outbound in ECC history
-      devicesStore.addOutboundMessage(imei, {
-        text: trimmed,
-        is_sos: !!is_sos,
-      });
+    res.json({
+      ok: true,
+      provider: "GEOS-or-tenant",
+      remoteResult,
+    });
+  } catch (err) {
+    console.error("[ack-sos] Unexpected error:", err);
+    res.status(500).json({ error: "ACK SOS failed", detail: err.message });
+  }
+}
 
-      const devBefore = devicesStore.get(imei);
-      const recipientOverride =
-        is_sos && devBefore && devBefore.lastSosAddress != null
-          ? devBefore.lastSosAddress
-          : null;
+// /sos/ack is what the dashboard calls; /ack-sos is kept for older clients
+app.post(
+  "/api/garmin/devices/:imei/sos/ack",
+  authenticate,
+  requireRole("operator"),
+  ackSosHandler
+);
+app.post(
+  "/api/garmin/devices/:imei/ack-sos",
+  authenticate,
+  requireRole("operator"),
+  ackSosHandler
+);
 
-      const result = await sendMessagingCommand(
-        ACTIVE_TENANT_ID,
-        imei,
-        trimmed,
-        recipientOverride
-      );
+// ----- Device commands -----
 
-      const device = devicesStore.get(imei);
-      global._wsBroadcast({ type: "deviceUpdate", device });
+// Request locate via IPC Inbound; the request stays pending until a position arrives
+app.post(
+  "/api/garmin/devices/:imei/locate",
+  authenticate,
+  requireRole("operator"),
+  async (req, res) => {
+    const imei = req.params.imei;
+    const ownerTenantId = resolveDeviceTenant(imei, req.body?.tenantId);
+    if (!ownerTenantId) {
+      return res
+        .status(400)
+        .json({ error: "Unknown tenant for IMEI; pass tenantId" });
+    }
+    devicesStore.update(imei, (d) => {
+      if (!d.tenantId) d.tenantId = ownerTenantId;
+    });
+    res.locals.auditTenantId = ownerTenantId;
 
-      res.json({ ok: true, result });
+    try {
+      const garminResponse = await requestLocation(ownerTenantId, imei);
+      res.locals.garminResponse = garminResponse;
+      const request = locateRequests.create({
+        imei,
+        tenantId: ownerTenantId,
+        requestedBy: actorOf(req),
+        status: "pending",
+        garminResponse,
+      });
+      const dev = devicesStore.addTimelineEvent(imei, {
+        type: "locate-request",
+        at: request.requestedAt,
+        by: actorOf(req),
+        requestId: request.id,
+      });
+      global._wsBroadcast({ type: "locateUpdate", imei, request });
+      global._wsBroadcast({ type: "deviceUpdate", device: dev });
+      res.json({ ok: true, request, timeoutSeconds: LOCATE_TIMEOUT_SECONDS });
     } catch (err) {
-      const status = err.response?.status || 500;
       const data = err.response?.data;
-      console.error("[/message] Messaging failed:", status, data || err.message);
-      res.status(500).json({
-        error: "Messaging failed",
+      console.error("[locate] Error:", err.response?.status, data || err.message);
+      res.locals.garminResponse = data || { error: err.message };
+      const request = locateRequests.create({
+        imei,
+        tenantId: ownerTenantId,
+        requestedBy: actorOf(req),
+        status: "failed",
+        garminResponse: data,
+        error: err.message,
+      });
+      const dev = devicesStore.addTimelineEvent(imei, {
+        type: "locate-failed",
+        at: request.requestedAt,
+        by: actorOf(req),
+        requestId: request.id,
+        error: err.message,
+      });
+      global._wsBroadcast({ type: "deviceUpdate", device: dev });
+      res.status(502).json({
+        error: "Locate request failed",
         detail: data || err.message,
+        request,
       });
     }
   }
 );
 
-// ACK SOS (Code 15 => GEOS soft success)
+app.get(
+  "/api/garmin/devices/:imei/locate-requests",
+  authenticate,
+  (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 20;
+    res.json(locateRequests.listForDevice(req.params.imei, limit));
+  }
+);
+
+// Tracking commands go to Garmin; trackingEnabled/trackingInterval only change
+// when the device confirms, until then the request is kept as trackingPending.
+async function runTrackingCommand(req, res, { action, command, body, interval }) {
+  const imei = req.params.imei;
+  const ownerTenantId = resolveDeviceTenant(imei, req.body?.tenantId);
+  if (!ownerTenantId) {
+    return res
+      .status(400)
+      .json({ error: "Unknown tenant for IMEI; pass tenantId" });
+  }
+
+  res.locals.auditTenantId = ownerTenantId;
+
+  try {
+    const result = await sendTrackingCommand(ownerTenantId, imei, command, body);
+    res.locals.garminResponse = result;
+    const tsIso = new Date().toISOString();
+    devicesStore.update(imei, (d) => {
+      if (!d.tenantId) d.tenantId = ownerTenantId;
+      d.trackingPending = {
+        action,
+        interval: interval || null,
+        requestedAt: tsIso,
+        requestedBy: actorOf(req),
+      };
+    });
+    const dev = devicesStore.addTimelineEvent(imei, {
+      type: `tracking-${action}-requested`,
+      at: tsIso,
+      by: actorOf(req),
+      interval: interval || undefined,
+    });
+    global._wsBroadcast({ type: "deviceUpdate", device: dev });
+    res.json({ ok: true, pending: dev.trackingPending, result });
+  } catch (err) {
+    const data = err.response?.data;
+    res.locals.garminResponse = data || { error: err.message };
+    console.error(
+      `[tracking/${action}] Error:`,
+      err.response?.status,
+      data || err.message
+    );
+    res.status(502).json({
+      error: "Tracking command failed",
+      detail: data || err.message,
+    });
+  }
+}
+
+// Accepts intervalSeconds in the body; Garmin rounds to what the device supports
+function parseIntervalSeconds(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 10 || n > 14400) return null;
+  return n;
+}
+
+// Tracking start (optionally with an interval)
 app.post(
-  "/api/garmin/devices/:imei/ack-sos",
-  authenticateApiKey,
-  async (req, res) => {
-    try {
-      const imei = req.params.imei;
-      if (!imei) {
-        return res.status(400).json({ error: "Missing IMEI" });
-      }
+  "/api/garmin/devices/:imei/tracking/start",
+  authenticate,
+  requireRole("operator"),
+  (req, res) => {
+    const raw = req.body?.intervalSeconds;
+    const interval = raw == null ? null : parseIntervalSeconds(raw);
+    if (raw != null && !interval) {
+      return res
+        .status(400)
+        .json({ error: "intervalSeconds must be an integer from 10 to 14400" });
+    }
+    return runTrackingCommand(req, res, {
+      action: "start",
+      command: "Start",
+      body: interval ? { IntervalSeconds: interval } : {},
+      interval,
+    });
+  }
+);
 
-      let remoteResult = null;
-      try {
-        remoteResult = await acknowledgeSos(ACTIVE_TENANT_ID, imei);
-      } catch (err) {
-        const data = err.response?.data;
-        const code = data?.Code;
-
-        if (code === 15) {
-          // IllegalEmergencyActionError – GEOS is the SOS provider
-          console.warn(
-            "[ack-sos] Code 15 – SOS handled by GEOS, treating as soft success",
-            data
-          );
-          remoteResult = data;
-        } else {
-          console.error("[ack-sos] Error:", data || err.message);
-          return res.status(500).json({
-            error: "ACK SOS failed",
-            detail: data || err.message,
-          });
-        }
+// Tracking stop
+app.post(
+  "/api/garmin/devices/:imei/tracking/stop",
+  authenticate,
+  requireRole("operator"),
+  (req, res) =>
+    runTrackingCommand(req, res, { action: "stop", command: "Stop" })
+);
+
+// Tracking interval
+app.post(
+  "/api/garmin/devices/:imei/tracking/interval",
+  authenticate,
+  requireRole("operator"),
+  (req, res) => {
+    const interval = parseIntervalSeconds(req.body?.intervalSeconds);
+    if (!interval) {
+      return res
+        .status(400)
+        .json({ error: "intervalSeconds must be an integer from 10 to 14400" });
+    }
+    return runTrackingCommand(req, res, {
+      action: "interval",
+      command: "Interval",
+      body: { IntervalSeconds: interval },
+      interval,
+    });
+  }
+);
+
+// Close the device's current incident
+app.post(
+  "/api/garmin/devices/:imei/close",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    const incident = devicesStore.getCurrentIncident(req.params.imei);
+    if (!incident || incident.status === "closed") {
+      return res.status(409).json({ error: "No open incident for device" });
+    }
+    const updated = changeIncidentStatus(incident, "closed", req);
+    res.json({ ok: true, incident: updated });
+  }
+);
+
+// -------------------- INCIDENT ROUTES --------------------
+
+// Past and current incidents of a device, newest first
+app.get(
+  "/api/garmin/devices/:imei/incidents",
+  authenticate,
+  (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    res.json(incidentsStore.listForDevice(req.params.imei, limit));
+  }
+);
+
+app.get("/api/garmin/incidents", authenticate, (req, res) => {
+  const status = req.query.status || undefined;
+  if (status && !INCIDENT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Unknown status" });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  res.json(
+    incidentsStore.list({ tenantId: req.query.tenant, status, limit })
+  );
+});
+
+// Incident with its own timeline, messages, positions and operator notes
+app.get("/api/garmin/incidents/:id", authenticate, (req, res) => {
+  const incident = incidentsStore.get(Number(req.params.id));
+  if (!incident) return res.status(404).json({ error: "Incident not found" });
+  res.json({
+    incident,
+    ...devicesStore.getIncidentHistory(incident.id),
+    notes: incidentsStore.listNotes(incident.id),
+  });
+});
+
+// The calling operator takes the incident; 409 if someone else has it
+app.post(
+  "/api/garmin/incidents/:id/claim",
+  authenticate,
+  requireRole("operator"),
+  (req, res) => {
+    const incident = incidentsStore.get(Number(req.params.id));
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+    if (incident.status === "closed") {
+      return res.status(409).json({ error: "Incident is already closed" });
+    }
+    const me = actorOf(req);
+    if (incident.assignedTo === me) return res.json({ ok: true, incident });
+    if (incident.assignedTo) {
+      return res
+        .status(409)
+        .json({ error: `Incident is already assigned to ${incident.assignedTo}` });
+    }
+    res.json({ ok: true, incident: changeIncidentAssignee(incident, me, req) });
+  }
+);
+
+// Body: { assignee: "<username>" }, or null to unassign
+app.post(
+  "/api/garmin/incidents/:id/assign",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    const incident = incidentsStore.get(Number(req.params.id));
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+    if (incident.status === "closed") {
+      return res.status(409).json({ error: "Incident is already closed" });
+    }
+    const username = req.body?.assignee;
+    let assignee = null;
+    if (username !== null && username !== undefined && username !== "") {
+      const operator = operatorsStore.findByUsername(username);
+      if (!operator || operator.disabled) {
+        return res.status(400).json({ error: `Unknown operator "${username}"` });
       }
+      if (roleRank(operator.role) < roleRank("operator")) {
+        return res
+          .status(400)
+          .json({ error: `${operator.username} cannot handle incidents` });
+      }
+      assignee = operator.username;
+    }
+    if (incident.assignedTo === assignee) return res.json({ ok: true, incident });
+    res.json({
+      ok: true,
+      incident: changeIncidentAssignee(incident, assignee, req),
+    });
+  }
+);
 
-      const device = devicesStore.update(imei, (d) => {
-        d.isActiveSos = false;
-        d.lastSosAckAt = new Date().toISOString();
-        if (!Array.isArray(d.sosTimeline)) d.sosTimeline = [];
-        d.sosTimeline.push({
-          type: "sos-ack",
-          at: d.lastSosAckAt,
-          note: "Locally acknowledged; SOS provider may be GEOS",
-        });
-      });
+// The assignee hands the incident back; supervisors may release anyone's
+app.post(
+  "/api/garmin/incidents/:id/release",
+  authenticate,
+  requireRole("operator"),
+  (req, res) => {
+    const incident = incidentsStore.get(Number(req.params.id));
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+    if (!incident.assignedTo) return res.json({ ok: true, incident });
+    if (
+      incident.assignedTo !== actorOf(req) &&
+      roleRank(req.operator.role) < roleRank("supervisor")
+    ) {
+      return res
+        .status(403)
+        .json({ error: `Incident is assigned to ${incident.assignedTo}` });
+    }
+    res.json({
+      ok: true,
+      incident: changeIncidentAssignee(incident, null, req),
+    });
+  }
+);
 
-      global._wsBroadcast({ type: "sosUpdate", device });
+// Internal notes thread, oldest first; never sent to the device
+app.get("/api/garmin/incidents/:id/notes", authenticate, (req, res) => {
+  const incident = incidentsStore.get(Number(req.params.id));
+  if (!incident) return res.status(404).json({ error: "Incident not found" });
+  res.json(incidentsStore.listNotes(incident.id));
+});
 
-      res.json({
-        ok: true,
-        provider: "GEOS-or-tenant",
-        remoteResult,
+app.post(
+  "/api/garmin/incidents/:id/notes",
+  authenticate,
+  requireRole("operator"),
+  (req, res) => {
+    const incident = incidentsStore.get(Number(req.params.id));
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+    let note;
+    try {
+      note = incidentsStore.addNote(incident.id, {
+        imei: incident.imei,
+        author: actorOf(req),
+        text: req.body?.text,
       });
     } catch (err) {
-      console.error("[ack-sos] Unexpected error:", err);
-      res.status(500).json({ error: "ACK SOS failed", detail: err.message });
+      return res.status(400).json({ error: err.message });
     }
+    global._wsBroadcast({
+      type: "incidentNote",
+      incidentId: incident.id,
+      imei: incident.imei,
+      note,
+    });
+    res.status(201).json(note);
   }
 );
 
-// ----- Stub command endpoints used by the front-end -----
+app.post(
+  "/api/garmin/incidents/:id/resolve",
+  authenticate,
+  requireRole("operator"),
+  (req, res) => {
+    const incident = incidentsStore.get(Number(req.params.id));
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+    const resolution = String(req.body?.resolution || "").trim() || null;
+    const updated = changeIncidentStatus(incident, "resolved", req, {
+      resolution,
+    });
+    if (!updated) {
+      return res
+        .status(409)
+        .json({ error: `Incident is already ${incident.status}` });
+    }
+    res.json({ ok: true, incident: updated });
+  }
+);
 
-// Request locate (stub – no real Garmin command yet)
 app.post(
-  "/api/garmin/devices/:imei/locate",
-  authenticateApiKey,
+  "/api/garmin/incidents/:id/close",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    const incident = incidentsStore.get(Number(req.params.id));
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+    const updated = changeIncidentStatus(incident, "closed", req);
+    if (!updated) {
+      return res.status(409).json({ error: "Incident is already closed" });
+    }
+    res.json({ ok: true, incident: updated });
+  }
+);
+
+// -------------------- DEVICE REGISTRY ROUTES --------------------
+
+// Display name, owner, organisation, medical info, contacts, tags
+app.patch(
+  "/api/garmin/devices/:imei/profile",
+  authenticate,
+  requireRole("operator"),
   (req, res) => {
     const imei = req.params.imei;
-    const tsIso = new Date().toISOString();
-    const dev = devicesStore.update(imei, (d) => {
-      if (!Array.isArray(d.sosTimeline)) d.sosTimeline = [];
-      d.sosTimeline.push({
-        type: "locate-request",
-        at: tsIso,
-      });
+    if (!devicesStore.get(imei)) {
+      return res.status(404).json({ error: "Unknown device" });
+    }
+    let profile;
+    try {
+      profile = normalizeProfile(req.body || {});
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const device = devicesStore.updateProfile(imei, profile, {
+      actor: actorOf(req),
     });
-    global._wsBroadcast({ type: "deviceUpdate", device: dev });
-    res.json({ ok: true, note: "Locate stub; no Garmin command sent." });
+    global._wsBroadcast({ type: "deviceUpdate", device });
+    res.json(deviceSummary(device));
   }
 );
 
-// Tracking start
+app.get(
+  "/api/garmin/registry/export",
+  authenticate,
+  requireRole("operator"),
+  (req, res) => {
+    const rows = devicesStore.list(req.query.tenant).map(deviceToCsvRow);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="device-registry-${new Date()
+        .toISOString()
+        .slice(0, 10)}.csv"`
+    );
+    res.send(toCsv([REGISTRY_CSV_COLUMNS, ...rows], { guardFormulas: true }));
+  }
+);
+
+// CSV body (text/csv), header row required; columns as in the export.
+// Nothing is applied if any row is invalid. ?dryRun=1 only validates.
 app.post(
-  "/api/garmin/devices/:imei/tracking/start",
-  authenticateApiKey,
+  "/api/garmin/registry/import",
+  authenticate,
+  requireRole("supervisor"),
+  bodyParser.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  (req, res) => {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ error: "Send the CSV as a text/csv body" });
+    }
+    const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+
+    let rows;
+    try {
+      rows = parseCsv(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const { entries, errors } = csvRowsToProfiles(rows);
+    entries.forEach((e) => {
+      if (e.tenantId && !TENANTS[e.tenantId]) {
+        errors.push({ line: e.line, error: `Unknown tenant "${e.tenantId}"` });
+      }
+    });
+    res.locals.auditRequest = { rows: entries.length, dryRun, errors: errors.length };
+    if (errors.length) {
+      errors.sort((a, b) => a.line - b.line);
+      return res.status(422).json({ ok: false, errors });
+    }
+
+    const created = entries.filter((e) => !devicesStore.get(e.imei)).length;
+    if (!dryRun) {
+      db.transaction(() => {
+        entries.forEach((e) => {
+          devicesStore.updateProfile(e.imei, e.profile, {
+            tenantId: e.tenantId,
+            actor: actorOf(req),
+          });
+        });
+      })();
+      console.log(
+        "[Registry] Imported",
+        entries.length,
+        "devices by",
+        actorOf(req)
+      );
+      global._wsBroadcast({ type: "registryImported", count: entries.length });
+    }
+    res.json({
+      ok: true,
+      dryRun,
+      created,
+      updated: entries.length - created,
+    });
+  }
+);
+
+// -------------------- TRACK EXPORT ROUTES --------------------
+
+// ?from&to (anything Date.parse accepts) -> ISO strings, or { error }
+function parseTimeRange(query) {
+  const range = {};
+  for (const key of ["from", "to"]) {
+    if (!query[key]) continue;
+    const ms = Date.parse(query[key]);
+    if (Number.isNaN(ms)) return { error: `Invalid ${key}` };
+    range[key] = new Date(ms).toISOString();
+  }
+  return range;
+}
+
+function sendTrack(req, res, { name, filename, positions, timeline }) {
+  const format = req.params.format;
+  const track = {
+    name,
+    positions,
+    waypoints: buildWaypoints(timeline, positions),
+  };
+  const { contentType, extension } = TRACK_FORMATS[format];
+  res.setHeader("Content-Type", `${contentType}; charset=utf-8`);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${extension}"`
+  );
+  res.send(renderTrack(format, track));
+}
+
+// Device track: GET /api/garmin/devices/:imei/track/gpx|kml|geojson?from&to
+app.get(
+  "/api/garmin/devices/:imei/track/:format",
+  authenticate,
   (req, res) => {
+    if (!TRACK_FORMATS[req.params.format]) {
+      return res.status(400).json({ error: "Format must be gpx, kml or geojson" });
+    }
+    const range = parseTimeRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
     const imei = req.params.imei;
-    const tsIso = new Date().toISOString();
-    const dev = devicesStore.update(imei, (d) => {
-      d.trackingEnabled = true;
-      if (!Array.isArray(d.sosTimeline)) d.sosTimeline = [];
-      d.sosTimeline.push({
-        type: "tracking-start-manual",
-        at: tsIso,
-      });
+    const dev = devicesStore.get(imei);
+    if (!dev) return res.status(404).json({ error: "Unknown device" });
+
+    const { positions, timeline } = devicesStore.listHistoryBetween(imei, range);
+    sendTrack(req, res, {
+      name: dev.label || imei,
+      filename: `track-${imei}`,
+      positions,
+      timeline,
     });
-    global._wsBroadcast({ type: "deviceUpdate", device: dev });
+  }
+);
+
+// Incident track: positions recorded while the incident was current
+app.get(
+  "/api/garmin/incidents/:id/track/:format",
+  authenticate,
+  (req, res) => {
+    if (!TRACK_FORMATS[req.params.format]) {
+      return res.status(400).json({ error: "Format must be gpx, kml or geojson" });
+    }
+    const range = parseTimeRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const incident = incidentsStore.get(Number(req.params.id));
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+
+    const inRange = (ts) =>
+      (!range.from || ts >= range.from) && (!range.to || ts <= range.to);
+    const history = devicesStore.getIncidentHistory(incident.id);
+    const dev = devicesStore.get(incident.imei);
+    sendTrack(req, res, {
+      name: `${dev?.label || incident.imei} – incident #${incident.id}`,
+      filename: `incident-${incident.id}`,
+      positions: history.positions.filter((p) => inRange(p.timestamp)),
+      timeline: history.timeline.filter((e) => inRange(e.at)),
+    });
+  }
+);
+
+// -------------------- TRACK ANALYTICS ROUTES --------------------
+// Distance, speeds, heading, stops and time stationary over ?from&to
+app.get(
+  "/api/garmin/devices/:imei/analytics",
+  authenticate,
+  (req, res) => {
+    const range = parseTimeRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const imei = req.params.imei;
+    if (!devicesStore.get(imei)) {
+      return res.status(404).json({ error: "Unknown device" });
+    }
+    const { positions } = devicesStore.listHistoryBetween(imei, range);
+    res.json({ imei, ...analyzeTrack(positions, TRACK_ANALYTICS_OPTIONS) });
+  }
+);
+
+app.get(
+  "/api/garmin/incidents/:id/analytics",
+  authenticate,
+  (req, res) => {
+    const range = parseTimeRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const incident = incidentsStore.get(Number(req.params.id));
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+
+    const inRange = (ts) =>
+      (!range.from || ts >= range.from) && (!range.to || ts <= range.to);
+    const { positions } = devicesStore.getIncidentHistory(incident.id);
+    res.json({
+      imei: incident.imei,
+      incidentId: incident.id,
+      ...analyzeTrack(
+        positions.filter((p) => inRange(p.timestamp)),
+        TRACK_ANALYTICS_OPTIONS
+      ),
+    });
+  }
+);
+
+// -------------------- INCIDENT REPORT ROUTES --------------------
+// Post-incident report: ?format=html (default; self-contained, printable)
+// or ?format=pdf
+app.get(
+  "/api/garmin/incidents/:id/report",
+  authenticate,
+  requireRole("operator"),
+  (req, res) => {
+    const format = req.query.format || "html";
+    if (!["html", "pdf"].includes(format)) {
+      return res.status(400).json({ error: "format must be html or pdf" });
+    }
+    const incident = incidentsStore.get(Number(req.params.id));
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+
+    const history = devicesStore.getIncidentHistory(incident.id);
+    const report = buildIncidentReport({
+      incident,
+      device: devicesStore.get(incident.imei),
+      history,
+      notes: incidentsStore.listNotes(incident.id),
+      analytics: analyzeTrack(history.positions, TRACK_ANALYTICS_OPTIONS),
+      targets: {
+        ackSeconds: SLA_ACK_TARGET_SECONDS,
+        firstMessageSeconds: SLA_FIRST_MESSAGE_TARGET_SECONDS,
+      },
+      displayName: (username) =>
+        operatorsStore.findByUsername(username)?.displayName || username,
+      generatedBy: actorOf(req),
+    });
+
+    const filename = `incident-${incident.id}-report`;
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+      return res.send(renderReportPdf(report));
+    }
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}.html"`);
+    res.send(renderReportHtml(report));
+  }
+);
+
+// -------------------- GEOFENCE ROUTES --------------------
+
+app.get("/api/geofences", authenticate, (req, res) => {
+  res.json(
+    geofencesStore.list({ tenantId: req.query.tenant, imei: req.query.imei })
+  );
+});
+
+app.get("/api/geofences/:id", authenticate, (req, res) => {
+  const fence = geofencesStore.get(Number(req.params.id));
+  if (!fence) return res.status(404).json({ error: "Geofence not found" });
+  res.json(fence);
+});
+
+// Body: { name, kind: allowed|restricted, shape: circle|polygon, geometry, imei?, tenantId? }
+app.post(
+  "/api/geofences",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    try {
+      const fence = geofencesStore.create(req.body || {}, actorOf(req));
+      console.log("[Geofence] Created", fence.id, fence.name, "by", actorOf(req));
+      reevaluateGeofences();
+      res.status(201).json(fence);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+app.patch(
+  "/api/geofences/:id",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    try {
+      const fence = geofencesStore.update(Number(req.params.id), req.body || {});
+      if (!fence) return res.status(404).json({ error: "Geofence not found" });
+      reevaluateGeofences();
+      res.json(fence);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/geofences/:id",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    if (!geofencesStore.delete(Number(req.params.id))) {
+      return res.status(404).json({ error: "Geofence not found" });
+    }
+    console.log("[Geofence] Deleted", req.params.id, "by", actorOf(req));
+    reevaluateGeofences();
     res.json({ ok: true });
   }
 );
 
-// Tracking stop
+// -------------------- MESSAGE TEMPLATE ROUTES --------------------
+
+// Built-in and custom templates; ?language= narrows to one language
+app.get("/api/message-templates", authenticate, (req, res) => {
+  res.json({
+    languages: TEMPLATE_LANGUAGES,
+    placeholders: TEMPLATE_PLACEHOLDERS,
+    maxChars: MESSAGE_MAX_CHARS,
+    templates: messageTemplates.list({ language: req.query.language }),
+  });
+});
+
+// Body: { key, language, name, body }; same key + language replaces a built-in
 app.post(
-  "/api/garmin/devices/:imei/tracking/stop",
-  authenticateApiKey,
+  "/api/message-templates",
+  authenticate,
+  requireRole("supervisor"),
   (req, res) => {
-    const imei = req.params.imei;
-    const tsIso = new Date().toISOString();
-    const dev = devicesStore.update(imei, (d) => {
-      d.trackingEnabled = false;
-      if (!Array.isArray(d.sosTimeline)) d.sosTimeline = [];
-      d.sosTimeline.push({
-        type: "tracking-stop-manual",
-        at: tsIso,
+    try {
+      const template = messageTemplates.create(req.body || {}, actorOf(req));
+      res.status(201).json(template);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+app.patch(
+  "/api/message-templates/:id",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    try {
+      const template = messageTemplates.update(Number(req.params.id), req.body || {});
+      if (!template) return res.status(404).json({ error: "Template not found" });
+      res.json(template);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/message-templates/:id",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    if (!messageTemplates.delete(Number(req.params.id))) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    res.json({ ok: true });
+  }
+);
+
+// -------------------- ESCALATION ROUTES --------------------
+
+// Configured tiers (channel targets only; headers may hold secrets)
+app.get(
+  "/api/escalation/tiers",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    res.json(
+      escalationTiers.map((tier) => ({
+        name: tier.name || null,
+        afterMinutes: tier.afterMinutes,
+        tenants: tier.tenants || null,
+        notify: tier.notify.map((channel) => ({
+          type: channel.type,
+          target: describeTarget(channel),
+        })),
+      }))
+    );
+  }
+);
+
+app.get(
+  "/api/garmin/incidents/:id/escalations",
+  authenticate,
+  (req, res) => {
+    res.json(escalationEngine.listSteps(Number(req.params.id)));
+  }
+);
+
+// Sends a sample alert through one configured channel: { tier: 1, channel: 1 }
+// (1-based), to check SMTP / webhook settings against a local stand-in.
+app.post(
+  "/api/escalation/test",
+  authenticate,
+  requireRole("supervisor"),
+  async (req, res) => {
+    const tier = escalationTiers[(parseInt(req.body?.tier, 10) || 1) - 1];
+    const channel = tier?.notify[(parseInt(req.body?.channel, 10) || 1) - 1];
+    if (!channel) {
+      return res.status(404).json({ error: "No such tier/channel" });
+    }
+    const now = new Date().toISOString();
+    const alert = {
+      test: true,
+      device: { imei: "000000000000000", label: "Test device" },
+      incident: { id: 0, openedAt: now, status: "open" },
+      tier: { index: tier.index, name: tier.name || null, afterMinutes: tier.afterMinutes },
+      elapsedMinutes: tier.afterMinutes,
+      consoleUrl: PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/console` : null,
+    };
+    try {
+      const result = await notifiers.send(channel, alert);
+      res.json({ ok: true, result });
+    } catch (err) {
+      res.status(502).json({
+        error: "Notification failed",
+        detail: err.response?.data || err.message,
       });
+    }
+  }
+);
+
+// -------------------- WEBHOOK ROUTES --------------------
+app.get(
+  "/api/webhooks",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    res.json({
+      eventTypes: WEBHOOK_EVENT_TYPES,
+      subscribers: webhooks.listSubscribers(),
     });
-    global._wsBroadcast({ type: "deviceUpdate", device: dev });
+  }
+);
+
+// Body: { name, url, eventTypes, tenantId?, secret? }; the response carries
+// the signing secret, which isn't shown again
+app.post(
+  "/api/webhooks",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    try {
+      res.status(201).json(webhooks.createSubscriber(req.body || {}, actorOf(req)));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// Body: any of { name, url, eventTypes, tenantId, active, secret, rotateSecret }
+app.patch(
+  "/api/webhooks/:id",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    try {
+      const subscriber = webhooks.updateSubscriber(Number(req.params.id), req.body || {});
+      if (!subscriber) return res.status(404).json({ error: "Subscriber not found" });
+      res.json(subscriber);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/webhooks/:id",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    if (!webhooks.deleteSubscriber(Number(req.params.id))) {
+      return res.status(404).json({ error: "Subscriber not found" });
+    }
     res.json({ ok: true });
   }
 );
 
-// Close incident
+// Delivery log, newest first: ?status=queued|sending|delivered|failed, ?type=, ?limit=
+app.get(
+  "/api/webhooks/:id/deliveries",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    const subscriberId = Number(req.params.id);
+    if (!webhooks.getSubscriber(subscriberId)) {
+      return res.status(404).json({ error: "Subscriber not found" });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    res.json(
+      webhooks.listDeliveries({
+        subscriberId,
+        status: req.query.status,
+        eventType: req.query.type,
+        limit,
+      })
+    );
+  }
+);
+
 app.post(
-  "/api/garmin/devices/:imei/close",
-  authenticateApiKey,
+  "/api/webhooks/deliveries/:id/replay",
+  authenticate,
+  requireRole("supervisor"),
   (req, res) => {
-    const imei = req.params.imei;
-    const tsIso = new Date().toISOString();
-    const dev = devicesStore.update(imei, (d) => {
-      d.status = "closed";
-      d.closedAt = tsIso;
+    const delivery = webhooks.replay(Number(req.params.id));
+    if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+    res.status(201).json(delivery);
+  }
+);
+
+// -------------------- METRICS ROUTES --------------------
+
+function authenticateMetrics(req, res, next) {
+  if (!METRICS_TOKEN) return authenticate(req, res, next);
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!token || !safeEqual(token, METRICS_TOKEN)) {
+    return res.status(401).json({ error: "Invalid metrics token" });
+  }
+  next();
+}
+
+app.get("/metrics", authenticateMetrics, (req, res) => {
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(metrics.render());
+});
+
+// SOS response-time SLA for incidents opened in ?from&to (default: last 30
+// days); ?period=day|week|month adds a breakdown, ?tenant= narrows it down.
+app.get(
+  "/api/metrics/sla",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    const range = parseTimeRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const period = req.query.period || undefined;
+    if (period && !SLA_PERIODS.includes(period)) {
+      return res
+        .status(400)
+        .json({ error: `period must be one of ${SLA_PERIODS.join(", ")}` });
+    }
+    const to = range.to || new Date().toISOString();
+    const from =
+      range.from ||
+      new Date(Date.parse(to) - 30 * 24 * 60 * 60 * 1000).toISOString();
+    const incidents = incidentsStore.listOpenedBetween({
+      from,
+      to,
+      tenantId: req.query.tenant,
+    });
+    res.json({
+      from,
+      to,
+      tenant: req.query.tenant || null,
+      ...buildSlaReport(incidents, {
+        targets: {
+          ackSeconds: SLA_ACK_TARGET_SECONDS,
+          firstMessageSeconds: SLA_FIRST_MESSAGE_TARGET_SECONDS,
+        },
+        period,
+      }),
     });
-    global._wsBroadcast({ type: "deviceUpdate", device: dev });
-    res.json({ ok: true });
+  }
+);
+
+// -------------------- AUDIT ROUTES --------------------
+
+// Audit entries, oldest first: ?from&to (ISO), imei, actor, action, afterId,
+// limit; format=csv downloads the same selection.
+app.get("/api/audit", authenticate, requireRole("supervisor"), (req, res) => {
+  const maxLimit = req.query.format === "csv" ? 50000 : 1000;
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 500, 1),
+    maxLimit
+  );
+  for (const key of ["from", "to"]) {
+    if (req.query[key] && Number.isNaN(Date.parse(req.query[key]))) {
+      return res.status(400).json({ error: `Invalid ${key}` });
+    }
+  }
+  const entries = auditLog.query({
+    from: req.query.from && new Date(req.query.from).toISOString(),
+    to: req.query.to && new Date(req.query.to).toISOString(),
+    imei: req.query.imei,
+    actor: req.query.actor,
+    action: req.query.action,
+    afterId: parseInt(req.query.afterId, 10) || undefined,
+    limit,
+  });
+
+  if (req.query.format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`
+    );
+    return res.send(entriesToCsv(entries));
+  }
+
+  res.json({
+    entries,
+    nextAfterId: entries.length === limit ? entries[entries.length - 1].id : null,
+  });
+});
+
+// Recomputes the hash chain
+app.get(
+  "/api/audit/verify",
+  authenticate,
+  requireRole("supervisor"),
+  (req, res) => {
+    res.json(auditLog.verify());
   }
 );
 
 // -------------------- START SERVER --------------------
 server.listen(PORT, () => {
   console.log("MAGNUS Garmin ECC backend running on port", PORT);
+  outboundQueue.start();
+  escalationEngine.start();
+  webhooks.start();
 });
+
+function shutdown(signal) {
+  console.log(`[Server] ${signal} received, shutting down`);
+  liveFeed.close();
+  outboundQueue.stop();
+  escalationEngine.stop();
+  webhooks.stop();
+  server.close(() => {
+    db.close();
+    process.exit(0);
+  });
+  setTimeout(() => process.exit(1), 5000).unref();
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
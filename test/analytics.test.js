@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+const { scenarioEvents } = require("../lib/ipc-simulator");
+const { analyzeTrack } = require("../lib/track-analytics");
+
+const T0 = Date.parse("2026-03-01T08:00:00.000Z");
+// ~0.0009° of latitude is 100 m
+const STEP_LAT = 0.0009;
+
+// Walks north at 100 m/min for 10 minutes, then sits still for 20
+function walkThenStop() {
+  const points = [];
+  for (let i = 0; i <= 10; i++) {
+    points.push({
+      lat: 46 + i * STEP_LAT,
+      lng: 7,
+      timestamp: new Date(T0 + i * 60000).toISOString(),
+    });
+  }
+  for (let i = 1; i <= 10; i++) {
+    points.push({
+      lat: 46 + 10 * STEP_LAT + (i % 2) * 0.00003,
+      lng: 7,
+      timestamp: new Date(T0 + (10 + i * 2) * 60000).toISOString(),
+    });
+  }
+  return points;
+}
+
+describe("Track analytics", () => {
+  it("measures distance, speed and heading", () => {
+    const a = analyzeTrack(walkThenStop().slice(0, 11));
+    assert.ok(Math.abs(a.distanceMeters - 1000) < 10, String(a.distanceMeters));
+    assert.ok(Math.abs(a.averageSpeedKmh - 6) < 0.1, String(a.averageSpeedKmh));
+    assert.ok(Math.abs(a.currentSpeedKmh - 6) < 0.1);
+    assert.equal(a.headingDegrees, 0);
+    assert.equal(a.stationary, false);
+    assert.deepEqual(a.stops, []);
+  });
+
+  it("flags a sudden stop after movement", () => {
+    const a = analyzeTrack(walkThenStop());
+    assert.ok(Math.abs(a.distanceMeters - 1000) < 10, "jitter in the stop isn't distance");
+    assert.equal(a.stationary, true);
+    assert.equal(a.stationarySeconds, 20 * 60);
+    assert.equal(a.currentSpeedKmh, 0);
+    assert.equal(a.lastMovementAt, new Date(T0 + 10 * 60000).toISOString());
+    assert.equal(a.stops.length, 1);
+    assert.equal(a.stops[0].ongoing, true);
+    assert.equal(a.stops[0].sudden, true);
+    assert.equal(a.movingSeconds, 10 * 60);
+  });
+
+  it("handles tracks too short to analyse", () => {
+    assert.equal(analyzeTrack([]).points, 0);
+    const single = analyzeTrack([{ lat: 1, lng: 1, timestamp: new Date(T0).toISOString() }]);
+    assert.equal(single.distanceMeters, 0);
+  });
+
+  describe("API", () => {
+    let srv;
+    const imei = "300434030000080";
+    before(async () => {
+      srv = await startTestServer();
+      await srv.postEvents(scenarioEvents("sos", { imei, points: 6 }));
+    });
+    after(() => srv.stop());
+
+    it("analyses a device and an incident track", async () => {
+      const device = await srv.http.get(`/api/garmin/devices/${imei}/analytics`);
+      assert.equal(device.status, 200);
+      assert.ok(device.data.distanceMeters > 0);
+      const positions = await srv.http.get(`/api/garmin/devices/${imei}/positions`);
+      assert.equal(device.data.points, positions.data.length);
+
+      const { incidentId } = (await srv.http.get(`/api/garmin/devices/${imei}`)).data;
+      const incident = await srv.http.get(`/api/garmin/incidents/${incidentId}/analytics`);
+      assert.equal(incident.status, 200);
+      assert.equal(incident.data.incidentId, incidentId);
+      assert.ok(incident.data.points >= 1);
+
+      assert.equal((await srv.http.get(`/api/garmin/devices/nope/analytics`)).status, 404);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+const { startTestServer, waitFor } = require("./helpers");
+const { scenarioEvents } = require("../lib/ipc-simulator");
+
+// Creates an operator and returns their bearer token
+async function login(http, username) {
+  const password = `${username}-password`;
+  const created = await http.post("/api/operators", {
+    username,
+    password,
+    role: "operator",
+    displayName: username[0].toUpperCase() + username.slice(1),
+  });
+  assert.equal(created.status, 201);
+  const res = await http.post("/api/auth/login", { username, password });
+  return { headers: { Authorization: `Bearer ${res.data.token}` }, token: res.data.token };
+}
+
+// Live feed client that keeps every event it receives
+function openFeed(baseUrl, token) {
+  const ws = new WebSocket(`${baseUrl.replace(/^http/, "ws")}/ws?token=${token}`);
+  const events = [];
+  ws.on("message", (data) => events.push(JSON.parse(String(data))));
+  return new Promise((resolve, reject) => {
+    ws.once("open", () => resolve({ ws, events }));
+    ws.once("error", reject);
+  });
+}
+
+describe("Incident assignment, notes and presence", () => {
+  let srv;
+  let alice;
+  let bob;
+  let incidentId;
+  const imei = "300434030000100";
+  before(async () => {
+    srv = await startTestServer();
+    alice = await login(srv.http, "alice");
+    bob = await login(srv.http, "bob");
+    await srv.postEvents(scenarioEvents("sos", { imei, points: 3 }).slice(0, 4));
+    incidentId = (await srv.http.get(`/api/garmin/devices/${imei}`)).data.incidentId;
+  });
+  after(() => srv.stop());
+
+  it("lets one operator claim an incident at a time", async () => {
+    const path = `/api/garmin/incidents/${incidentId}`;
+    const claimed = await srv.http.post(`${path}/claim`, {}, alice);
+    assert.equal(claimed.status, 200);
+    assert.equal(claimed.data.incident.assignedTo, "alice");
+
+    assert.equal((await srv.http.post(`${path}/claim`, {}, bob)).status, 409);
+    assert.equal((await srv.http.post(`${path}/release`, {}, bob)).status, 403);
+
+    const device = (await srv.http.get(`/api/garmin/devices/${imei}`)).data;
+    assert.equal(device.assignedTo, "alice");
+
+    const reassigned = await srv.http.post(`${path}/assign`, { assignee: "bob" });
+    assert.equal(reassigned.data.incident.assignedTo, "bob");
+    assert.equal(reassigned.data.incident.assignedBy, "api-key");
+    const unknown = await srv.http.post(`${path}/assign`, { assignee: "nobody" });
+    assert.equal(unknown.status, 400);
+    assert.equal((await srv.http.post(`${path}/assign`, { assignee: "bob" }, alice)).status, 403);
+
+    const released = await srv.http.post(`${path}/release`, {}, bob);
+    assert.equal(released.data.incident.assignedTo, null);
+
+    const events = await srv.http.get(
+      `/api/garmin/devices/${imei}/timeline?type=incident-assigned,incident-released`
+    );
+    assert.deepEqual(
+      events.data.items.map((i) => [i.event.type, i.event.assignee]).reverse(),
+      [
+        ["incident-assigned", "alice"],
+        ["incident-assigned", "bob"],
+        ["incident-released", "bob"],
+      ]
+    );
+  });
+
+  it("keeps notes apart from messages and interleaves them in the timeline", async () => {
+    const path = `/api/garmin/incidents/${incidentId}/notes`;
+    const note = await srv.http.post(path, { text: "Called the emergency contact" }, alice);
+    assert.equal(note.status, 201);
+    assert.equal(note.data.author, "alice");
+    assert.equal((await srv.http.post(path, { text: "  " }, alice)).status, 400);
+
+    const notes = await srv.http.get(path);
+    assert.deepEqual(notes.data.map((n) => n.text), ["Called the emergency contact"]);
+    const messages = await srv.http.get(`/api/garmin/devices/${imei}/messages`);
+    assert.ok(!messages.data.some((m) => m.text === "Called the emergency contact"));
+
+    const timeline = await srv.http.get(
+      `/api/garmin/devices/${imei}/timeline?include=notes,messages&limit=500`
+    );
+    const [newest] = timeline.data.items;
+    assert.equal(newest.kind, "note");
+    assert.equal(newest.note.text, "Called the emergency contact");
+    assert.ok(timeline.data.items.some((i) => i.kind === "event"));
+
+    const detail = await srv.http.get(`/api/garmin/incidents/${incidentId}`);
+    assert.equal(detail.data.notes.length, 1);
+  });
+
+  it("shares who is viewing which device", async () => {
+    const a = await openFeed(srv.baseUrl, alice.token);
+    const b = await openFeed(srv.baseUrl, bob.token);
+    try {
+      await waitFor(() => b.events.some((e) => e.type === "hello"));
+      a.ws.send(JSON.stringify({ type: "presence", imei }));
+      const seen = await waitFor(() =>
+        b.events.find((e) => e.type === "presence" && e.viewers.length)
+      );
+      assert.deepEqual(
+        seen.viewers.map((v) => [v.username, v.displayName, v.imei]),
+        [["alice", "Alice", imei]]
+      );
+
+      a.ws.close();
+      await waitFor(() => {
+        const last = b.events.filter((e) => e.type === "presence").pop();
+        return last && last.viewers.length === 0;
+      });
+    } finally {
+      a.ws.close();
+      b.ws.close();
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+const { CODES, buildEvent } = require("../lib/ipc-simulator");
+const {
+  parseDeviceStatus,
+  mergeHealth,
+  batteryAlert,
+} = require("../lib/device-health");
+
+describe("Device health", () => {
+  it("parses IPC status objects", () => {
+    assert.deepEqual(
+      parseDeviceStatus({
+        autonomous: 1,
+        lowBattery: 0,
+        intervalChange: 600,
+        resetDetected: 0,
+        batteryLevel: "42",
+      }),
+      {
+        batteryLevel: 42,
+        lowBattery: false,
+        autonomous: true,
+        intervalSeconds: 600,
+        resetDetected: false,
+      }
+    );
+    assert.equal(parseDeviceStatus({}), null);
+  });
+
+  it("alerts once per threshold crossed downwards", () => {
+    const at = "2026-01-01T00:00:00.000Z";
+    const h40 = mergeHealth(null, parseDeviceStatus({ batteryLevel: 40 }), at);
+    const h12 = mergeHealth(h40, parseDeviceStatus({ batteryLevel: 12 }), at);
+    assert.equal(batteryAlert(null, h40, [30, 15, 5]), null);
+    assert.equal(batteryAlert(h40, h12, [30, 15, 5]).threshold, 15);
+    assert.equal(batteryAlert(h12, h12, [30, 15, 5]), null);
+
+    const flagged = mergeHealth(h12, parseDeviceStatus({ lowBattery: 1 }), at);
+    assert.equal(flagged.batteryLevel, 12);
+    assert.deepEqual(batteryAlert(h12, flagged, [30, 15, 5]), {
+      threshold: null,
+      lowBatteryRaised: true,
+      batteryLevel: 12,
+      lowBattery: true,
+    });
+  });
+
+  describe("API", () => {
+    let srv;
+    const imei = "300434030000060";
+    const t0 = Date.now() - 3600 * 1000;
+    before(async () => {
+      srv = await startTestServer({ env: { BATTERY_ALERT_THRESHOLDS: "20,10" } });
+      // Battery drops before and during an SOS; only the drop during it alerts
+      await srv.postEvents([
+        buildEvent(imei, CODES.status, { at: t0, status: { batteryLevel: 60 } }),
+        buildEvent(imei, CODES.status, { at: t0 + 60000, status: { batteryLevel: 18 } }),
+        buildEvent(imei, CODES.sosDeclare, { at: t0 + 120000 }),
+        buildEvent(imei, CODES.status, { at: t0 + 180000, status: { batteryLevel: 9 } }),
+        buildEvent(imei, CODES.position, {
+          at: t0 + 240000,
+          point: { lat: 46.5, lng: 7.9 },
+          status: { batteryLevel: 9 },
+        }),
+      ]);
+    });
+    after(() => srv.stop());
+
+    it("keeps the current health and its history", async () => {
+      const res = await srv.http.get(`/api/garmin/devices/${imei}/health`);
+      assert.equal(res.status, 200);
+      assert.equal(res.data.health.batteryLevel, 9);
+      assert.deepEqual(res.data.batteryAlertThresholds, [20, 10]);
+      // The position's unchanged status isn't a new history entry
+      assert.deepEqual(
+        res.data.history.map((h) => h.batteryLevel),
+        [60, 18, 9]
+      );
+
+      const detail = await srv.http.get(`/api/garmin/devices/${imei}`);
+      assert.equal(detail.data.health.batteryLevel, 9);
+    });
+
+    it("alerts on thresholds crossed during an active incident", async () => {
+      const res = await srv.http.get(
+        `/api/garmin/devices/${imei}/timeline?type=battery-alert`
+      );
+      assert.deepEqual(
+        res.data.items.map((i) => [i.event.threshold, i.event.batteryLevel]),
+        [[10, 9]]
+      );
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// Test harness: runs server.js in a child process against a temporary
+// database, with one tenant whose IPC Inbound is a mock server.
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const httpModule = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { createMockInbound } = require("../lib/mock-ipc-inbound");
+const { buildBatch } = require("../lib/ipc-simulator");
+
+const TENANT_ID = "drill";
+const OUTBOUND_TOKEN = "test-outbound-token";
+const API_KEY = "test-api-key";
+const INBOUND = { username: "ipc-user", password: "ipc-pass", apiKey: "ipc-key" };
+const SENDER_EMAIL = "ecc@magnusafety.com";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error("Server exited during startup");
+    try {
+      await axios.get(`${baseUrl}/health`, { timeout: 1000 });
+      return;
+    } catch (err) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error("Server did not become healthy");
+}
+
+/**
+ * @param {object} [opts]
+ * @param {object} [opts.env]       extra env for the server
+ * @param {object} [opts.mock]      options for createMockInbound
+ */
+async function startTestServer({ env = {}, mock: mockOpts = {} } = {}) {
+  const mock = createMockInbound({ ...INBOUND, ...mockOpts });
+  const inboundUrl = await mock.listen();
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "garmin-ecc-test-"));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const prefix = TENANT_ID.toUpperCase();
+
+  let output = "";
+  // cwd is the temp dir so a developer's .env isn't picked up
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DB_PATH: path.join(dir, "garmin.db"),
+      TENANT_IDS: TENANT_ID,
+      [`${prefix}_INBOUND_BASE_URL`]: inboundUrl,
+      [`${prefix}_INBOUND_USERNAME`]: INBOUND.username,
+      [`${prefix}_INBOUND_PASSWORD`]: INBOUND.password,
+      [`${prefix}_INBOUND_API_KEY`]: INBOUND.apiKey,
+      [`${prefix}_SENDER_EMAIL`]: SENDER_EMAIL,
+      [`${prefix}_OUTBOUND_TOKEN`]: OUTBOUND_TOKEN,
+      INTERNAL_API_KEY: API_KEY,
+      INTERNAL_API_KEY_ROLE: "supervisor",
+      JWT_SECRET: "test-jwt-secret",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdout.on("data", (d) => (output += d));
+  child.stderr.on("data", (d) => (output += d));
+
+  try {
+    await waitForHealth(baseUrl, child);
+  } catch (err) {
+    child.kill();
+    await mock.close();
+    err.message += "\n" + output;
+    throw err;
+  }
+
+  const http = axios.create({
+    baseURL: baseUrl,
+    headers: { "x-api-key": API_KEY },
+    validateStatus: () => true,
+    timeout: 10000,
+    // No keep-alive, so the server's shutdown doesn't wait on idle sockets
+    httpAgent: new httpModule.Agent({ keepAlive: false }),
+  });
+
+  return {
+    baseUrl,
+    mock,
+    http,
+    output: () => output,
+    // Posts events as one IPC Outbound batch
+    postEvents(events, token = OUTBOUND_TOKEN) {
+      return http.post("/garmin/ipc-outbound", buildBatch(events), {
+        headers: { "x-outbound-auth-token": token },
+      });
+    },
+    async stop() {
+      await new Promise((resolve) => {
+        child.once("exit", resolve);
+        child.kill("SIGTERM");
+      });
+      await mock.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Polls fn until it returns a truthy value
+async function waitFor(fn, { timeoutMs = 5000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = {
+  startTestServer,
+  waitFor,
+  TENANT_ID,
+  OUTBOUND_TOKEN,
+  SENDER_EMAIL,
+};
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+const { scenarioEvents } = require("../lib/ipc-simulator");
+
+// Follows X-Next-Cursor back to the start; returns every item, oldest first
+async function fetchAllPages(http, path) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const sep = path.includes("?") ? "&" : "?";
+    const res = await http.get(
+      cursor ? `${path}${sep}cursor=${encodeURIComponent(cursor)}` : path
+    );
+    assert.equal(res.status, 200);
+    pages.unshift(res.data);
+    cursor = res.headers["x-next-cursor"];
+  } while (cursor);
+  return pages.flat();
+}
+
+describe("Position and message history", () => {
+  let srv;
+  const imei = "300434030000070";
+  before(async () => {
+    srv = await startTestServer();
+    await srv.postEvents([
+      ...scenarioEvents("track", { imei, points: 30, intervalSeconds: 60 }),
+      ...scenarioEvents("chat", { imei, intervalSeconds: 60 }),
+    ]);
+  });
+  after(() => srv.stop());
+
+  it("pages positions back with a cursor", async () => {
+    const path = `/api/garmin/devices/${imei}/positions`;
+    const all = await srv.http.get(path);
+    assert.equal(all.headers["x-next-cursor"], undefined);
+
+    const paged = await fetchAllPages(srv.http, `${path}?limit=7`);
+    assert.deepEqual(
+      paged.map((p) => p.timestamp),
+      all.data.map((p) => p.timestamp)
+    );
+    for (let i = 1; i < paged.length; i++) {
+      assert.ok(paged[i - 1].timestamp <= paged[i].timestamp);
+    }
+
+    const from = all.data[10].timestamp;
+    const to = all.data[19].timestamp;
+    const range = await srv.http.get(
+      `${path}?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`
+    );
+    assert.equal(range.data.length, 10);
+  });
+
+  it("downsamples a whole range to maxPoints", async () => {
+    const path = `/api/garmin/devices/${imei}/positions`;
+    const all = await srv.http.get(path);
+    const res = await srv.http.get(`${path}?maxPoints=5`);
+    assert.equal(res.data.length, 5);
+    assert.equal(res.headers["x-downsampled-from"], String(all.data.length));
+    assert.equal(res.data[0].timestamp, all.data[0].timestamp);
+    assert.equal(res.data[4].timestamp, all.data[all.data.length - 1].timestamp);
+
+    assert.equal((await srv.http.get(`${path}?maxPoints=1`)).status, 400);
+  });
+
+  it("pages messages back with a cursor", async () => {
+    const path = `/api/garmin/devices/${imei}/messages`;
+    const paged = await fetchAllPages(srv.http, `${path}?limit=2`);
+    assert.deepEqual(
+      paged.map((m) => m.text),
+      ["Leaving the hut now", "At the pass, all good", "Camp reached"]
+    );
+    assert.equal((await srv.http.get(`${path}?cursor=x`)).status, 400);
+  });
+
+  it("leaves history out of device responses", async () => {
+    const { data: device } = await srv.http.get(`/api/garmin/devices/${imei}`);
+    const { data: devices } = await srv.http.get("/api/garmin/devices");
+    for (const d of [device, devices.find((x) => x.imei === imei)]) {
+      assert.ok(d.position);
+      assert.ok(!("positions" in d || "messages" in d || "sosTimeline" in d));
+    }
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { openDatabase } = require("../lib/db");
+const { DevicesStore } = require("../lib/devices-store");
+const { IpcIngestor } = require("../lib/ipc-ingest");
+const { CODES, buildEvent } = require("../lib/ipc-simulator");
+
+describe("Event ingestion failures", () => {
+  let db;
+  let store;
+  let ingestor;
+  const broadcasts = [];
+  const imei = "300434030000130";
+  before(() => {
+    global._wsBroadcast = (event) => broadcasts.push(event);
+    db = openDatabase(":memory:");
+    store = new DevicesStore(db).load();
+    ingestor = new IpcIngestor({ db, devicesStore: store });
+  });
+  after(() => {
+    db.close();
+    delete global._wsBroadcast;
+  });
+
+  it("leaves no cached state or events behind when an event fails partway", () => {
+    const at = Date.now();
+    const point = { lat: 46.6, lng: 7.9 };
+    const first = buildEvent(imei, CODES.position, { at, point });
+    assert.equal(ingestor.ingestOne(first, "drill"), "accepted");
+    const cached = structuredClone(store.get(imei));
+    const emitted = [];
+    store.on("position", () => emitted.push("position"));
+    store.on("incident", () => emitted.push("incident"));
+    broadcasts.length = 0;
+
+    // The incident opens and the position is applied before the second
+    // timeline write (sos-declare) fails
+    const insertTimeline = store.stmts.insertTimeline;
+    let writes = 0;
+    store.stmts.insertTimeline = {
+      run(params) {
+        if (++writes === 2) throw new Error("disk I/O error");
+        return insertTimeline.run(params);
+      },
+    };
+    const declare = buildEvent(imei, CODES.sosDeclare, {
+      at: at + 60000,
+      point: { lat: 46.7, lng: 7.8 },
+    });
+    try {
+      assert.equal(ingestor.ingestOne(declare, "drill"), "rejected");
+    } finally {
+      store.stmts.insertTimeline = insertTimeline;
+    }
+
+    assert.deepEqual(store.get(imei), cached);
+    assert.deepEqual(emitted, []);
+    assert.deepEqual(broadcasts, []);
+    assert.equal(store.listPositions(imei).length, 1);
+    const [dead] = ingestor.listDeadLetters();
+    assert.equal(dead.reason, "ingest-error");
+
+    // Nothing was marked as seen, so the same event applies once it can
+    assert.equal(ingestor.ingestOne(declare, "drill"), "accepted");
+    assert.equal(store.get(imei).isActiveSos, true);
+    assert.deepEqual(emitted, ["incident", "position"]);
+    assert.ok(broadcasts.some((b) => b.type === "sosUpdate"));
+  });
+
+  it("forgets seen events past the retention window", () => {
+    const old = buildEvent(imei, CODES.position, { at: Date.now() - 3600000 });
+    const recent = buildEvent(imei, CODES.position, { at: Date.now() - 60000 });
+    ingestor.ingestOne(old, "drill");
+    ingestor.ingestOne(recent, "drill");
+    db.prepare("UPDATE ipc_events_seen SET received_at = ? WHERE event_at = ?").run(
+      "2026-01-01T00:00:00.000Z",
+      new Date(old.timeStamp).toISOString()
+    );
+
+    assert.equal(ingestor.pruneSeen("2026-02-01T00:00:00.000Z"), 1);
+    assert.equal(ingestor.ingestOne(recent, "drill"), "duplicates");
+    assert.equal(ingestor.ingestOne(old, "drill"), "accepted");
+  });
+});
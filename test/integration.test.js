@@ -0,0 +1,339 @@
+// End-to-end: IPC Outbound batches from the simulator go through the real
+// server; IPC Inbound calls land on the mock.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startTestServer,
+  waitFor,
+  TENANT_ID,
+  SENDER_EMAIL,
+} = require("./helpers");
+const {
+  CODES,
+  DEFAULT_SOS_ADDRESS,
+  buildEvent,
+  scenarioEvents,
+  parseRecordedPayloads,
+  rebaseBatches,
+  playBatches,
+  eventsToBatches,
+} = require("../lib/ipc-simulator");
+const { CODE_15_ERROR } = require("../lib/mock-ipc-inbound");
+const { isRetryable } = require("../lib/outbound-queue");
+
+describe("IPC Outbound ingestion", () => {
+  let srv;
+  before(async () => {
+    srv = await startTestServer();
+  });
+  after(() => srv.stop());
+
+  it("rejects batches with an unknown outbound token", async () => {
+    const res = await srv.postEvents(
+      [buildEvent("300434030000010", CODES.position)],
+      "wrong-token"
+    );
+    assert.equal(res.status, 401);
+  });
+
+  it("applies a tracking scenario and skips redelivered events", async () => {
+    const imei = "300434030000011";
+    const events = scenarioEvents("track", { imei, points: 5 });
+    const res = await srv.postEvents(events);
+    assert.equal(res.status, 200);
+    assert.equal(res.data.accepted, events.length);
+
+    const again = await srv.postEvents(events);
+    assert.equal(again.data.duplicates, events.length);
+
+    const { data: device } = await srv.http.get(`/api/garmin/devices/${imei}`);
+    assert.equal(device.tenantId, TENANT_ID);
+    assert.equal(device.trackingEnabled, false);
+    assert.equal(device.trackingInterval, 120);
+    const { data: positions } = await srv.http.get(
+      `/api/garmin/devices/${imei}/positions`
+    );
+    assert.equal(positions.length, 7);
+  });
+
+  it("dead-letters invalid events", async () => {
+    const res = await srv.postEvents([{ imei: "abc", messageCode: 0 }]);
+    assert.equal(res.status, 200);
+    assert.equal(res.data.rejected, 1);
+    const { data } = await srv.http.get("/api/garmin/dead-letters");
+    assert.ok(data.deadLetters.some((d) => d.payload?.imei === "abc"));
+  });
+
+  it("opens and resolves an incident for an SOS drill", async () => {
+    const imei = "300434030000012";
+    const events = scenarioEvents("sos", { imei, points: 4 });
+    // Everything up to the SOS message; the cancel comes later
+    await playBatches(eventsToBatches(events.slice(0, -1)), {
+      url: `${srv.baseUrl}/garmin/ipc-outbound`,
+      token: "test-outbound-token",
+    });
+
+    let { data: device } = await srv.http.get(`/api/garmin/devices/${imei}`);
+    assert.equal(device.isActiveSos, true);
+    assert.equal(device.status, "open");
+    assert.equal(device.lastSosAddress, DEFAULT_SOS_ADDRESS);
+
+    await srv.postEvents(events.slice(-1));
+    ({ data: device } = await srv.http.get(`/api/garmin/devices/${imei}`));
+    assert.equal(device.isActiveSos, false);
+    assert.equal(device.status, "resolved");
+  });
+
+  it("keeps the newer SOS address when an older SOS event arrives late", async () => {
+    const imei = "300434030000013";
+    const now = Date.now();
+    await srv.postEvents([
+      buildEvent(imei, CODES.sosDeclare, {
+        at: now,
+        addresses: ["sos-new@magnusafety.com"],
+        status: { lowBattery: 1 },
+      }),
+    ]);
+    await srv.postEvents([
+      buildEvent(imei, CODES.sosMessage, {
+        at: now - 60000,
+        text: "Delayed over satellite",
+        addresses: ["sos-old@magnusafety.com"],
+      }),
+    ]);
+
+    const { data: device } = await srv.http.get(`/api/garmin/devices/${imei}`);
+    assert.equal(device.lastSosAddress, "sos-new@magnusafety.com");
+    assert.deepEqual(device.lastAddresses, [{ address: "sos-new@magnusafety.com" }]);
+    assert.equal(device.statusRaw.lowBattery, 1);
+    const { data: messages } = await srv.http.get(`/api/garmin/devices/${imei}/messages`);
+    assert.ok(messages.some((m) => m.text === "Delayed over satellite"));
+  });
+
+  it("ignores a late tracking start after a newer stop", async () => {
+    const imei = "300434030000014";
+    const now = Date.now();
+    await srv.postEvents([
+      buildEvent(imei, CODES.trackStart, { at: now - 120000, text: "Interval: 5 min" }),
+      buildEvent(imei, CODES.trackStop, { at: now }),
+    ]);
+    await srv.postEvents([
+      buildEvent(imei, CODES.trackStart, { at: now - 60000, text: "Battery 80%, 2 sats" }),
+    ]);
+
+    const { data: device } = await srv.http.get(`/api/garmin/devices/${imei}`);
+    assert.equal(device.trackingEnabled, false);
+    assert.equal(device.trackingInterval, 300);
+  });
+});
+
+describe("IPC Inbound calls", () => {
+  let srv;
+  const imei = "300434030000020";
+  before(async () => {
+    srv = await startTestServer();
+    await srv.postEvents(scenarioEvents("sos", { imei, points: 3 }).slice(0, 4));
+  });
+  after(() => srv.stop());
+
+  it("sends messages through Messaging.svc with tenant credentials", async () => {
+    const res = await srv.http.post(`/api/garmin/devices/${imei}/message`, {
+      text: "Hello from the ECC",
+    });
+    assert.equal(res.status, 202);
+    const [call] = await waitFor(() => {
+      const calls = srv.mock.callsTo("/Messaging.svc/Message");
+      return calls.length ? calls : null;
+    });
+    const [msg] = call.body.Messages;
+    assert.deepEqual(msg.Recipients, [imei]);
+    assert.equal(msg.Sender, SENDER_EMAIL);
+    assert.equal(msg.Message, "Hello from the ECC");
+
+    await waitFor(async () => {
+      const { data } = await srv.http.get(`/api/garmin/devices/${imei}/messages`);
+      return data.find((m) => m.id === res.data.message.id)?.status === "accepted";
+    });
+  });
+
+  it("replies to SOS messages from the captured SOS address", async () => {
+    srv.mock.reset();
+    const res = await srv.http.post(`/api/garmin/devices/${imei}/sos/message`, {
+      text: "Help is on the way",
+    });
+    assert.equal(res.status, 202);
+    assert.equal(res.data.message.is_sos, true);
+    const [call] = await waitFor(() => {
+      const calls = srv.mock.callsTo("/Messaging.svc/Message");
+      return calls.length ? calls : null;
+    });
+    assert.equal(call.body.Messages[0].Sender, DEFAULT_SOS_ADDRESS);
+  });
+
+  it("queues long messages as numbered parts, in order", async () => {
+    srv.mock.reset();
+    const text = "Stay with the group and keep warm. ".repeat(10);
+    const res = await srv.http.post(`/api/garmin/devices/${imei}/message`, { text });
+    assert.equal(res.status, 202);
+    assert.equal(res.data.messages.length, 3);
+    const calls = await waitFor(() => {
+      const c = srv.mock.callsTo("/Messaging.svc/Message");
+      return c.length === 3 ? c : null;
+    });
+    assert.deepEqual(
+      calls.map((c) => c.body.Messages[0].Message.slice(0, 6)),
+      ["(1/3) ", "(2/3) ", "(3/3) "]
+    );
+  });
+
+  it("holds back the later parts when a part fails for good", async () => {
+    srv.mock.reset();
+    srv.mock.failNext("/Messaging.svc/Message", { status: 400, body: CODE_15_ERROR });
+    const text = "Stay with the group and keep warm. ".repeat(10);
+    const res = await srv.http.post(`/api/garmin/devices/${imei}/message`, { text });
+    const ids = res.data.messages.map((m) => m.id);
+    const statuses = async () => {
+      const { data } = await srv.http.get(`/api/garmin/devices/${imei}/messages`);
+      return ids.map((id) => data.find((m) => m.id === id));
+    };
+
+    const parts = await waitFor(async () => {
+      const p = await statuses();
+      return p.every((m) => m.status === "failed") ? p : null;
+    });
+    assert.match(parts[1].lastError, /earlier part/);
+    assert.equal(srv.mock.callsTo("/Messaging.svc/Message").length, 1);
+
+    const resent = await srv.http.post(`/api/garmin/devices/${imei}/messages/${ids[0]}/resend`);
+    assert.equal(resent.status, 202);
+    await waitFor(async () => (await statuses()).every((m) => m.status === "accepted"));
+    assert.deepEqual(
+      srv.mock.callsTo("/Messaging.svc/Message").map((c) => c.body.Messages[0].Message.slice(0, 6)),
+      ["(1/3) ", "(1/3) ", "(2/3) ", "(3/3) "]
+    );
+  });
+
+  it("retries a message after a Garmin 5xx", async () => {
+    srv.mock.reset();
+    srv.mock.failNext("/Messaging.svc/Message", { status: 503 });
+    const res = await srv.http.post(`/api/garmin/devices/${imei}/message`, {
+      text: "Retry me",
+    });
+    const msg = await waitFor(
+      async () => {
+        const { data } = await srv.http.get(`/api/garmin/devices/${imei}/messages`);
+        const m = data.find((x) => x.id === res.data.message.id);
+        return m && m.status === "queued" && m.attempts === 1 ? m : null;
+      },
+      { timeoutMs: 5000 }
+    );
+    assert.match(msg.lastError, /Mock failure/);
+  });
+
+  it("treats Code 15 on SOS acknowledgement as handled by GEOS", async () => {
+    srv.mock.failNext("/Emergency.svc/AcknowledgeDeclare", {
+      status: 400,
+      body: CODE_15_ERROR,
+    });
+    const res = await srv.http.post(`/api/garmin/devices/${imei}/sos/ack`);
+    assert.equal(res.status, 200);
+    assert.equal(res.data.remoteResult.Code, 15);
+    const [call] = srv.mock.callsTo("/Emergency.svc/AcknowledgeDeclare");
+    assert.equal(call.query.imei, imei);
+
+    const { data: device } = await srv.http.get(`/api/garmin/devices/${imei}`);
+    assert.equal(device.status, "acknowledged");
+    assert.equal(device.isActiveSos, false);
+  });
+
+  it("resolves on a satellite-delayed cancel sent before the ACK", async () => {
+    const other = "300434030000021";
+    const now = Date.now();
+    await srv.postEvents([buildEvent(other, CODES.sosDeclare, { at: now - 120000 })]);
+    const ack = await srv.http.post(`/api/garmin/devices/${other}/sos/ack`);
+    assert.equal(ack.status, 200);
+    // Pressed on the device a minute ago, delivered only now
+    await srv.postEvents([buildEvent(other, CODES.sosCancel, { at: now - 60000 })]);
+
+    const { data: device } = await srv.http.get(`/api/garmin/devices/${other}`);
+    assert.equal(device.status, "resolved");
+    assert.equal(device.lastSosStateAt, new Date(now - 60000).toISOString());
+    assert.ok(device.lastSosAckAt > device.lastSosStateAt);
+  });
+
+  it("fails the acknowledgement on other Garmin errors", async () => {
+    srv.mock.failNext("/Emergency.svc/AcknowledgeDeclare", {
+      status: 400,
+      body: { Code: 4, Message: "Invalid IMEI" },
+    });
+    const res = await srv.http.post(`/api/garmin/devices/${imei}/sos/ack`);
+    assert.equal(res.status, 500);
+  });
+
+  it("sends tracking commands with the interval", async () => {
+    srv.mock.reset();
+    const res = await srv.http.post(`/api/garmin/devices/${imei}/tracking/start`, {
+      intervalSeconds: 300,
+    });
+    assert.equal(res.status, 200);
+    const [call] = srv.mock.callsTo("/Tracking.svc/Start");
+    assert.deepEqual(call.body, { Imeis: [imei], IntervalSeconds: 300 });
+  });
+});
+
+describe("Replay", () => {
+  let srv;
+  before(async () => {
+    srv = await startTestServer();
+  });
+  after(() => srv.stop());
+
+  it("plays back FULL IPC PAYLOAD log lines, moved to the present", async () => {
+    const imei = "300434030000030";
+    const old = Date.parse("2025-01-10T08:00:00Z");
+    const batches = eventsToBatches(
+      scenarioEvents("chat", { imei, points: 4, start: old })
+    );
+    const log = [
+      "[GarminOutbound] Auth OK for tenant drill",
+      ...batches.map((b) => `[GarminOutbound] FULL IPC PAYLOAD: ${JSON.stringify(b)}`),
+      "not json {",
+    ].join("\n");
+
+    const parsed = parseRecordedPayloads(log);
+    assert.equal(parsed.length, 3);
+
+    const now = Date.now();
+    const rebased = rebaseBatches(parsed, now);
+    assert.equal(rebased[2].Events[0].timeStamp, now);
+
+    const results = await playBatches(rebased, {
+      url: `${srv.baseUrl}/garmin/ipc-outbound`,
+      token: "test-outbound-token",
+    });
+    assert.deepEqual(
+      results.map((r) => r.accepted),
+      [1, 1, 1]
+    );
+    const { data: messages } = await srv.http.get(
+      `/api/garmin/devices/${imei}/messages`
+    );
+    assert.deepEqual(
+      messages.map((m) => m.text),
+      ["Leaving the hut now", "At the pass, all good", "Camp reached"]
+    );
+  });
+});
+
+describe("Retry classification", () => {
+  it("retries transport errors and 408/429/5xx only", () => {
+    const response = (status) => Object.assign(new Error("HTTP"), { response: { status } });
+    const transport = (code) => Object.assign(new Error(code), { code });
+    [408, 429, 500, 503].forEach((s) => assert.ok(isRetryable(response(s)), String(s)));
+    [400, 401, 404].forEach((s) => assert.ok(!isRetryable(response(s)), String(s)));
+    ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED"].forEach((c) => assert.ok(isRetryable(transport(c)), c));
+    assert.ok(!isRetryable(new Error("Tenant inbound config missing for drill")));
+    assert.ok(!isRetryable(transport("ERR_INVALID_URL")));
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, waitFor } = require("./helpers");
+const { CODES, buildEvent, scenarioEvents } = require("../lib/ipc-simulator");
+const { buildSlaReport } = require("../lib/sla-report");
+
+describe("Metrics", () => {
+  let srv;
+  const imei = "300434030000040";
+  before(async () => {
+    srv = await startTestServer({ env: { SLA_ACK_TARGET_SECONDS: "600" } });
+    const sos = scenarioEvents("sos", { imei, points: 3 });
+    await srv.postEvents(sos.slice(0, 4));
+    await srv.http.post(`/api/garmin/devices/${imei}/sos/message`, {
+      text: "We see your SOS",
+    });
+    await srv.http.post(`/api/garmin/devices/${imei}/sos/ack`);
+    await waitFor(async () => {
+      const { data } = await srv.http.get(`/api/garmin/devices/${imei}/incidents`);
+      return data[0].firstResponseAt;
+    });
+  });
+  after(() => srv.stop());
+
+  it("exposes Prometheus metrics", async () => {
+    // Rejected: more than a day in the future
+    await srv.postEvents([
+      buildEvent(imei, CODES.position, { at: Date.now() + 2 * 86400000 }),
+    ]);
+    const res = await srv.http.get("/metrics");
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-type"], /^text\/plain;.*version=0\.0\.4/);
+    const body = res.data;
+    assert.match(body, /^ecc_ipc_events_total\{code="4",outcome="accepted"\} 1$/m);
+    assert.match(body, /^ecc_ipc_events_total\{code="0",outcome="rejected"\} 1$/m);
+    assert.match(
+      body,
+      /^ecc_garmin_api_requests_total\{endpoint="Messaging.svc\/Message",status="200"\} 1$/m
+    );
+    assert.match(
+      body,
+      /^ecc_garmin_api_duration_seconds_count\{endpoint="Emergency.svc\/AcknowledgeDeclare"\} 1$/m
+    );
+    assert.match(body, /^ecc_ws_clients 0$/m);
+    assert.match(body, /^ecc_sos_incidents\{status="acknowledged"\} 1$/m);
+    assert.match(body, /^ecc_sos_time_to_ack_seconds_count\{tenant="drill"\} 1$/m);
+    assert.match(
+      body,
+      /^ecc_sos_time_to_first_message_seconds_count\{tenant="drill"\} 1$/m
+    );
+  });
+
+  it("reports SOS response times per period", async () => {
+    const res = await srv.http.get("/api/metrics/sla?period=day");
+    assert.equal(res.status, 200);
+    assert.equal(res.data.summary.incidents, 1);
+    assert.equal(res.data.summary.timeToAck.count, 1);
+    assert.equal(res.data.summary.timeToFirstMessage.count, 1);
+    assert.equal(res.data.targets.ackSeconds, 600);
+    assert.equal(res.data.periods.length, 1);
+
+    const bad = await srv.http.get("/api/metrics/sla?period=year");
+    assert.equal(bad.status, 400);
+  });
+
+  it("does not count a message Garmin rejected as a first response", async () => {
+    const other = "300434030000041";
+    await srv.postEvents(scenarioEvents("sos", { imei: other, points: 3 }).slice(0, 4));
+    srv.mock.failNext("/Messaging.svc/Message", {
+      status: 400,
+      body: { Code: 4, Message: "Invalid IMEI" },
+    });
+    const res = await srv.http.post(`/api/garmin/devices/${other}/sos/message`, {
+      text: "We see your SOS",
+    });
+    await waitFor(async () => {
+      const { data } = await srv.http.get(`/api/garmin/devices/${other}/messages`);
+      return data.find((m) => m.id === res.data.message.id)?.status === "failed";
+    });
+    const { data: incidents } = await srv.http.get(`/api/garmin/devices/${other}/incidents`);
+    assert.equal(incidents[0].firstResponseAt, null);
+  });
+});
+
+describe("SLA report", () => {
+  it("counts late responses and missing ones on active incidents as breaches", () => {
+    const incidents = [
+      {
+        id: 1,
+        openedAt: "2026-03-02T10:00:00.000Z",
+        acknowledgedAt: "2026-03-02T10:02:00.000Z",
+        firstResponseAt: "2026-03-02T10:20:00.000Z",
+      },
+      { id: 2, status: "open", openedAt: "2026-03-03T09:00:00.000Z" },
+      {
+        id: 3,
+        status: "acknowledged",
+        openedAt: "2026-03-10T09:00:00.000Z",
+        acknowledgedAt: "2026-03-10T09:10:00.000Z",
+      },
+      // Cancelled on the device before anyone had to respond
+      { id: 4, status: "resolved", openedAt: "2026-03-10T12:00:00.000Z" },
+    ];
+    const report = buildSlaReport(incidents, {
+      targets: { ackSeconds: 300, firstMessageSeconds: 600 },
+      period: "week",
+      now: "2026-03-11T00:00:00.000Z",
+    });
+    assert.deepEqual(report.summary.timeToAck.breaches, [2, 3]);
+    assert.equal(report.summary.timeToAck.medianSeconds, 120);
+    assert.equal(report.summary.timeToAck.missing, 2);
+    assert.equal(report.summary.timeToAck.resolvedWithout, 1);
+    assert.equal(report.summary.timeToAck.withinTargetPct, 33.3);
+    assert.deepEqual(report.summary.timeToFirstMessage.breaches, [1, 2, 3]);
+    assert.deepEqual(
+      report.periods.map((p) => [p.start, p.incidents]),
+      [
+        ["2026-03-02T00:00:00.000Z", 2],
+        ["2026-03-09T00:00:00.000Z", 2],
+      ]
+    );
+  });
+});
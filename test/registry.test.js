@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+const { scenarioEvents } = require("../lib/ipc-simulator");
+
+describe("Device registry CSV", () => {
+  let srv;
+  const imei = "300434030000120";
+  const contacts = [
+    { name: "Beat", phone: "+41790000000", email: "beat@example.org", relation: "partner" },
+    { name: "Hut warden", email: "warden@example.org" },
+    { name: "Clinic", phone: "+41310000000", relation: "doctor" },
+  ];
+  before(async () => {
+    srv = await startTestServer();
+    await srv.postEvents(scenarioEvents("track", { imei, points: 2 }));
+    const res = await srv.http.patch(`/api/garmin/devices/${imei}/profile`, {
+      ownerName: "Anna Muster",
+      organisation: '=HYPERLINK("http://example.org")',
+      label: "-north team",
+      emergencyContacts: contacts,
+      tags: ["north", "guides"],
+    });
+    assert.equal(res.status, 200);
+  });
+  after(() => srv.stop());
+
+  it("re-imports its own export unchanged", async () => {
+    const exported = await srv.http.get("/api/garmin/registry/export");
+    assert.equal(exported.status, 200);
+    assert.match(exported.data, /Beat \| \+41790000000 \| beat@example\.org \| partner/);
+    assert.match(exported.data, /,'-north team,/);
+    assert.match(exported.data, /"'=HYPERLINK\(""http:\/\/example\.org""\)"/);
+
+    // Start from a blank profile so the import has to restore everything
+    await srv.http.patch(`/api/garmin/devices/${imei}/profile`, {
+      organisation: null,
+      label: null,
+      emergencyContacts: [],
+      tags: [],
+    });
+    const imported = await srv.http.post("/api/garmin/registry/import", exported.data, {
+      headers: { "Content-Type": "text/csv" },
+    });
+    assert.equal(imported.status, 200);
+    assert.equal(imported.data.updated, 1);
+
+    const { data: device } = await srv.http.get(`/api/garmin/devices/${imei}`);
+    assert.deepEqual(device.emergencyContacts, contacts);
+    assert.deepEqual(device.tags, ["north", "guides"]);
+    assert.equal(device.ownerName, "Anna Muster");
+    assert.equal(device.organisation, '=HYPERLINK("http://example.org")');
+    assert.equal(device.label, "-north team");
+  });
+
+  it("rejects contacts without all four sub-fields", async () => {
+    const csv = `imei,emergencyContacts\r\n${imei},Beat | +41790000000 | partner\r\n`;
+    const res = await srv.http.post("/api/garmin/registry/import", csv, {
+      headers: { "Content-Type": "text/csv" },
+    });
+    assert.equal(res.status, 422);
+    assert.equal(res.data.errors[0].line, 2);
+    assert.match(res.data.errors[0].error, /Name \| phone \| email \| relation/);
+  });
+});
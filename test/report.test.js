@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+const { scenarioEvents } = require("../lib/ipc-simulator");
+const { formatDuration } = require("../lib/incident-report");
+
+describe("Post-incident report", () => {
+  let srv;
+  let incidentId;
+  const imei = "300434030000110";
+  before(async () => {
+    srv = await startTestServer();
+    // Everything but the cancel, so the operator acknowledges and closes it
+    await srv.postEvents(scenarioEvents("sos", { imei, points: 4 }).slice(0, -1));
+    const profile = await srv.http.patch(`/api/garmin/devices/${imei}/profile`, {
+      label: "Hiker <Anna>",
+      ownerName: "Anna Muster",
+      bloodType: "O+",
+      emergencyContacts: [{ name: "Beat", phone: "+41790000000", relation: "partner" }],
+    });
+    assert.equal(profile.status, 200);
+    incidentId = (await srv.http.get(`/api/garmin/devices/${imei}`)).data.incidentId;
+    await srv.http.post(`/api/garmin/devices/${imei}/sos/ack`);
+    await srv.http.post(`/api/garmin/incidents/${incidentId}/notes`, {
+      text: "Partner says Anna planned to descend via the north ridge",
+    });
+    await srv.http.post(`/api/garmin/devices/${imei}/close`);
+  });
+  after(() => srv.stop());
+
+  it("renders a self-contained HTML report", async () => {
+    const res = await srv.http.get(`/api/garmin/incidents/${incidentId}/report`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-type"], /^text\/html/);
+    const html = res.data;
+    assert.match(html, /Hiker &lt;Anna&gt;/);
+    assert.match(html, /Anna Muster/);
+    assert.match(html, /Beat \(partner\) \+41790000000/);
+    assert.match(html, /SOS declared/);
+    assert.match(html, /Acknowledged<\/td><td>[^<]+<\/td><td>[^<]+<\/td><td>api-key/);
+    assert.match(html, /Closed<\/td><td>[^<]+ UTC by api-key/);
+    assert.match(html, /north ridge/);
+    assert.match(html, /<svg class="map"/);
+    assert.doesNotMatch(html, /<script|<link|src="http/);
+  });
+
+  it("renders a PDF", async () => {
+    const res = await srv.http.get(`/api/garmin/incidents/${incidentId}/report?format=pdf`, {
+      responseType: "arraybuffer",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["content-type"], "application/pdf");
+    assert.match(res.headers["content-disposition"], /incident-\d+-report\.pdf/);
+    const pdf = Buffer.from(res.data).toString("latin1");
+    assert.ok(pdf.startsWith("%PDF-1.4"));
+    assert.ok(pdf.trimEnd().endsWith("%%EOF"));
+    assert.match(pdf, /\(Response times\) Tj/);
+  });
+
+  it("rejects unknown incidents and formats", async () => {
+    assert.equal((await srv.http.get("/api/garmin/incidents/999/report")).status, 404);
+    const bad = await srv.http.get(`/api/garmin/incidents/${incidentId}/report?format=docx`);
+    assert.equal(bad.status, 400);
+  });
+
+  it("formats durations", () => {
+    assert.equal(formatDuration(45), "45 s");
+    assert.equal(formatDuration(75), "1 min 15 s");
+    assert.equal(formatDuration(3900), "1 h 5 min");
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+const { scenarioEvents } = require("../lib/ipc-simulator");
+
+describe("Device timeline", () => {
+  let srv;
+  const imei = "300434030000050";
+  const path = `/api/garmin/devices/${imei}/timeline`;
+  before(async () => {
+    srv = await startTestServer();
+    await srv.postEvents(scenarioEvents("sos", { imei, points: 4 }));
+  });
+  after(() => srv.stop());
+
+  it("pages through events, messages and positions newest first", async () => {
+    const all = await srv.http.get(`${path}?include=messages,positions&limit=500`);
+    assert.equal(all.status, 200);
+    assert.equal(all.data.nextCursor, null);
+    const kinds = new Set(all.data.items.map((i) => i.kind));
+    assert.deepEqual([...kinds].sort(), ["event", "message", "position"]);
+
+    const paged = [];
+    let cursor = null;
+    do {
+      const res = await srv.http.get(
+        `${path}?include=messages,positions&limit=3${cursor ? `&cursor=${cursor}` : ""}`
+      );
+      assert.equal(res.status, 200);
+      assert.ok(res.data.items.length <= 3);
+      paged.push(...res.data.items);
+      cursor = res.data.nextCursor;
+    } while (cursor);
+
+    const key = (i) => `${i.kind}:${i.id}`;
+    assert.deepEqual(paged.map(key), all.data.items.map(key));
+    for (let i = 1; i < paged.length; i++) {
+      assert.ok(paged[i - 1].at >= paged[i].at);
+    }
+  });
+
+  it("filters by event type and time range", async () => {
+    const sos = await srv.http.get(`${path}?type=sos-*`);
+    assert.deepEqual(
+      sos.data.items.map((i) => i.event.type),
+      ["sos-cancel", "sos-confirm", "sos-declare"]
+    );
+
+    const declare = sos.data.items[2];
+    const range = await srv.http.get(
+      `${path}?type=sos-*&to=${encodeURIComponent(declare.at)}`
+    );
+    assert.deepEqual(range.data.items.map((i) => i.event.type), ["sos-declare"]);
+  });
+
+  it("rejects bad cursors and includes", async () => {
+    assert.equal((await srv.http.get(`${path}?cursor=nope`)).status, 400);
+    assert.equal((await srv.http.get(`${path}?include=photos`)).status, 400);
+    assert.equal((await srv.http.get(`${path}?from=yesterday`)).status, 400);
+  });
+});
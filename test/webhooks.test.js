@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startTestServer, waitFor } = require("./helpers");
+const { scenarioEvents } = require("../lib/ipc-simulator");
+const { verifySignature } = require("../lib/webhooks");
+
+// Records webhook requests; answers the first `failFirst` with a 500
+function startReceiver({ failFirst = 0 } = {}) {
+  const requests = [];
+  let failures = failFirst;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (failures > 0) {
+        failures--;
+        res.writeHead(500).end("try again");
+        return;
+      }
+      requests.push({ headers: req.headers, body, json: JSON.parse(body) });
+      res.writeHead(204).end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise((r) => server.close(r)),
+      })
+    );
+  });
+}
+
+describe("Webhooks", () => {
+  let srv;
+  let receiver;
+  let subscriber;
+  const imei = "300434030000090";
+  before(async () => {
+    srv = await startTestServer({
+      env: { WEBHOOK_RETRY_BASE_MS: "50", WEBHOOK_TIMEOUT_MS: "2000" },
+    });
+    receiver = await startReceiver({ failFirst: 1 });
+    const res = await srv.http.post("/api/webhooks", {
+      name: "Dispatch",
+      url: receiver.url,
+      eventTypes: ["sos.declare", "sos.confirm", "sos.cancel", "sos.ack", "message.inbound"],
+    });
+    assert.equal(res.status, 201);
+    subscriber = res.data;
+    assert.match(subscriber.secret, /^[0-9a-f]{64}$/);
+
+    await srv.postEvents(scenarioEvents("sos", { imei, points: 3 }).slice(0, 5));
+    await srv.http.post(`/api/garmin/devices/${imei}/sos/ack`);
+  });
+  after(async () => {
+    await srv.stop();
+    await receiver.close();
+  });
+
+  it("delivers signed events in order, retrying failures", async () => {
+    await waitFor(() => receiver.requests.length >= 4, { timeoutMs: 5000 });
+    assert.deepEqual(
+      receiver.requests.map((r) => r.json.type),
+      ["sos.declare", "sos.confirm", "message.inbound", "sos.ack"]
+    );
+    receiver.requests.forEach((r) => {
+      assert.ok(verifySignature(subscriber.secret, r.headers["x-ecc-signature"], r.body));
+      assert.equal(r.headers["x-ecc-event"], r.json.type);
+      assert.equal(r.json.data.device.imei, imei);
+    });
+    const [first] = receiver.requests;
+    assert.ok(!verifySignature("wrong-secret", first.headers["x-ecc-signature"], first.body));
+
+    const log = await srv.http.get(`/api/webhooks/${subscriber.id}/deliveries`);
+    const declare = log.data.find((d) => d.eventType === "sos.declare");
+    assert.equal(declare.status, "delivered");
+    assert.equal(declare.attempts, 2);
+  });
+
+  it("replays a delivery with the same event id", async () => {
+    const log = await srv.http.get(
+      `/api/webhooks/${subscriber.id}/deliveries?type=sos.ack`
+    );
+    const original = log.data[0];
+    const res = await srv.http.post(`/api/webhooks/deliveries/${original.id}/replay`);
+    assert.equal(res.status, 201);
+    assert.equal(res.data.replayOf, original.id);
+
+    await waitFor(() => receiver.requests.length >= 5, { timeoutMs: 5000 });
+    const replayed = receiver.requests[4];
+    assert.equal(replayed.json.id, original.eventId);
+    assert.equal(replayed.headers["x-ecc-delivery"], String(res.data.id));
+  });
+
+  it("validates subscribers", async () => {
+    const bad = await srv.http.post("/api/webhooks", {
+      name: "Bad",
+      url: "ftp://example.com",
+      eventTypes: ["position"],
+    });
+    assert.equal(bad.status, 400);
+    const unknownType = await srv.http.post("/api/webhooks", {
+      name: "Bad",
+      url: "https://example.com",
+      eventTypes: ["everything"],
+    });
+    assert.equal(unknownType.status, 400);
+
+    const list = await srv.http.get("/api/webhooks");
+    assert.equal(list.data.subscribers.length, 1);
+    assert.equal(list.data.subscribers[0].secret, undefined);
+  });
+
+  it("keeps signing secrets out of the audit log", async () => {
+    const created = await srv.http.post("/api/webhooks", {
+      name: "Own secret",
+      url: "https://example.com/hook",
+      eventTypes: ["position"],
+      secret: "first-signing-secret-0001",
+    });
+    assert.equal(created.status, 201);
+    const patched = await srv.http.patch(`/api/webhooks/${created.data.id}`, {
+      secret: "second-signing-secret-0002",
+    });
+    assert.equal(patched.status, 200);
+
+    const { data } = await srv.http.get("/api/audit");
+    const entries = data.entries.filter((e) => e.path.startsWith("/api/webhooks"));
+    assert.ok(entries.some((e) => e.request && e.request.secret === "[redacted]"));
+    const csv = (await srv.http.get("/api/audit?format=csv")).data;
+    for (const text of [JSON.stringify(data), csv]) {
+      assert.doesNotMatch(text, /first-signing-secret|second-signing-secret/);
+    }
+  });
+});